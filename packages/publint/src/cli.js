@@ -6,37 +6,104 @@ import path from 'node:path'
 import { createRequire } from 'node:module'
 import sade from 'sade'
 import c from 'picocolors'
-import { publint } from './index-node.js'
-import { formatMessage } from './shared/message.js'
-import { createPromiseQueue } from './shared/utils.js'
+import {
+  diff,
+  fix,
+  getResolutionMatrix,
+  publint,
+  publintWorkspace,
+} from './index-node.js'
+import {
+  applyBaseline,
+  createBaselineEntries,
+  readBaseline,
+  writeBaseline,
+} from './node/baseline.js'
+import {
+  fetchPackageTarball,
+  getRegistryAuthorization,
+  getRegistryUrl,
+  parseNpmSpec,
+} from './node/registry.js'
+import { formatMessagesSarif } from './node/sarif.js'
+import { formatDiffMessage } from './shared/diff.js'
+import { formatCodeFrame, formatMessage } from './shared/message.js'
+import { createPromiseQueue, formatMessagePath } from './shared/utils.js'
 
 const version = createRequire(import.meta.url)('../package.json').version
+// NOTE: `--level` and `--pack` don't set a default value so that the config can be applied
+// if they're not passed. The defaults are handled by `publint()` instead. `--strict` keeps
+// its default so it's parsed as a boolean flag, see `normalizeOpts()`.
 const cli = sade('publint', false)
   .version(version)
   .option(
     '--level',
-    `Level of messages to log ('suggestion' | 'warning' | 'error')`,
-    'suggestion',
+    `Level of messages to log ('suggestion' | 'warning' | 'error') (default suggestion)`,
   )
   .option(
     '--pack',
-    `Package manager to use for packing ('auto' | 'npm' | 'yarn' | 'pnpm' | 'bun' | false)`,
-    'auto',
+    `Package manager to use for packing ('auto' | 'npm' | 'yarn' | 'pnpm' | 'bun' | false) (default auto)`,
   )
   .option('--strict', `Report warnings as errors`, false)
+  .option(
+    '--rule',
+    `Override a rule severity, e.g. TYPES_NOT_EXPORTED=error (can be repeated)`,
+  )
 
 cli
   .command(
     'run [path]',
-    'Lint a directory or tarball file path (defaults to current directory)',
+    'Lint a directory, tarball file path, or npm:<name>@<version> package (defaults to current directory)',
     { default: true },
   )
+  .option('--format', `Output format ('text' | 'json' | 'sarif')`, 'text')
+  .option('--fix', `Fix messages that can be fixed in package.json`, false)
+  .option(
+    '--registry',
+    `Registry URL to fetch npm: packages from (defaults to the registry in .npmrc)`,
+  )
+  .option(
+    '--baseline',
+    `Only report messages not in the baseline file (created if it doesn't exist)`,
+  )
+  .option(
+    '--update-baseline',
+    `Update the baseline file with the current messages`,
+    false,
+  )
+  .option(
+    '--workspace',
+    `Lint all non-private packages in the workspace at the path`,
+    false,
+  )
   .action(async (runPath, opts) => {
     opts = normalizeOpts(opts)
 
+    if (!['text', 'json', 'sarif'].includes(opts.format)) {
+      exitWithError(`Invalid --format value "${opts.format}"`, opts.format)
+    }
+
+    if (opts.updateBaseline && !opts.baseline) {
+      exitWithError(`--update-baseline requires --baseline`, opts.format)
+    }
+
+    if (opts.workspace) {
+      if (opts.fix) {
+        exitWithError(`--fix cannot be used with --workspace`, opts.format)
+      }
+      await lintWorkspace(runPath, opts)
+      return
+    }
+    // only log progress in the text format, so the stdout of machine-readable
+    // formats only contains the results and can be parsed
+    const isTextFormat = opts.format === 'text'
+
+    // CLI-specific feature allowing a package to be fetched from the npm registry
+    const npmSpec = runPath ? parseNpmSpec(runPath) : undefined
+
     // If a path is passed, see if it's a path to a file (likely the tarball file)
     let isTarballFilePassed = false
-    if (runPath) {
+    if (runPath && !npmSpec) {
       const stat = await fs.stat(runPath).catch(() => {})
       isTarballFilePassed = !!stat?.isFile()
     }
@@ -45,13 +112,45 @@ cli
     let pkgDir
     /** @type {string} */
     let pkgName
+    if (npmSpec) {
+      if (opts.fix) {
+        exitWithError(
+          `Unable to fix a package from the npm registry`,
+          opts.format,
+        )
+      }
+      const registry =
+        opts.registry ?? (await getRegistryUrl(npmSpec.name, process.cwd()))
+      if (isTextFormat) {
+        console.log(
+          `Fetching ${c.bold(`${npmSpec.name}@${npmSpec.version}`)} from ${registry}...`,
+        )
+      }
+      try {
+        const { version: resolvedVersion, tarball } = await fetchPackageTarball(
+          npmSpec.name,
+          npmSpec.version,
+          registry,
+          await getRegistryAuthorization(registry, process.cwd()),
+        )
+        opts.pack = { tarball }
+        pkgName = `${npmSpec.name}@${resolvedVersion}`
+      } catch (err) {
+        exitWithError(/** @type {Error} */ (err).message, opts.format)
+      }
+    }
     // CLI-specific feature allowing a tarball path to be loaded directly
-    if (isTarballFilePassed) {
+    else if (isTarballFilePassed) {
+      if (opts.fix) {
+        exitWithError(`Unable to fix a tarball at ${runPath}`, opts.format)
+      }
       try {
         opts.pack = { tarball: (await fs.readFile(runPath)).buffer }
       } catch (err) {
-        console.log(c.red(`Unable to unpack the tarball at ${runPath}: `) + err)
-        process.exit(1)
+        exitWithError(
+          `Unable to unpack the tarball at ${runPath}: ${err}`,
+          opts.format,
+        )
       }
       pkgName = runPath
       // `pkgDir` is unset so that core will infer the correct dir when unpacking itself
@@ -59,32 +158,235 @@ cli
     // Lint from the filesystem
     else {
       pkgDir = runPath ? path.resolve(runPath) : process.cwd()
-      const pkg = await getPackageJson(pkgDir).catch(() => {
-        console.log(c.red(`Unable to read package.json at ${pkgDir}`))
-        process.exit(1)
-      })
+      const pkg = await getPackageJson(pkgDir).catch(() =>
+        exitWithError(`Unable to read package.json at ${pkgDir}`, opts.format),
+      )
       pkgName = pkg.pkgName
     }
 
-    console.log(
-      `Running ${c.bold(`publint v${version}`)} for ${c.bold(pkgName)}...`,
-    )
+    if (isTextFormat) {
+      console.log(
+        `Running ${c.bold(`publint v${version}`)} for ${c.bold(pkgName)}...`,
+      )
+    }
 
-    const { messages, pkg } = await publint({
+    /** @type {import('./index.d.ts').Options} */
+    const publintOpts = {
       pkgDir,
       level: opts.level,
       strict: opts.strict,
+      rules: opts.rules,
       pack: opts.pack,
       // @ts-expect-error internal property to log packing progress
-      _log: true,
-    })
+      _log: isTextFormat,
+    }
+
+    /** @type {import('./index.d.ts').Result} */
+    let result
+    try {
+      // fix first, then lint again below to report the remaining messages
+      if (opts.fix) {
+        const pkgBeforeFix = (await getPackageJson(publintOpts.pkgDir ?? '.'))
+          .pkgJson
+        const { fixes } = await fix(publintOpts)
+        if (isTextFormat && fixes.length) {
+          console.log(c.bold(c.green(`Fixed (${fixes.length}):`)))
+          fixes.forEach((f, i) =>
+            console.log(
+              c.dim(`${i + 1}. [${f.message.code}] `) +
+                formatMessage(f.message, pkgBeforeFix),
+            ),
+          )
+        }
+      }
+      result = await publint(publintOpts)
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err).message, opts.format)
+    }
+    const { suppressedMessages, pkg } = result
+    let messages = result.messages
+
+    // only report the messages that are not in the baseline
+    /** @type {BaselineReport | undefined} */
+    let baselineReport
+    if (opts.baseline) {
+      const reports = await runBaseline(opts, isTextFormat, [
+        { pkgName: pkg.name || pkgName, messages },
+      ])
+      baselineReport = reports[0]
+      messages = baselineReport.newMessages
+    }
+
+    if (messages.some((m) => m.type === 'error')) {
+      process.exitCode = 1
+    }
+
+    if (opts.format === 'json') {
+      const json = formatMessagesJson(
+        messages,
+        suppressedMessages,
+        pkg,
+        baselineReport,
+      )
+      console.log(JSON.stringify(json, null, 2))
+      return
+    }
+
+    // the location is printed relative to the cwd so it's clickable in terminals
+    const pkgJsonPath = pkgDir
+      ? path.relative(process.cwd(), path.join(pkgDir, 'package.json'))
+      : 'package.json'
+
+    if (opts.format === 'sarif') {
+      const result = formatMessagesSarif(
+        [
+          {
+            messages,
+            suppressedMessages,
+            pkgJson: pkg,
+            artifactUri: slash(pkgJsonPath),
+          },
+        ],
+        { version },
+      )
+      console.log(JSON.stringify(result, null, 2))
+      return
+    }
+
     if (messages.length === 0) {
       console.log(c.bold(c.green('All good!')))
     } else {
-      formatMessages(messages, pkg).forEach((l) => console.log(l))
+      formatMessages(messages, pkg, pkgJsonPath).forEach((l) => console.log(l))
+    }
+    formatSuppressedMessages(suppressedMessages, pkg).forEach((l) =>
+      console.log(l),
+    )
+    if (baselineReport) {
+      formatBaselineReport(baselineReport, opts.baseline).forEach((l) =>
+        console.log(l),
+      )
     }
   })
 
+cli
+  .command(
+    'diff <old> <new>',
+    'Report breaking changes between two versions of a package. Each can be a directory, tarball file path, or npm:<name>@<version> package',
+  )
+  .option('--format', `Output format ('text' | 'json')`, 'text')
+  .option(
+    '--registry',
+    `Registry URL to fetch npm: packages from (defaults to the registry in .npmrc)`,
+  )
+  .action(async (oldPath, newPath, opts) => {
+    opts = normalizeOpts(opts)
+
+    if (!['text', 'json'].includes(opts.format)) {
+      exitWithError(`Invalid --format value "${opts.format}"`, opts.format)
+    }
+    const isTextFormat = opts.format === 'text'
+
+    if (isTextFormat) {
+      console.log(
+        `Running ${c.bold(`publint v${version}`)} diff for ${c.bold(oldPath)} and ${c.bold(newPath)}...`,
+      )
+    }
+
+    /** @type {import('./index.d.ts').DiffResult} */
+    let result
+    try {
+      const [oldPkg, newPkg] = await Promise.all([
+        getDiffPackage(oldPath, opts),
+        getDiffPackage(newPath, opts),
+      ])
+      result = await diff({ old: oldPkg, new: newPkg })
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err).message, opts.format)
+    }
+
+    const { messages, oldPkg, newPkg } = result
+    if (messages.length) {
+      process.exitCode = 1
+    }
+
+    if (opts.format === 'json') {
+      const json = {
+        old: { name: oldPkg.name, version: oldPkg.version },
+        new: { name: newPkg.name, version: newPkg.version },
+        messages: messages.map((m) => ({
+          code: m.code,
+          args: m.args,
+          text: formatDiffMessage(m),
+        })),
+      }
+      console.log(JSON.stringify(json, null, 2))
+      return
+    }
+
+    if (messages.length === 0) {
+      console.log(c.bold(c.green('No breaking changes found!')))
+    } else {
+      console.log(c.bold(c.red(`Breaking changes (${messages.length}):`)))
+      messages.forEach((m, i) =>
+        console.log(c.dim(`${i + 1}. [${m.code}] `) + formatDiffMessage(m)),
+      )
+    }
+  })
+
+cli
+  .command(
+    'resolve [path]',
+    'Resolve every exports subpath in common environments. The path can be a directory, tarball file path, or npm:<name>@<version> package (defaults to current directory)',
+  )
+  .option('--format', `Output format ('text' | 'json' | 'markdown')`, 'text')
+  .option(
+    '--registry',
+    `Registry URL to fetch npm: packages from (defaults to the registry in .npmrc)`,
+  )
+  .action(async (resolvePath, opts) => {
+    opts = normalizeOpts(opts)
+
+    if (!['text', 'json', 'markdown'].includes(opts.format)) {
+      exitWithError(`Invalid --format value "${opts.format}"`, opts.format)
+    }
+
+    /** @type {import('./index.d.ts').ResolutionMatrix} */
+    let matrix
+    try {
+      // the package can be passed the same way as `publint diff`
+      const pkg = await getDiffPackage(resolvePath ?? '.', opts)
+      matrix = await getResolutionMatrix(
+        'tarball' in pkg
+          ? { pack: { tarball: pkg.tarball } }
+          : { pkgDir: pkg.pkgDir, pack: pkg.pack },
+      )
+    } catch (err) {
+      exitWithError(/** @type {Error} */ (err).message, opts.format)
+    }
+
+    if (opts.format === 'json') {
+      const { pkg, ...json } = matrix
+      console.log(
+        JSON.stringify(
+          { name: pkg.name, version: pkg.version, ...json },
+          null,
+          2,
+        ),
+      )
+      return
+    }
+
+    if (opts.format === 'markdown') {
+      formatResolutionMatrixMarkdown(matrix).forEach((l) => console.log(l))
+      return
+    }
+
+    console.log(
+      `Running ${c.bold(`publint v${version}`)} resolve for ${c.bold(matrix.pkg.name || resolvePath || '.')}...`,
+    )
+    formatResolutionMatrix(matrix).forEach((l) => console.log(l))
+  })
+
 cli
   .command(
     'deps [dir]',
@@ -165,12 +467,17 @@ cli
               pkgDir: depDir,
               level: opts.level,
               strict: opts.strict,
+              rules: opts.rules,
               // Linting dependencies in node_modules also means that the dependency
               // is already packed, so we don't need to pack it again by passing `false`.
               // Otherwise if it's a local-linked dependency, we use the pack option.
               pack: depDir.includes('node_modules') ? false : opts.pack,
             })
-            const logs = formatMessages(messages, depPkgJson)
+            const logs = formatMessages(
+              messages,
+              depPkgJson,
+              path.relative(process.cwd(), path.join(depDir, 'package.json')),
+            )
             if (messages.length > 0) {
               logs.unshift(c.bold(`${c.red('x')} ${depPkgName}`))
               logs.push('') // insert new line so easier to read
@@ -209,6 +516,209 @@ cli
 
 cli.parse(process.argv)
 
+/**
+ * @param {string | undefined} runPath
+ * @param {any} opts
+ */
+async function lintWorkspace(runPath, opts) {
+  const rootDir = runPath ? path.resolve(runPath) : process.cwd()
+  const isTextFormat = opts.format === 'text'
+
+  if (isTextFormat) {
+    console.log(
+      `Running ${c.bold(`publint v${version}`)} for workspace at ${c.bold(rootDir)}...`,
+    )
+  }
+
+  /** @type {import('./index.d.ts').WorkspaceResult} */
+  let result
+  try {
+    result = await publintWorkspace({
+      rootDir,
+      level: opts.level,
+      strict: opts.strict,
+      rules: opts.rules,
+      pack: opts.pack,
+    })
+  } catch (err) {
+    exitWithError(/** @type {Error} */ (err).message, opts.format)
+  }
+
+  const packages = result.packages.map((p) => ({
+    ...p,
+    pkgName: /** @type {string} */ (p.pkg.name || path.basename(p.pkgDir)),
+    // the location is printed relative to the cwd so it's clickable in terminals
+    pkgJsonPath: path.relative(
+      process.cwd(),
+      path.join(p.pkgDir, 'package.json'),
+    ),
+    /** @type {BaselineReport | undefined} */
+    baselineReport: undefined,
+  }))
+
+  // only report the messages that are not in the baseline
+  if (opts.baseline) {
+    const reports = await runBaseline(opts, isTextFormat, packages)
+    packages.forEach((p, i) => {
+      p.baselineReport = reports[i]
+      p.messages = reports[i].newMessages
+    })
+  }
+  if (packages.some((p) => p.messages.some((m) => m.type === 'error'))) {
+    process.exitCode = 1
+  }
+
+  if (opts.format === 'json') {
+    const json = packages.map((p) => ({
+      pkgDir: p.pkgDir,
+      ...formatMessagesJson(
+        p.messages,
+        p.suppressedMessages,
+        p.pkg,
+        p.baselineReport,
+      ),
+    }))
+    console.log(JSON.stringify({ packages: json }, null, 2))
+    return
+  }
+
+  if (opts.format === 'sarif') {
+    const reports = packages.map((p) => ({
+      messages: p.messages,
+      suppressedMessages: p.suppressedMessages,
+      pkgJson: p.pkg,
+      artifactUri: slash(p.pkgJsonPath),
+    }))
+    console.log(
+      JSON.stringify(formatMessagesSarif(reports, { version }), null, 2),
+    )
+    return
+  }
+
+  if (packages.length === 0) {
+    console.log(c.yellow('No workspace packages found'))
+    return
+  }
+
+  let failedCount = 0
+  for (const p of packages) {
+    if (p.messages.length === 0) {
+      console.log(c.bold(`${c.green('✓')} ${p.pkgName}`))
+    } else {
+      if (p.messages.some((m) => m.type === 'error')) failedCount++
+      console.log(c.bold(`${c.red('x')} ${p.pkgName}`))
+      formatMessages(p.messages, p.pkg, p.pkgJsonPath).forEach((l) =>
+        console.log(l),
+      )
+    }
+    formatSuppressedMessages(p.suppressedMessages, p.pkg).forEach((l) =>
+      console.log(l),
+    )
+    if (p.baselineReport) {
+      formatBaselineReport(p.baselineReport, opts.baseline).forEach((l) =>
+        console.log(l),
+      )
+    }
+  }
+
+  console.log('')
+  const summary = `Linted ${packages.length} packages, ${failedCount} with errors`
+  console.log(c.bold(failedCount ? c.red(summary) : c.green(summary)))
+}
+
+/**
+ * Get the package to diff from a directory, tarball file path, or `npm:` spec
+ * @param {string} input
+ * @param {any} opts
+ * @returns {Promise<import('./index.d.ts').DiffPackage>}
+ */
+async function getDiffPackage(input, opts) {
+  const npmSpec = parseNpmSpec(input)
+  if (npmSpec) {
+    const registry =
+      opts.registry ?? (await getRegistryUrl(npmSpec.name, process.cwd()))
+    const { tarball } = await fetchPackageTarball(
+      npmSpec.name,
+      npmSpec.version,
+      registry,
+      await getRegistryAuthorization(registry, process.cwd()),
+    )
+    return { tarball }
+  }
+
+  const stat = await fs.stat(input).catch(() => {})
+  if (!stat) {
+    throw new Error(`Unable to find ${input}`)
+  }
+  if (stat.isFile()) {
+    const tarball = /** @type {ArrayBuffer} */ (
+      (await fs.readFile(input)).buffer
+    )
+    return { tarball }
+  }
+  return { pkgDir: path.resolve(input), pack: opts.pack }
+}
+
+/**
+ * @param {import('./index.d.ts').ResolutionMatrix} matrix
+ */
+function formatResolutionMatrix(matrix) {
+  /** @type {string[]} */
+  const logs = []
+  const nameWidth = Math.max(...matrix.environments.map((e) => e.name.length))
+
+  for (const { subpath, exportsKey, entries } of matrix.subpaths) {
+    logs.push(
+      c.bold(subpath) +
+        (exportsKey !== subpath ? c.dim(` (from "${exportsKey}")`) : ''),
+    )
+    for (const entry of entries) {
+      let log = '  ' + c.dim(entry.environment.padEnd(nameWidth)) + '  '
+      if (entry.error) {
+        log += c.dim(`- ${entry.error}`)
+      } else if (!entry.exists) {
+        log += c.red(`${entry.filePath} (not found)`)
+      } else {
+        log += entry.filePath
+        if (entry.format) log += ` ${c.cyan(entry.format)}`
+        if (
+          (entry.codeFormat === 'ESM' || entry.codeFormat === 'CJS') &&
+          entry.codeFormat !== entry.format
+        ) {
+          log += c.yellow(` (written in ${entry.codeFormat})`)
+        }
+      }
+      logs.push(log)
+    }
+  }
+
+  return logs
+}
+
+/**
+ * Format the resolution matrix as a markdown table, e.g. to be posted in pull requests
+ * @param {import('./index.d.ts').ResolutionMatrix} matrix
+ */
+function formatResolutionMatrixMarkdown(matrix) {
+  const logs = [
+    `| Subpath | ${matrix.environments.map((e) => e.name).join(' | ')} |`,
+    `| --- |${' --- |'.repeat(matrix.environments.length)}`,
+  ]
+
+  for (const { subpath, entries } of matrix.subpaths) {
+    const cells = entries.map((entry) => {
+      if (entry.error) return '-'
+      if (!entry.exists) return `❌ \`${entry.filePath}\``
+      return (
+        `\`${entry.filePath}\`` + (entry.format ? ` (${entry.format})` : '')
+      )
+    })
+    logs.push(`| \`${subpath}\` | ${cells.join(' | ')} |`)
+  }
+
+  return logs
+}
+
 /**
  * @param {string} pkgDir
  */
@@ -225,39 +735,188 @@ async function getPackageJson(pkgDir) {
  *
  * @param {import('./index.d.ts').Message[]} messages
  * @param {any} pkgJson
+ * @param {string} pkgJsonPath
  */
-function formatMessages(messages, pkgJson) {
+function formatMessages(messages, pkgJson, pkgJsonPath) {
   /** @type {string[]} */
   const logs = []
 
+  /**
+   * @param {import('./index.d.ts').Message} m
+   * @param {number} i
+   */
+  const format = (m, i) => {
+    let log = c.dim(`${i + 1}. `) + formatMessage(m, pkgJson)
+    if (m.loc) {
+      log += c.dim(
+        ` (${pkgJsonPath}:${m.loc.start.line}:${m.loc.start.column})`,
+      )
+    }
+    // show the code that the format is detected from
+    if ('evidence' in m.args && typeof m.args.evidence === 'object') {
+      const codeFrame = formatCodeFrame(m.args.evidence)
+      log += '\n' + c.dim(codeFrame.replace(/^/gm, '   '))
+    }
+    return log
+  }
+
   const errors = messages.filter((v) => v.type === 'error')
   if (errors.length) {
     logs.push(c.bold(c.red('Errors:')))
-    errors.forEach((m, i) =>
-      logs.push(c.dim(`${i + 1}. `) + formatMessage(m, pkgJson)),
-    )
+    errors.forEach((m, i) => logs.push(format(m, i)))
     process.exitCode = 1
   }
 
   const warnings = messages.filter((v) => v.type === 'warning')
   if (warnings.length) {
     logs.push(c.bold(c.yellow('Warnings:')))
-    warnings.forEach((m, i) =>
-      logs.push(c.dim(`${i + 1}. `) + formatMessage(m, pkgJson)),
-    )
+    warnings.forEach((m, i) => logs.push(format(m, i)))
   }
 
   const suggestions = messages.filter((v) => v.type === 'suggestion')
   if (suggestions.length) {
     logs.push(c.bold(c.blue('Suggestions:')))
-    suggestions.forEach((m, i) =>
-      logs.push(c.dim(`${i + 1}. `) + formatMessage(m, pkgJson)),
+    suggestions.forEach((m, i) => logs.push(format(m, i)))
+  }
+
+  return logs
+}
+
+/**
+ * @param {import('./index.d.ts').Message[]} messages
+ * @param {any} pkgJson
+ */
+function formatSuppressedMessages(messages, pkgJson) {
+  /** @type {string[]} */
+  const logs = []
+
+  if (messages.length) {
+    logs.push(c.bold(c.dim(`Suppressed (${messages.length}):`)))
+    messages.forEach((m, i) =>
+      logs.push(
+        c.dim(`${i + 1}. [${m.code}] `) +
+          c.dim(formatMessage(m, pkgJson, { color: false }) ?? ''),
+      ),
     )
   }
 
   return logs
 }
 
+/**
+ * @typedef {ReturnType<typeof applyBaseline>} BaselineReport
+ */
+
+/**
+ * Read the baseline file and split the messages of each package with it. If the baseline
+ * doesn't exist or `--update-baseline` is passed, it's written with the current messages.
+ * @param {any} opts
+ * @param {boolean} log
+ * @param {{ pkgName: string, messages: import('./index.d.ts').Message[] }[]} packages
+ * @returns {Promise<BaselineReport[]>}
+ */
+async function runBaseline(opts, log, packages) {
+  /** @type {string} */
+  const baselinePath = opts.baseline
+  /** @type {import('./node/baseline.js').Baseline | undefined} */
+  let baseline
+  try {
+    baseline = await readBaseline(baselinePath)
+  } catch (err) {
+    exitWithError(/** @type {Error} */ (err).message, opts.format)
+  }
+
+  if (baseline && !opts.updateBaseline) {
+    const entries = baseline
+    return packages.map((p) =>
+      applyBaseline(p.messages, entries[p.pkgName] ?? []),
+    )
+  }
+
+  // packages not linted in this run are kept as is
+  baseline ??= {}
+  for (const p of packages) {
+    baseline[p.pkgName] = createBaselineEntries(p.messages)
+  }
+  await writeBaseline(baselinePath, baseline)
+  if (log) {
+    const count = packages.reduce((acc, p) => acc + p.messages.length, 0)
+    console.log(
+      c.green(`Baseline written to ${baselinePath} with ${count} messages`),
+    )
+  }
+  return packages.map((p) => applyBaseline(p.messages, p.messages))
+}
+
+/**
+ * @param {BaselineReport} report
+ * @param {string} baselinePath
+ */
+function formatBaselineReport(report, baselinePath) {
+  /** @type {string[]} */
+  const logs = []
+
+  if (report.baselinedMessages.length) {
+    logs.push(
+      c.dim(
+        `Baselined (${report.baselinedMessages.length}): hidden as they're in ${baselinePath}`,
+      ),
+    )
+  }
+
+  if (report.fixedEntries.length) {
+    logs.push(
+      c.bold(
+        c.yellow(`Fixed baseline entries (${report.fixedEntries.length}):`),
+      ),
+    )
+    report.fixedEntries.forEach((entry, i) =>
+      logs.push(
+        c.dim(`${i + 1}. [${entry.code}] `) + formatMessagePath(entry.path),
+      ),
+    )
+    logs.push(
+      c.dim(`Run with --update-baseline to remove them from ${baselinePath}`),
+    )
+  }
+
+  return logs
+}
+
+/**
+ * @param {import('./index.d.ts').Message[]} messages
+ * @param {import('./index.d.ts').Message[]} suppressedMessages
+ * @param {any} pkgJson
+ * @param {BaselineReport} [baselineReport]
+ */
+function formatMessagesJson(
+  messages,
+  suppressedMessages,
+  pkgJson,
+  baselineReport,
+) {
+  /** @param {import('./index.d.ts').Message} m */
+  const toJson = (m) => ({
+    code: m.code,
+    type: m.type,
+    path: m.path,
+    args: m.args,
+    loc: m.loc,
+    fix: m.fix,
+    text: formatMessage(m, pkgJson, { color: false }),
+  })
+
+  return {
+    pkg: { name: pkgJson.name, version: pkgJson.version },
+    messages: messages.map(toJson),
+    suppressedMessages: suppressedMessages.map(toJson),
+    ...(baselineReport && {
+      baselinedMessages: baselineReport.baselinedMessages.map(toJson),
+      fixedBaselineEntries: baselineReport.fixedEntries,
+    }),
+  }
+}
+
 /** @type {import('pnpapi')} */
 let pnp
 if (process.versions.pnp) {
@@ -286,10 +945,51 @@ async function findDepPath(dep, parent) {
   }
 }
 
+/**
+ * @param {string} str
+ */
+function slash(str) {
+  return str.replace(/\\/g, '/')
+}
+
+/**
+ * Log the error and exit. In machine-readable formats, the error is logged to stderr
+ * without colors instead, so that stdout only contains the output to be parsed.
+ * @param {string} message
+ * @param {string} format
+ * @returns {never}
+ */
+function exitWithError(message, format) {
+  if (format === 'text') {
+    console.log(c.red(message))
+  } else {
+    console.error(message)
+  }
+  process.exit(1)
+}
+
 /**
  * @param {any} opts
  */
 function normalizeOpts(opts) {
   if (opts.pack === 'false') opts.pack = false
+  // only override the config if `--strict` is passed
+  if (opts.strict === false) opts.strict = undefined
+  // `--rule CODE=severity` can be repeated or comma-separated
+  if (opts.rule != null) {
+    /** @type {Record<string, string>} */
+    const rules = {}
+    for (const rule of [opts.rule].flat().join(',').split(',')) {
+      const [code, severity] = rule.split('=').map((s) => s.trim())
+      if (!code || !severity) {
+        exitWithError(
+          `Invalid --rule value "${rule}", expected CODE=severity`,
+          opts.format,
+        )
+      }
+      rules[code] = severity
+    }
+    opts.rules = rules
+  }
   return opts
 }
@@ -1,5 +1,7 @@
 import { unpack } from '@publint/pack'
 import { core } from './shared/core.js'
+import { diffPackages } from './shared/diff.js'
+import { createResolutionMatrix } from './shared/resolution-matrix.js'
 import { createTarballVfs } from './shared/vfs-tarball.js'
 
 /**
@@ -30,5 +32,74 @@ export async function publint(options) {
     vfs,
     level: options.level ?? 'suggestion',
     strict: options?.strict ?? false,
+    rules: options?.rules ?? {},
+    ignore: options?.ignore ?? [],
+    conditions: options?.conditions ?? [],
+    browserConditions: options?.browserConditions ?? [],
+  })
+}
+
+/**
+ * @type {import('./index.d.ts').fix}
+ */
+export async function fix() {
+  throw new Error('[publint] The `fix` API is not supported in the browser')
+}
+
+/**
+ * @type {import('./index.d.ts').publintWorkspace}
+ */
+export async function publintWorkspace() {
+  throw new Error(
+    '[publint] The `publintWorkspace` API is not supported in the browser',
+  )
+}
+
+/**
+ * @type {import('./index.d.ts').diff}
+ */
+export async function diff(options) {
+  /**
+   * @param {import('./index.d.ts').DiffPackage} pkg
+   */
+  const getContext = async (pkg) => {
+    if (!('tarball' in pkg)) {
+      throw new Error(
+        '[publint] Only `{ tarball }` is supported for `diff` in the browser',
+      )
+    }
+    const result = await unpack(pkg.tarball)
+    return { vfs: createTarballVfs(result.files), pkgDir: result.rootDir }
+  }
+  const [oldCtx, newCtx] = await Promise.all([
+    getContext(options.old),
+    getContext(options.new),
+  ])
+  return diffPackages(oldCtx, newCtx)
+}
+
+/**
+ * @type {import('./index.d.ts').getResolutionMatrix}
+ */
+export async function getResolutionMatrix(options) {
+  const pack = options?.pack
+  if (!pack || typeof pack !== 'object') {
+    throw new Error(
+      '[publint] The `pack` option must be set to an object with `tarball` or `files` to work in the browser',
+    )
+  }
+
+  if ('tarball' in pack) {
+    const result = await unpack(pack.tarball)
+    return createResolutionMatrix({
+      vfs: createTarballVfs(result.files),
+      pkgDir: options.pkgDir ?? result.rootDir,
+      environments: options.environments,
+    })
+  }
+  return createResolutionMatrix({
+    vfs: createTarballVfs(pack.files),
+    pkgDir: options.pkgDir ?? '/',
+    environments: options.environments,
   })
 }
@@ -1,23 +1,187 @@
+import fs from 'node:fs/promises'
 import path from 'node:path'
 import { packAsList, unpack } from '@publint/pack'
+import { loadConfig } from './node/config.js'
 import { createNodeVfs } from './node/vfs-node.js'
+import { getWorkspacePackageDirs } from './node/workspace.js'
 import { core } from './shared/core.js'
+import { diffPackages } from './shared/diff.js'
+import { applyFixOperations } from './shared/fix.js'
+import { createResolutionMatrix } from './shared/resolution-matrix.js'
+import { createPromiseQueue } from './shared/utils.js'
 import { createTarballVfs } from './shared/vfs-tarball.js'
 
 /**
  * @type {import('./index.d.ts').publint}
  */
 export async function publint(options) {
-  const pack = options?.pack ?? 'auto'
+  const pkgDir = options?.pkgDir ?? process.cwd()
+  // The config can only be loaded from the file system, which isn't available
+  // if the user passes the tarball or files directly
+  const config =
+    typeof options?.pack === 'object' ? {} : await loadConfig(pkgDir)
+  const pack = options?.pack ?? config.pack ?? 'auto'
   // @ts-expect-error internal property passed from cli.js
   const log = options?._log ?? false
+  // @ts-expect-error internal property passed from `publintWorkspace`
+  const detectedPackageManager = options?._packageManager
 
-  /** @type {import('./shared/core.js').Vfs} */
-  let vfs
+  const ctx = await getPackageContext(
+    pkgDir,
+    pack === 'auto' && detectedPackageManager ? detectedPackageManager : pack,
+    log,
+  )
+
+  if (log) {
+    console.log('Linting...')
+  }
+
+  return core({
+    pkgDir: options?.pkgDir ?? ctx.pkgDir,
+    vfs: ctx.vfs,
+    level: options?.level ?? config.level ?? 'suggestion',
+    strict: options?.strict ?? config.strict ?? false,
+    rules: { ...config.rules, ...options?.rules },
+    ignore: [...(config.ignore ?? []), ...(options?.ignore ?? [])],
+    conditions: options?.conditions ?? config.conditions ?? [],
+    browserConditions:
+      options?.browserConditions ?? config.browserConditions ?? [],
+    _packedFiles: ctx.packedFiles,
+  })
+}
+
+/**
+ * @type {import('./index.d.ts').fix}
+ */
+export async function fix(options) {
+  if (typeof options?.pack === 'object') {
+    throw new Error(
+      '[publint] The `pack` option cannot be set to an object when fixing, as the package.json needs to be written to the file system',
+    )
+  }
+
+  const { messages } = await publint(options)
+
+  const pkgJsonPath = path.join(
+    options?.pkgDir ?? process.cwd(),
+    'package.json',
+  )
+  let pkgJsonContent = await fs.readFile(pkgJsonPath, 'utf8')
+
+  /** @type {import('./index.d.ts').Fix[]} */
+  const fixes = []
+  for (const message of messages) {
+    if (message.fix) fixes.push({ message, operations: message.fix })
+  }
+
+  if (fixes.length) {
+    pkgJsonContent = applyFixOperations(
+      pkgJsonContent,
+      fixes.flatMap((f) => f.operations),
+    )
+    await fs.writeFile(pkgJsonPath, pkgJsonContent)
+  }
+
+  return { fixes, pkg: JSON.parse(pkgJsonContent) }
+}
+
+/**
+ * @type {import('./index.d.ts').publintWorkspace}
+ */
+export async function publintWorkspace(options) {
+  const { rootDir = process.cwd(), ...publintOptions } = options ?? {}
+  const pkgDirs = await getWorkspacePackageDirs(rootDir)
+
+  // detect the package manager once for the whole workspace instead of for each package
   /** @type {string | undefined} */
-  let overridePkgDir
-  /** @type {string[] | undefined} */
-  let packedFiles
+  let packageManager
+  if ((publintOptions.pack ?? 'auto') === 'auto') {
+    packageManager = await detectPackageManager(rootDir)
+  }
+
+  /** @type {import('./index.d.ts').WorkspacePackageResult[]} */
+  const packages = new Array(pkgDirs.length)
+  const pq = createPromiseQueue()
+  for (let i = 0; i < pkgDirs.length; i++) {
+    pq.push(async () => {
+      const result = await publint({
+        ...publintOptions,
+        pkgDir: pkgDirs[i],
+        // @ts-expect-error internal property
+        _packageManager: packageManager,
+      })
+      packages[i] = { pkgDir: pkgDirs[i], ...result }
+    })
+  }
+  await pq.wait()
+
+  return { packages }
+}
+
+/**
+ * @type {import('./index.d.ts').getResolutionMatrix}
+ */
+export async function getResolutionMatrix(options) {
+  const pkgDir = options?.pkgDir ?? process.cwd()
+  const config =
+    typeof options?.pack === 'object' ? {} : await loadConfig(pkgDir)
+  const ctx = await getPackageContext(
+    pkgDir,
+    options?.pack ?? config.pack ?? 'auto',
+    false,
+  )
+  return createResolutionMatrix({
+    ...ctx,
+    pkgDir: options?.pkgDir ?? ctx.pkgDir,
+    environments: options?.environments ?? config.environments,
+  })
+}
+
+/**
+ * @type {import('./index.d.ts').diff}
+ */
+export async function diff(options) {
+  const [oldCtx, newCtx] = await Promise.all([
+    getDiffPackageContext(options.old),
+    getDiffPackageContext(options.new),
+  ])
+  return diffPackages(oldCtx, newCtx)
+}
+
+/**
+ * @param {import('./index.d.ts').DiffPackage} pkg
+ * @returns {Promise<import('./shared/diff.js').DiffPackageContext>}
+ */
+async function getDiffPackageContext(pkg) {
+  if ('tarball' in pkg) {
+    const result = await unpack(pkg.tarball)
+    return { vfs: createTarballVfs(result.files), pkgDir: result.rootDir }
+  }
+
+  const pack = pkg.pack ?? 'auto'
+  if (pack === false) {
+    return { vfs: createNodeVfs(), pkgDir: pkg.pkgDir }
+  }
+  // read the packed files only so that the files that are not published are not compared
+  const packedFiles = await detectAndPack(pkg.pkgDir, pack, false)
+  const files = await Promise.all(
+    packedFiles.map(async (filePath) => ({
+      name:
+        'package/' + path.relative(pkg.pkgDir, filePath).replace(/\\/g, '/'),
+      data: new Uint8Array(await fs.readFile(filePath)),
+    })),
+  )
+  return { vfs: createTarballVfs(files), pkgDir: 'package' }
+}
+
+/**
+ * Get the vfs and the packed files of the package to lint
+ * @param {string} pkgDir
+ * @param {NonNullable<import('./index.d.ts').Options['pack']>} pack
+ * @param {boolean} log
+ * @returns {Promise<{ vfs: import('./shared/core.js').Vfs, pkgDir: string, packedFiles?: string[] }>}
+ */
+async function getPackageContext(pkgDir, pack, log) {
   // If a pack object is provided, that means the user declares its own virtual
   // file system, e.g. for cases where they have the tarball file in hand or prefers
   if (typeof pack === 'object') {
@@ -26,33 +190,18 @@ export async function publint(options) {
         console.log('Unpacking tarball...')
       }
       const result = await unpack(pack.tarball)
-      vfs = createTarballVfs(result.files)
-      overridePkgDir = result.rootDir
-    } else {
-      vfs = createTarballVfs(pack.files)
+      return { vfs: createTarballVfs(result.files), pkgDir: result.rootDir }
     }
+    return { vfs: createTarballVfs(pack.files), pkgDir }
   }
   // The rest options are used for manual packing and falls back to node vfs.
   // Only this flow allows publint to differentiate files that exist but not published.
-  else {
-    if (pack !== false) {
-      const pkgDir = options?.pkgDir ?? process.cwd()
-      packedFiles = await detectAndPack(pkgDir, pack, log)
-    }
-    vfs = createNodeVfs()
-  }
-
-  if (log) {
-    console.log('Linting...')
+  /** @type {string[] | undefined} */
+  let packedFiles
+  if (pack !== false) {
+    packedFiles = await detectAndPack(pkgDir, pack, log)
   }
-
-  return core({
-    pkgDir: options?.pkgDir ?? overridePkgDir ?? process.cwd(),
-    vfs,
-    level: options?.level ?? 'suggestion',
-    strict: options?.strict ?? false,
-    _packedFiles: packedFiles,
-  })
+  return { vfs: createNodeVfs(), pkgDir, packedFiles }
 }
 
 /**
@@ -69,13 +218,7 @@ async function detectAndPack(pkgDir, pack, log) {
   let packageManager = pack
 
   if (packageManager === 'auto') {
-    const { detect } = await import('package-manager-detector/detect')
-    let detected = (await detect({ cwd: pkgDir }))?.name ?? 'npm'
-    // Deno is not supported in `@publint/pack` (doesn't have a pack command)
-    if (detected === 'deno') {
-      detected = 'npm'
-    }
-    packageManager = detected
+    packageManager = await detectPackageManager(pkgDir)
   }
 
   // When packing, we want to ignore scripts as `publint` itself could be used in one of them and could
@@ -102,3 +245,13 @@ async function detectAndPack(pkgDir, pack, log) {
   const list = await packAsList(pkgDir, { packageManager, ignoreScripts: true })
   return list.map((file) => path.join(pkgDir, file))
 }
+
+/**
+ * @param {string} cwd
+ */
+async function detectPackageManager(cwd) {
+  const { detect } = await import('package-manager-detector/detect')
+  const detected = (await detect({ cwd }))?.name ?? 'npm'
+  // Deno is not supported in `@publint/pack` (doesn't have a pack command)
+  return detected === 'deno' ? 'npm' : detected
+}
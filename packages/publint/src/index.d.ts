@@ -17,12 +17,71 @@ interface BaseMessage<Code extends string, Args = Record<string, string>> {
    * The type of message for sorting
    */
   type: MessageType
+  /**
+   * The location of `path` in the package.json. If `path` doesn't exist, it's
+   * the location of the nearest existing parent key.
+   */
+  loc?: MessageLocation
+  /**
+   * The operations to fix the message in the package.json, if it can be fixed
+   * mechanically. They can be applied with the `fix` API or the `--fix` CLI flag.
+   */
+  fix?: FixOperation[]
+}
+
+export interface MessageLocation {
+  start: MessagePosition
+  end: MessagePosition
+}
+
+/**
+ * The TypeScript `"moduleResolution"` modes that the types are resolved with. `node16`
+ * is split by how the package is imported.
+ */
+export type TypesResolutionMode =
+  | 'node10'
+  | 'node16-import'
+  | 'node16-require'
+  | 'bundler'
+
+export interface MessagePosition {
+  /**
+   * 1-based line number
+   */
+  line: number
+  /**
+   * 1-based column number
+   */
+  column: number
+}
+
+/**
+ * The code that proves a file is ESM or CJS, e.g. an import declaration or `module.exports`,
+ * or other syntax that a message is based on, e.g. a top-level await
+ */
+export interface CodeFormatEvidence {
+  /**
+   * The code from the start of the syntax to the end of the line, truncated if too long
+   */
+  statement: string
+  /**
+   * 1-based line number
+   */
+  line: number
+  /**
+   * 1-based column number
+   */
+  column: number
 }
 
 export type Message =
   | BaseMessage<
       'IMPLICIT_INDEX_JS_INVALID_FORMAT',
-      { actualFormat: string; expectFormat: string }
+      {
+        actualFormat: string
+        expectFormat: string
+        evidence?: CodeFormatEvidence
+      }
     >
   | BaseMessage<
       'FILE_INVALID_FORMAT',
@@ -32,6 +91,10 @@ export type Message =
         actualExtension: string
         expectExtension: string
         actualFilePath?: string
+        /**
+         * The code that the actual format is detected from
+         */
+        evidence?: CodeFormatEvidence
       }
     >
   | BaseMessage<
@@ -42,6 +105,10 @@ export type Message =
         actualExtension: string
         expectExtension: string
         actualFilePath?: string
+        /**
+         * The code that the actual format is detected from
+         */
+        evidence?: CodeFormatEvidence
       }
     >
   | BaseMessage<
@@ -50,7 +117,15 @@ export type Message =
     >
   | BaseMessage<'FILE_DOES_NOT_EXIST'>
   | BaseMessage<'FILE_NOT_PUBLISHED'>
-  | BaseMessage<'MODULE_SHOULD_BE_ESM'>
+  | BaseMessage<
+      'MODULE_SHOULD_BE_ESM',
+      {
+        /**
+         * The code that the CJS format is detected from
+         */
+        evidence?: CodeFormatEvidence
+      }
+    >
   | BaseMessage<'HAS_MODULE_BUT_NO_EXPORTS'>
   | BaseMessage<'HAS_ESM_MAIN_BUT_NO_EXPORTS'>
   | BaseMessage<'EXPORTS_GLOB_NO_MATCHED_FILES'>
@@ -63,8 +138,30 @@ export type Message =
     >
   | BaseMessage<'EXPORTS_TYPES_SHOULD_BE_FIRST'>
   | BaseMessage<'EXPORTS_MODULE_SHOULD_PRECEDE_REQUIRE'>
+  | BaseMessage<
+      'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+      {
+        /**
+         * The first `"import"` or `"require"` condition that precedes `"module-sync"`
+         */
+        condition: 'import' | 'require'
+        /**
+         * The `"import"` and `"require"` conditions that precede `"module-sync"`, which
+         * take precedence when Node.js imports or requires the package respectively.
+         * If both precede it, `"module-sync"` is never matched.
+         */
+        shadowedConditions: ('import' | 'require')[]
+      }
+    >
+  | BaseMessage<
+      'EXPORTS_MODULE_SYNC_SHOULD_BE_ESM',
+      { evidence?: CodeFormatEvidence }
+    >
   | BaseMessage<'EXPORTS_DEFAULT_SHOULD_BE_LAST'>
-  | BaseMessage<'EXPORTS_MODULE_SHOULD_BE_ESM'>
+  | BaseMessage<
+      'EXPORTS_MODULE_SHOULD_BE_ESM',
+      { evidence?: CodeFormatEvidence }
+    >
   | BaseMessage<'EXPORTS_VALUE_INVALID', { suggestValue: string }>
   | BaseMessage<'EXPORTS_MISSING_ROOT_ENTRYPOINT', { mainFields: string[] }>
   | BaseMessage<'EXPORTS_FALLBACK_ARRAY_USE'>
@@ -125,6 +222,157 @@ export type Message =
         }
     >
   | BaseMessage<'LOCAL_DEPENDENCY'>
+  | BaseMessage<
+      'DEPENDENCY_NOT_DECLARED',
+      {
+        packageName: string
+        /**
+         * The published file that imports the package, relative to the package directory
+         */
+        filePath: string
+      }
+    >
+  | BaseMessage<
+      'TYPES_NOT_RESOLVED',
+      {
+        subpath: string
+        moduleResolution: TypesResolutionMode
+      }
+    >
+  | BaseMessage<
+      'TYPES_MASQUERADING_FORMAT',
+      {
+        subpath: string
+        moduleResolution: 'node16-import' | 'node16-require'
+        /**
+         * The resolved declaration file, relative to the package directory
+         */
+        typesFilePath: string
+        typesFormat: 'ESM' | 'CJS'
+        /**
+         * The resolved JS file, relative to the package directory
+         */
+        filePath: string
+        format: 'ESM' | 'CJS'
+      }
+    >
+  | BaseMessage<
+      'CJS_NAMED_EXPORTS_NOT_DETECTED',
+      {
+        subpath: string
+        /**
+         * The CJS file imported by ESM, relative to the package directory
+         */
+        filePath: string
+        /**
+         * The declaration file of the CJS file, relative to the package directory
+         */
+        typesFilePath: string
+        /**
+         * The named exports declared in the types that Node.js doesn't detect
+         */
+        missingExports: string[]
+      }
+    >
+  | BaseMessage<
+      'REQUIRE_ESM_TOP_LEVEL_AWAIT',
+      {
+        /**
+         * The files from the entrypoint to the file with top-level await, relative to the
+         * package directory
+         */
+        importChain: string[]
+        /**
+         * The top-level await in the last file of the import chain
+         */
+        evidence: CodeFormatEvidence
+      }
+    >
+  | BaseMessage<'TYPES_VERSIONS_INVALID_RANGE', { range: string }>
+  | BaseMessage<'TYPES_VERSIONS_MAPPING_NOT_RESOLVED', { key: string }>
+  | BaseMessage<
+      'TYPES_VERSIONS_SHADOWS_EXPORTS',
+      {
+        subpath: string
+        /**
+         * The declaration file resolved via `"typesVersions"`, relative to the package directory
+         */
+        typesFilePath: string
+        /**
+         * The declaration file resolved via `"exports"`, relative to the package directory
+         */
+        exportsTypesFilePath: string
+      }
+    >
+  | BaseMessage<
+      'TYPES_VERSIONS_CAN_BE_SIMPLIFIED',
+      { suggestValue: Record<string, string[]> }
+    >
+  | BaseMessage<'SIDE_EFFECTS_GLOB_NO_MATCHED_FILES'>
+  | BaseMessage<
+      'SIDE_EFFECTS_EXCLUDES_CSS',
+      {
+        /**
+         * The exported CSS file that is not matched by `"sideEffects"`, relative to the
+         * package directory
+         */
+        filePath: string
+        exportsPath: string[]
+      }
+    >
+  | BaseMessage<
+      'IMPORTED_FILE_DOES_NOT_EXIST',
+      {
+        specifier: string
+        /**
+         * The published files from the entrypoint to the file that imports the specifier,
+         * relative to the package directory
+         */
+        importChain: string[]
+      }
+    >
+  | BaseMessage<
+      'IMPORTED_FILE_NOT_PUBLISHED',
+      {
+        specifier: string
+        /**
+         * The published files from the entrypoint to the file that imports the specifier,
+         * relative to the package directory
+         */
+        importChain: string[]
+      }
+    >
+  | BaseMessage<
+      'TYPES_IMPORTED_FILE_DOES_NOT_EXIST',
+      {
+        specifier: string
+        /**
+         * The published declaration files from the entrypoint to the file that imports the specifier,
+         * relative to the package directory
+         */
+        importChain: string[]
+      }
+    >
+  | BaseMessage<
+      'TYPES_IMPORTED_FILE_NOT_PUBLISHED',
+      {
+        specifier: string
+        /**
+         * The published declaration files from the entrypoint to the file that imports the specifier,
+         * relative to the package directory
+         */
+        importChain: string[]
+      }
+    >
+  | BaseMessage<
+      'DEPENDENCY_IN_DEV_DEPENDENCIES',
+      {
+        /**
+         * The published file that imports the package, relative to the package directory
+         */
+        filePath: string
+      }
+    >
   | BaseMessage<'BIN_FILE_NOT_EXECUTABLE'>
   | BaseMessage<
       'IMPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING',
@@ -138,7 +386,29 @@ export type Message =
   | BaseMessage<'IMPORTS_GLOB_NO_MATCHED_FILES'>
   | BaseMessage<'IMPORTS_DEFAULT_SHOULD_BE_LAST'>
   | BaseMessage<'IMPORTS_MODULE_SHOULD_PRECEDE_REQUIRE'>
-  | BaseMessage<'IMPORTS_MODULE_SHOULD_BE_ESM'>
+  | BaseMessage<
+      'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+      {
+        /**
+         * The first `"import"` or `"require"` condition that precedes `"module-sync"`
+         */
+        condition: 'import' | 'require'
+        /**
+         * The `"import"` and `"require"` conditions that precede `"module-sync"`, which
+         * take precedence when Node.js imports or requires the package respectively.
+         * If both precede it, `"module-sync"` is never matched.
+         */
+        shadowedConditions: ('import' | 'require')[]
+      }
+    >
+  | BaseMessage<
+      'IMPORTS_MODULE_SYNC_SHOULD_BE_ESM',
+      { evidence?: CodeFormatEvidence }
+    >
+  | BaseMessage<
+      'IMPORTS_MODULE_SHOULD_BE_ESM',
+      { evidence?: CodeFormatEvidence }
+    >
   | BaseMessage<'IMPORTS_FALLBACK_ARRAY_USE'>
 
 export interface PackFile {
@@ -198,10 +468,80 @@ export interface Options {
    * Report warnings as errors.
    */
   strict?: boolean
+  /**
+   * Override the severity of messages by their code, or disable them with `'off'`.
+   * The overrides are applied before `strict` and `level`. For example:
+   *
+   * ```js
+   * {
+   *   TYPES_NOT_EXPORTED: 'error',
+   *   EXPORTS_FALLBACK_ARRAY_USE: 'off',
+   * }
+   * ```
+   */
+  rules?: Partial<Record<Message['code'], 'off' | MessageType>>
+  /**
+   * Suppress messages of a specific code at a specific path in the package.json.
+   * Suppressed messages are not reported in `messages`, but are returned separately
+   * in `suppressedMessages` so they can be reviewed. For example:
+   *
+   * ```js
+   * [{ code: 'FILE_INVALID_FORMAT', path: 'exports../legacy.*' }]
+   * ```
+   *
+   * The `path` can be the message path joined by `.` (e.g. `'exports../legacy.*'`), in
+   * the formatted form (e.g. `'pkg.exports["./legacy.*"]'`), or an array of keys (e.g.
+   * `['exports', './legacy.*']`). Messages nested within the path are also suppressed.
+   * If `path` is not set, all messages of the code are suppressed.
+   */
+  ignore?: IgnoreEntry[]
+  /**
+   * Custom conditions that the consumers of the package resolve with, e.g. `'source'`,
+   * `'development'`, or `'react-server'`. The types in `"exports"` are also checked
+   * when resolving with these conditions, in addition to `node`, `browser`, and `worker`.
+   */
+  conditions?: string[]
+  /**
+   * Custom conditions that are resolved in browser-like environments, in addition to the known
+   * `worker`, `workerd`, and `edge-light` conditions. Entrypoints of these conditions are checked
+   * for conflicts with `"browser"` and are not checked for their format, like the `browser`
+   * condition. The types in `"exports"` are also checked when resolving with these conditions.
+   */
+  browserConditions?: string[]
+}
+
+export interface IgnoreEntry {
+  code: Message['code']
+  path?: string | string[]
+}
+
+/**
+ * The project config that is loaded from `publint.config.js`, `publint.config.mjs`,
+ * `publint.config.json`, or the `"publint"` field in package.json (in that order).
+ * Options passed explicitly to the API or CLI take precedence over the config.
+ *
+ * ::: info Environment notes
+ * - **Node.js**: The config is loaded from `pkgDir`, unless `pack` is set to `{ tarball }` or `{ files }`.
+ * - **Browser**: The config is not loaded.
+ * :::
+ */
+export interface Config {
+  level?: Options['level']
+  pack?: Exclude<Options['pack'], object>
+  strict?: Options['strict']
+  rules?: Options['rules']
+  ignore?: Options['ignore']
+  conditions?: Options['conditions']
+  browserConditions?: Options['browserConditions']
+  environments?: ResolutionMatrixOptions['environments']
 }
 
 export interface Result {
   messages: Message[]
+  /**
+   * The messages that are suppressed by the `ignore` option.
+   */
+  suppressedMessages: Message[]
   /**
    * The package.json of the linted package. This is exposed so
    * it can be easily passed to `formatMessage`.
@@ -210,3 +550,324 @@ export interface Result {
 }
 
 export declare function publint(options?: Options): Promise<Result>
+
+export interface WorkspaceOptions extends Omit<Options, 'pkgDir' | 'pack'> {
+  /**
+   * Path to the workspace root that contains a `pnpm-workspace.yaml` file or a
+   * package.json with the `"workspaces"` field. Defaults to `process.cwd()`.
+   */
+  rootDir?: string
+  /**
+   * The package manager to use for packing each package. If `'auto'`, it's
+   * detected once from `rootDir`. See `Options['pack']` for more information.
+   */
+  pack?: Exclude<Options['pack'], object>
+}
+
+export interface WorkspacePackageResult extends Result {
+  /**
+   * The absolute path to the package directory
+   */
+  pkgDir: string
+}
+
+export interface WorkspaceResult {
+  /**
+   * The results of each linted package, sorted by their directory path
+   */
+  packages: WorkspacePackageResult[]
+}
+
+/**
+ * Lint all packages in a workspace in parallel. The workspace packages are found
+ * from the `"packages"` in `pnpm-workspace.yaml`, or the `"workspaces"` field in
+ * package.json. Packages with `"private": true` are skipped. Each package loads
+ * its own config.
+ *
+ * ::: info Environment notes
+ * - **Node.js**: Supported.
+ * - **Browser**: Not supported.
+ * :::
+ */
+export declare function publintWorkspace(
+  options?: WorkspaceOptions,
+): Promise<WorkspaceResult>
+
+/**
+ * An operation to fix a message in the package.json. `path` is the path to the
+ * key in the package.json before any fixes are applied.
+ * - `set`: Sets the value of the key.
+ * - `rename`: Renames the key while keeping its position in the object.
+ * - `move`: Moves the key to the first or last position in the object, or before another key.
+ * - `delete`: Deletes the key.
+ */
+export type FixOperation =
+  | { op: 'set'; path: string[]; value: any }
+  | { op: 'delete'; path: string[] }
+  | { op: 'rename'; path: string[]; key: string }
+  | {
+      op: 'move'
+      path: string[]
+      position: 'first' | 'last' | { before: string }
+    }
+
+export interface Fix {
+  /**
+   * The message that is fixed
+   */
+  message: Message
+  /**
+   * The operations applied to the package.json to fix the message
+   */
+  operations: FixOperation[]
+}
+
+export interface FixResult {
+  /**
+   * The fixes applied to the package.json. If empty, the package.json is not written.
+   */
+  fixes: Fix[]
+  /**
+   * The package.json of the package after the fixes are applied.
+   */
+  pkg: Record<string, any>
+}
+
+/**
+ * Lint the package and fix the messages that can be fixed mechanically by
+ * rewriting the package.json in place. The indentation and order of the other
+ * keys are preserved.
+ *
+ * ::: info Environment notes
+ * - **Node.js**: The `pack` option cannot be `{ tarball }` or `{ files }` as the package.json
+ *                needs to be written to the file system.
+ * - **Browser**: Not supported.
+ * :::
+ */
+export declare function fix(options?: Options): Promise<FixResult>
+
+interface BaseDiffMessage<Code extends string, Args = Record<string, string>> {
+  /**
+   * The message code to narrow the message type
+   */
+  code: Code
+  /**
+   * Arguments used to be the final message
+   */
+  args: Args
+}
+
+/**
+ * A breaking change in the export surface of the new package
+ */
+export type DiffMessage =
+  | BaseDiffMessage<
+      'EXPORTS_SUBPATH_REMOVED',
+      {
+        subpath: string
+        /**
+         * If set, the subpath is still exported, but can no longer be resolved with this condition
+         */
+        condition?: string
+      }
+    >
+  | BaseDiffMessage<
+      'ENTRYPOINT_FORMAT_CHANGED',
+      {
+        subpath: string
+        condition: string
+        oldFormat: string
+        newFormat: string
+        oldFilePath: string
+        newFilePath: string
+      }
+    >
+  | BaseDiffMessage<'EXPORTS_ADDED', {}>
+  | BaseDiffMessage<
+      'TYPES_REMOVED',
+      {
+        subpath: string
+        /**
+         * If set, the subpath still has types with other conditions, but no longer has
+         * types when resolved with this condition
+         */
+        condition?: string
+      }
+    >
+  | BaseDiffMessage<'BIN_REMOVED', { command: string }>
+  | BaseDiffMessage<
+      'ENGINES_NARROWED',
+      {
+        engine: string
+        /**
+         * `undefined` if the engine was not specified before
+         */
+        oldRange: string | undefined
+        newRange: string
+      }
+    >
+
+/**
+ * The package to compare.
+ * - `{ tarball }`: The packed tarball represented as an `ArrayBuffer` or a `ReadableStream`.
+ * - `{ pkgDir, pack }`: The package directory, which is packed with `pack` (default: `'auto'`)
+ *                       so only the published files are compared. See `Options['pack']` for
+ *                       more information.
+ *
+ * ::: info Environment notes
+ * - **Node.js**: All options above are supported.
+ * - **Browser**: Only `{ tarball }` is supported.
+ * :::
+ */
+export type DiffPackage =
+  | { tarball: ArrayBuffer | ReadableStream<Uint8Array> }
+  | { pkgDir: string; pack?: Exclude<Options['pack'], object> }
+
+export interface DiffOptions {
+  /**
+   * The previous version of the package, e.g. the last published tarball
+   */
+  old: DiffPackage
+  /**
+   * The new version of the package, e.g. the package about to be published
+   */
+  new: DiffPackage
+}
+
+export interface DiffResult {
+  /**
+   * The breaking changes found in the new package
+   */
+  messages: DiffMessage[]
+  /**
+   * The package.json of the old package
+   */
+  oldPkg: Record<string, any>
+  /**
+   * The package.json of the new package
+   */
+  newPkg: Record<string, any>
+}
+
+/**
+ * Compare two versions of a package and report the breaking changes in the export
+ * surface of the new package: removed `"exports"` subpaths, entrypoints whose format
+ * changed between ESM and CJS, removed types, removed `"bin"` commands, and narrowed
+ * `"engines"`.
+ */
+export declare function diff(options: DiffOptions): Promise<DiffResult>
+
+export interface ResolutionEnvironment {
+  /**
+   * The name of the environment, e.g. `'node-import'`
+   */
+  name: string
+  /**
+   * The conditions to resolve `"exports"` with. The `default` condition is always matched.
+   */
+  conditions: string[]
+  /**
+   * Whether the environment resolves types like TypeScript, which falls back to the
+   * adjacent `.d.ts` file of a resolved JS file
+   */
+  types?: boolean
+}
+
+export interface ResolutionMatrixOptions {
+  /**
+   * Path to your package that contains a package.json file. Same as `Options['pkgDir']`.
+   */
+  pkgDir?: string
+  /**
+   * How the package is packed. Same as `Options['pack']`. Files that are not
+   * packed are reported as not existing.
+   */
+  pack?: Options['pack']
+  /**
+   * The environments to resolve the subpaths in. Defaults to the `node-import`, `node-require`,
+   * `browser-import`, `worker`, `types-bundler`, and `types-node16` environments. For example,
+   * to also resolve with a custom condition:
+   *
+   * ```js
+   * [{ name: 'react-server', conditions: ['react-server', 'node', 'import'] }]
+   * ```
+   */
+  environments?: ResolutionEnvironment[]
+}
+
+export interface ResolutionMatrixEntry {
+  /**
+   * The name of the environment the subpath is resolved in
+   */
+  environment: string
+  /**
+   * The target that the subpath resolves to in `"exports"`, or the `"main"` and `"types"`
+   * fields if the package doesn't have `"exports"`
+   */
+  target?: string
+  /**
+   * The file path of the resolved target relative to the package directory. It's the
+   * adjacent `.d.ts` file of the target in environments that resolve types.
+   */
+  filePath?: string
+  /**
+   * Whether the file exists and is published
+   */
+  exists: boolean
+  /**
+   * The format the file is interpreted as from its extension and the `"type"` field
+   */
+  format?: 'ESM' | 'CJS'
+  /**
+   * The format detected from the file content
+   */
+  codeFormat?: 'ESM' | 'CJS' | 'unknown'
+  /**
+   * How confident the detected `codeFormat` is. It's `'low'` if the code is only detected
+   * as CJS from `require()` calls, or if the format is unknown.
+   */
+  codeFormatConfidence?: 'high' | 'low'
+  /**
+   * The error code if the subpath can't be resolved in the environment, e.g. `'ERR_PACKAGE_PATH_NOT_EXPORTED'`
+   */
+  error?: string
+}
+
+export interface ResolutionMatrixSubpath {
+  /**
+   * The subpath that is resolved, e.g. `'./utils'`. Glob subpaths are expanded to
+   * the files they match, or kept as is if they don't match any files.
+   */
+  subpath: string
+  /**
+   * The key in `"exports"` that the subpath comes from, e.g. `'./*'`
+   */
+  exportsKey: string
+  /**
+   * The resolution of the subpath in each environment, in the order of `environments`
+   */
+  entries: ResolutionMatrixEntry[]
+}
+
+export interface ResolutionMatrix {
+  /**
+   * The package.json of the package
+   */
+  pkg: Record<string, any>
+  /**
+   * The environments that the subpaths are resolved in
+   */
+  environments: ResolutionEnvironment[]
+  /**
+   * The resolved subpaths. If the package doesn't have `"exports"`, only `"."` is resolved.
+   */
+  subpaths: ResolutionMatrixSubpath[]
+}
+
+/**
+ * Resolve every `"exports"` subpath of the package in each environment, with the
+ * resolved file, its format, and whether it exists.
+ */
+export declare function getResolutionMatrix(
+  options?: ResolutionMatrixOptions,
+): Promise<ResolutionMatrix>
@@ -0,0 +1,166 @@
+import fs from 'node:fs/promises'
+
+/**
+ * @typedef {{
+ *   code: import('../index.d.ts').Message['code'],
+ *   path: string[],
+ *   args: Record<string, any>,
+ * }} BaselineEntry
+ */
+
+// the args that describe where a problem is found rather than the problem itself. They
+// can change with unrelated edits, e.g. the line of the code that the format is detected
+// from, or the files that import a broken import, so the messages aren't matched by them.
+const locationArgKeys = ['evidence', 'importChain']
+
+/**
+ * The baseline file maps the package names to their baselined messages, so a single
+ * file can be shared by multiple packages, e.g. in a workspace.
+ * @typedef {Record<string, BaselineEntry[]>} Baseline
+ */
+
+/**
+ * Read the baseline file. Returns `undefined` if it doesn't exist.
+ * @param {string} filePath
+ * @returns {Promise<Baseline | undefined>}
+ */
+export async function readBaseline(filePath) {
+  /** @type {string} */
+  let content
+  try {
+    content = await fs.readFile(filePath, 'utf8')
+  } catch {
+    return
+  }
+
+  /** @type {unknown} */
+  let baseline
+  try {
+    baseline = JSON.parse(content)
+  } catch (e) {
+    throw new Error(`[publint] Unable to parse the baseline at ${filePath}`, {
+      cause: e,
+    })
+  }
+  if (
+    typeof baseline !== 'object' ||
+    baseline == null ||
+    Array.isArray(baseline) ||
+    !Object.values(baseline).every(Array.isArray)
+  ) {
+    throw new Error(
+      `[publint] The baseline at ${filePath} must be an object of package names to arrays of messages`,
+    )
+  }
+  return /** @type {Baseline} */ (baseline)
+}
+
+/**
+ * @param {string} filePath
+ * @param {Baseline} baseline
+ */
+export async function writeBaseline(filePath, baseline) {
+  /** @type {Baseline} */
+  const sorted = {}
+  for (const pkgName of Object.keys(baseline).sort()) {
+    if (baseline[pkgName].length) sorted[pkgName] = baseline[pkgName]
+  }
+  await fs.writeFile(filePath, JSON.stringify(sorted, null, 2) + '\n')
+}
+
+/**
+ * Create the baseline entries of the messages, sorted so that the file has stable diffs
+ * @param {import('../index.d.ts').Message[]} messages
+ * @returns {BaselineEntry[]}
+ */
+export function createBaselineEntries(messages) {
+  return messages
+    .map((m) => ({ code: m.code, path: m.path, args: getBaselineArgs(m.args) }))
+    .sort((a, b) => getBaselineKey(a).localeCompare(getBaselineKey(b)))
+}
+
+/**
+ * Split the messages to the ones that are new and the ones that are in the baseline.
+ * The baseline entries that no longer match any messages are returned as fixed.
+ * @param {import('../index.d.ts').Message[]} messages
+ * @param {BaselineEntry[]} entries
+ */
+export function applyBaseline(messages, entries) {
+  // a message can be reported multiple times with the same key, so count them
+  /** @type {Map<string, number>} */
+  const counts = new Map()
+  for (const entry of entries) {
+    const key = getBaselineKey(entry)
+    counts.set(key, (counts.get(key) ?? 0) + 1)
+  }
+
+  /** @type {import('../index.d.ts').Message[]} */
+  const newMessages = []
+  /** @type {import('../index.d.ts').Message[]} */
+  const baselinedMessages = []
+  for (const message of messages) {
+    const key = getBaselineKey(message)
+    const count = counts.get(key) ?? 0
+    if (count > 0) {
+      counts.set(key, count - 1)
+      baselinedMessages.push(message)
+    } else {
+      newMessages.push(message)
+    }
+  }
+
+  /** @type {BaselineEntry[]} */
+  const fixedEntries = []
+  for (const entry of entries) {
+    const key = getBaselineKey(entry)
+    const count = counts.get(key) ?? 0
+    if (count > 0) {
+      counts.set(key, count - 1)
+      fixedEntries.push(entry)
+    }
+  }
+
+  return { newMessages, baselinedMessages, fixedEntries }
+}
+
+/**
+ * Get the stable identity of the message, i.e. its code, path, and the args that
+ * identify the problem
+ * @param {Pick<BaselineEntry, 'code' | 'path' | 'args'>} entry
+ */
+function getBaselineKey(entry) {
+  return JSON.stringify([
+    entry.code,
+    entry.path,
+    sortKeys(getBaselineArgs(entry.args)),
+  ])
+}
+
+/**
+ * Get the args that identify the problem of the message
+ * @param {Record<string, any>} args
+ */
+function getBaselineArgs(args) {
+  if (!locationArgKeys.some((key) => key in args)) return args
+  /** @type {Record<string, any>} */
+  const identityArgs = {}
+  for (const key in args) {
+    if (!locationArgKeys.includes(key)) identityArgs[key] = args[key]
+  }
+  return identityArgs
+}
+
+/**
+ * @param {any} value
+ * @returns {any}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (typeof value !== 'object' || value == null) return value
+  /** @type {Record<string, any>} */
+  const sorted = {}
+  for (const key of Object.keys(value).sort()) {
+    sorted[key] = sortKeys(value[key])
+  }
+  return sorted
+}
@@ -0,0 +1,125 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+
+// the config files are checked in order, and the first found is used. the
+// `"publint"` field in package.json is used if none of these exist.
+const configFileNames = [
+  'publint.config.js',
+  'publint.config.mjs',
+  'publint.config.json',
+]
+
+/**
+ * Find and load the publint config for the package at `pkgDir`
+ * @param {string} pkgDir
+ * @returns {Promise<import('../index.d.ts').Config>}
+ */
+export async function loadConfig(pkgDir) {
+  for (const fileName of configFileNames) {
+    const configPath = path.join(pkgDir, fileName)
+    const exists = await fs.access(configPath).then(
+      () => true,
+      () => false,
+    )
+    if (!exists) continue
+
+    /** @type {unknown} */
+    let config
+    try {
+      if (fileName.endsWith('.json')) {
+        config = JSON.parse(await fs.readFile(configPath, 'utf8'))
+      } else {
+        const mod = await import(pathToFileURL(configPath).href)
+        config = mod.default ?? mod
+      }
+    } catch (e) {
+      throw new Error(`[publint] Unable to load config at ${configPath}`, {
+        cause: e,
+      })
+    }
+    return validateConfig(config, configPath)
+  }
+
+  // fallback to the `"publint"` field in package.json. if the package.json doesn't
+  // exist or is malformed, let `core` handle the error later instead.
+  const pkgJsonPath = path.join(pkgDir, 'package.json')
+  /** @type {Record<string, any>} */
+  let pkgJson
+  try {
+    pkgJson = JSON.parse(await fs.readFile(pkgJsonPath, 'utf8'))
+  } catch {
+    return {}
+  }
+  if (pkgJson.publint != null) {
+    return validateConfig(pkgJson.publint, `${pkgJsonPath} "publint" field`)
+  }
+  return {}
+}
+
+const levels = ['suggestion', 'warning', 'error']
+const packValues = ['auto', 'npm', 'yarn', 'pnpm', 'bun', false]
+
+/**
+ * The config options mapped to their validation, and the expected value in the error
+ * message when it's invalid
+ * @type {Record<keyof import('../index.d.ts').Config, [(value: unknown) => boolean, string]>}
+ */
+const configOptions = {
+  level: [
+    (v) => levels.includes(/** @type {any} */ (v)),
+    `one of ${levels.map((l) => `"${l}"`).join(', ')}`,
+  ],
+  pack: [
+    (v) => packValues.includes(/** @type {any} */ (v)),
+    `one of ${packValues.map((p) => JSON.stringify(p)).join(', ')}`,
+  ],
+  strict: [(v) => typeof v === 'boolean', 'a boolean'],
+  rules: [
+    (v) => typeof v === 'object' && v != null && !Array.isArray(v),
+    'an object of message codes to severities',
+  ],
+  ignore: [(v) => Array.isArray(v), 'an array of ignore entries'],
+  conditions: [isStringArray, 'an array of strings'],
+  browserConditions: [isStringArray, 'an array of strings'],
+  environments: [(v) => Array.isArray(v), 'an array of environments'],
+}
+
+/**
+ * @param {unknown} config
+ * @param {string} configPath
+ * @returns {import('../index.d.ts').Config}
+ */
+function validateConfig(config, configPath) {
+  if (typeof config !== 'object' || config == null || Array.isArray(config)) {
+    throw new Error(
+      `[publint] The config at ${configPath} must be an object, but got ${JSON.stringify(config)}`,
+    )
+  }
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in configOptions)) {
+      throw new Error(
+        `[publint] Unknown option "${key}" in the config at ${configPath}. ` +
+          `Expected one of ${Object.keys(configOptions)
+            .map((k) => `"${k}"`)
+            .join(', ')}.`,
+      )
+    }
+    const [isValid, expected] =
+      configOptions[/** @type {keyof typeof configOptions} */ (key)]
+    if (value != null && !isValid(value)) {
+      throw new Error(
+        `[publint] Invalid "${key}" option ${JSON.stringify(value)} in the config at ${configPath}. ` +
+          `Expected ${expected}.`,
+      )
+    }
+  }
+  return /** @type {import('../index.d.ts').Config} */ (config)
+}
+
+/**
+ * @param {unknown} value
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === 'string')
+}
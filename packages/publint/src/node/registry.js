@@ -0,0 +1,215 @@
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { compareVersions, isVersionInRange } from '../shared/utils.js'
+
+const defaultRegistry = 'https://registry.npmjs.org/'
+
+/**
+ * Parse a `npm:<name>@<version>` spec. The version defaults to `latest` and can
+ * be an exact version, a dist-tag, or a semver range.
+ * @param {string} spec
+ * @returns {{ name: string, version: string } | undefined}
+ */
+export function parseNpmSpec(spec) {
+  if (!spec.startsWith('npm:')) return
+  const nameAndVersion = spec.slice('npm:'.length)
+  // skip the first character as scoped packages start with `@`
+  const versionIndex = nameAndVersion.indexOf('@', 1)
+  const name =
+    versionIndex === -1 ? nameAndVersion : nameAndVersion.slice(0, versionIndex)
+  const version =
+    versionIndex === -1 ? 'latest' : nameAndVersion.slice(versionIndex + 1)
+  if (!name || !version) return
+  return { name, version }
+}
+
+/**
+ * Get the registry URL for the package. It's resolved from the `npm_config_registry`
+ * environment variable, the nearest `.npmrc` from `cwd`, and the user `.npmrc` (in that
+ * order). Scoped registries, e.g. `@scope:registry=`, are also supported.
+ * @param {string} name
+ * @param {string} cwd
+ */
+export async function getRegistryUrl(name, cwd) {
+  const scope = name.startsWith('@') ? name.split('/')[0] : undefined
+  const npmrcs = await readNpmrcs(cwd)
+
+  if (scope) {
+    const scopeKey = `${scope}:registry`
+    const env = process.env[`npm_config_${scopeKey}`]
+    if (env) return env
+    for (const npmrc of npmrcs) {
+      if (npmrc[scopeKey]) return npmrc[scopeKey]
+    }
+  }
+
+  if (process.env.npm_config_registry) return process.env.npm_config_registry
+  for (const npmrc of npmrcs) {
+    if (npmrc.registry) return npmrc.registry
+  }
+  return defaultRegistry
+}
+
+/**
+ * Get the `authorization` header for the registry from the `_authToken` or `_auth` of the
+ * registry in the nearest `.npmrc` from `cwd` and the user `.npmrc`, e.g.
+ * `//registry.example.com/:_authToken=${NPM_TOKEN}`. Other auth methods, like
+ * `username` and `_password`, or client certificates, are not supported.
+ * @param {string} registry
+ * @param {string} cwd
+ * @returns {Promise<string | undefined>}
+ */
+export async function getRegistryAuthorization(registry, cwd) {
+  const npmrcs = await readNpmrcs(cwd)
+  const url = new URL(registry)
+  // the auth is keyed by the registry URL without the protocol, and the keys of the
+  // parent paths also apply, e.g. `//example.com/npm/` and `//example.com/`
+  let key = `//${url.host}${url.pathname.replace(/\/?$/, '/')}`
+  while (true) {
+    for (const npmrc of npmrcs) {
+      if (npmrc[`${key}:_authToken`]) {
+        return `Bearer ${npmrc[`${key}:_authToken`]}`
+      }
+      if (npmrc[`${key}:_auth`]) {
+        return `Basic ${npmrc[`${key}:_auth`]}`
+      }
+    }
+    if (key === `//${url.host}/`) return
+    key = key.replace(/[^/]+\/$/, '')
+  }
+}
+
+/**
+ * Fetch the tarball of the package from the registry
+ * @param {string} name
+ * @param {string} version exact version, dist-tag, or semver range
+ * @param {string} registry
+ * @param {string} [authorization] the `authorization` header for the registry, see
+ * `getRegistryAuthorization`
+ */
+export async function fetchPackageTarball(
+  name,
+  version,
+  registry,
+  authorization,
+) {
+  const registryUrl = registry.endsWith('/') ? registry : registry + '/'
+  // scoped packages need the slash encoded, e.g. `@scope%2fname`
+  const packumentUrl = registryUrl + name.replace('/', '%2f')
+  /** @type {RequestInit} */
+  const init = authorization ? { headers: { authorization } } : {}
+
+  const packumentResponse = await fetch(packumentUrl, init)
+  if (!packumentResponse.ok) {
+    const { status } = packumentResponse
+    const { host, pathname } = new URL(registryUrl)
+    const authHint =
+      status === 401 || status === 403
+        ? authorization
+          ? '. The auth in .npmrc may be invalid or expired.'
+          : `. If the registry requires auth, set \`//${host}${pathname}:_authToken\` in .npmrc.`
+        : ''
+    throw new Error(
+      `[publint] Unable to fetch ${name} from ${packumentUrl} (${status})${authHint}`,
+    )
+  }
+  /** @type {Record<string, any>} */
+  const packument = await packumentResponse.json()
+
+  const versions = packument.versions ?? {}
+  /** @type {string | undefined} */
+  const resolvedVersion =
+    packument['dist-tags']?.[version] ??
+    (version in versions ? version : getRangeVersion(packument, version))
+  /** @type {string | undefined} */
+  const tarballUrl = resolvedVersion && versions[resolvedVersion]?.dist?.tarball
+  if (!resolvedVersion || !tarballUrl) {
+    throw new Error(
+      `[publint] Unable to find version "${version}" of ${name} from ${registryUrl}`,
+    )
+  }
+
+  // only send the auth to the tarball URL if it's hosted on the same registry
+  const tarballResponse = await fetch(
+    tarballUrl,
+    new URL(tarballUrl).host === new URL(registryUrl).host ? init : {},
+  )
+  if (!tarballResponse.ok) {
+    throw new Error(
+      `[publint] Unable to fetch the tarball of ${name}@${resolvedVersion} from ${tarballUrl} (${tarballResponse.status})`,
+    )
+  }
+  return {
+    version: resolvedVersion,
+    tarball: await tarballResponse.arrayBuffer(),
+  }
+}
+
+/**
+ * Get the highest version that matches the semver range. Like npm, the `latest` dist-tag
+ * is preferred if it matches. Prerelease versions are only matched by their exact version.
+ * @param {Record<string, any>} packument
+ * @param {string} range
+ */
+function getRangeVersion(packument, range) {
+  const versions = Object.keys(packument.versions ?? {}).filter(
+    (v) => /^\d+\.\d+\.\d+$/.test(v) && isVersionInRange(v, range),
+  )
+  const latest = packument['dist-tags']?.latest
+  if (versions.includes(latest)) return latest
+  return versions.sort(compareVersions).pop()
+}
+
+/**
+ * Read the nearest `.npmrc` files from `cwd` and the user `.npmrc`, in the order
+ * that they take precedence
+ * @param {string} cwd
+ */
+async function readNpmrcs(cwd) {
+  /** @type {Record<string, string>[]} */
+  const npmrcs = []
+  let dir = path.resolve(cwd)
+  while (true) {
+    const npmrc = await readNpmrc(path.join(dir, '.npmrc'))
+    if (npmrc) npmrcs.push(npmrc)
+    const parentDir = path.dirname(dir)
+    if (parentDir === dir) break
+    dir = parentDir
+  }
+  const userNpmrc = await readNpmrc(path.join(os.homedir(), '.npmrc'))
+  if (userNpmrc) npmrcs.push(userNpmrc)
+  return npmrcs
+}
+
+/**
+ * @param {string} npmrcPath
+ * @returns {Promise<Record<string, string> | undefined>}
+ */
+async function readNpmrc(npmrcPath) {
+  /** @type {string} */
+  let content
+  try {
+    content = await fs.readFile(npmrcPath, 'utf8')
+  } catch {
+    return
+  }
+
+  /** @type {Record<string, string>} */
+  const npmrc = {}
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) continue
+    const equalIndex = trimmed.indexOf('=')
+    if (equalIndex === -1) continue
+    const key = trimmed.slice(0, equalIndex).trim()
+    const value = trimmed
+      .slice(equalIndex + 1)
+      .trim()
+      .replace(/^(['"])(.*)\1$/, '$2')
+      // npm supports environment variables in the values, e.g. `${NPM_REGISTRY}`
+      .replace(/\$\{([^}]+)\}/g, (_, env) => process.env[env] ?? '')
+    npmrc[key] = value
+  }
+  return npmrc
+}
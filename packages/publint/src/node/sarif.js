@@ -0,0 +1,109 @@
+import { formatMessage } from '../shared/message.js'
+
+/**
+ * @typedef {{
+ *   messages: import('../index.d.ts').Message[],
+ *   suppressedMessages: import('../index.d.ts').Message[],
+ *   pkgJson: Record<string, any>,
+ *   artifactUri: string,
+ * }} SarifReport
+ */
+
+/**
+ * Format the messages of one or more packages as a SARIF log with a single run
+ * @see https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ * @param {SarifReport[]} reports
+ * @param {{ version: string }} options
+ */
+export function formatMessagesSarif(reports, options) {
+  /** @type {string[]} */
+  const ruleIds = []
+  /** @type {any[]} */
+  const results = []
+
+  /**
+   * @param {import('../index.d.ts').Message} m
+   * @param {SarifReport} report
+   * @param {boolean} suppressed
+   */
+  const addResult = (m, report, suppressed) => {
+    let ruleIndex = ruleIds.indexOf(m.code)
+    if (ruleIndex === -1) ruleIndex = ruleIds.push(m.code) - 1
+
+    /** @type {Record<string, any>} */
+    const physicalLocation = {
+      artifactLocation: { uri: report.artifactUri },
+    }
+    if (m.loc) {
+      physicalLocation.region = {
+        startLine: m.loc.start.line,
+        startColumn: m.loc.start.column,
+        endLine: m.loc.end.line,
+        endColumn: m.loc.end.column,
+      }
+    }
+
+    /** @type {Record<string, any>} */
+    const result = {
+      ruleId: m.code,
+      ruleIndex,
+      level: getSarifLevel(m.type),
+      message: {
+        text: formatMessage(m, report.pkgJson, { color: false }) ?? m.code,
+      },
+      locations: [{ physicalLocation }],
+    }
+    // suppressed messages by the `ignore` option are declared outside of the source
+    if (suppressed) {
+      result.suppressions = [{ kind: 'external' }]
+    }
+    results.push(result)
+  }
+
+  for (const report of reports) {
+    report.messages.forEach((m) => addResult(m, report, false))
+    report.suppressedMessages.forEach((m) => addResult(m, report, true))
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'publint',
+            version: options.version,
+            informationUri: 'https://publint.dev',
+            rules: ruleIds.map((id) => ({
+              id,
+              helpUri: getRuleHelpUri(id),
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  }
+}
+
+/**
+ * @param {string} code
+ */
+function getRuleHelpUri(code) {
+  return `https://publint.dev/rules#${code.toLowerCase()}`
+}
+
+/**
+ * @param {import('../index.d.ts').MessageType} type
+ */
+function getSarifLevel(type) {
+  switch (type) {
+    case 'error':
+      return 'error'
+    case 'warning':
+      return 'warning'
+    default:
+      return 'note'
+  }
+}
@@ -0,0 +1,187 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * Get the directories of the publishable packages in the workspace at `rootDir`. The
+ * workspace patterns are read from `pnpm-workspace.yaml`, or the `"workspaces"` field
+ * in package.json. Packages with `"private": true` are skipped.
+ * @param {string} rootDir
+ * @returns {Promise<string[]>} sorted absolute directory paths
+ */
+export async function getWorkspacePackageDirs(rootDir) {
+  const patterns = await getWorkspacePatterns(rootDir)
+  if (patterns == null) {
+    throw new Error(
+      `[publint] Unable to find workspace packages at ${rootDir}. Make sure it has a ` +
+        `pnpm-workspace.yaml file or a "workspaces" field in package.json.`,
+    )
+  }
+
+  const excludes = patterns
+    .filter((p) => p.startsWith('!'))
+    .map((p) => globToRegex(normalizePattern(p.slice(1))))
+  /** @type {Set<string>} */
+  const relDirs = new Set()
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) continue
+    const segments = normalizePattern(pattern).split('/')
+    for (const relDir of await matchDirs(rootDir, '', segments)) {
+      relDirs.add(relDir)
+    }
+  }
+
+  /** @type {string[]} */
+  const pkgDirs = []
+  for (const relDir of Array.from(relDirs).sort()) {
+    // also test with a trailing slash so that `dir/**` excludes `dir` itself
+    if (excludes.some((re) => re.test(relDir) || re.test(relDir + '/'))) {
+      continue
+    }
+    const pkgDir = path.join(rootDir, relDir)
+    /** @type {Record<string, any>} */
+    let pkgJson
+    try {
+      const content = await fs.readFile(path.join(pkgDir, 'package.json'))
+      pkgJson = JSON.parse(content.toString())
+    } catch {
+      // not a package
+      continue
+    }
+    if (pkgJson.private === true) continue
+    pkgDirs.push(pkgDir)
+  }
+  return pkgDirs
+}
+
+/**
+ * @param {string} rootDir
+ * @returns {Promise<string[] | undefined>}
+ */
+async function getWorkspacePatterns(rootDir) {
+  try {
+    const content = await fs.readFile(
+      path.join(rootDir, 'pnpm-workspace.yaml'),
+      'utf8',
+    )
+    return parsePnpmWorkspacePackages(content)
+  } catch {}
+
+  try {
+    const content = await fs.readFile(path.join(rootDir, 'package.json'))
+    const workspaces = JSON.parse(content.toString()).workspaces
+    // npm and yarn v1 support an array, yarn v1 also supports `{ packages: [] }`
+    if (Array.isArray(workspaces)) return workspaces
+    if (Array.isArray(workspaces?.packages)) return workspaces.packages
+  } catch {}
+}
+
+/**
+ * Parse the `packages` list from the pnpm-workspace.yaml content. Only the block
+ * sequence syntax is supported, which is what pnpm documents and generates.
+ * @param {string} content
+ */
+export function parsePnpmWorkspacePackages(content) {
+  /** @type {string[]} */
+  const packages = []
+  let inPackages = false
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true
+      continue
+    }
+    if (!inPackages || /^\s*(#.*)?$/.test(line)) continue
+    const match = line.match(/^\s*-\s*(.+?)\s*$/)
+    // another top-level key
+    if (!match) {
+      if (!/^\s/.test(line)) break
+      continue
+    }
+    let value = match[1]
+    if (/^['"]/.test(value)) {
+      value = value.slice(1, value.indexOf(value[0], 1))
+    } else {
+      value = value.replace(/\s+#.*$/, '')
+    }
+    packages.push(value)
+  }
+  return packages
+}
+
+/**
+ * @param {string} pattern
+ */
+function normalizePattern(pattern) {
+  return pattern.replace(/^\.\//, '').replace(/\/+$/, '')
+}
+
+/**
+ * @param {string} rootDir
+ * @param {string} relDir
+ * @param {string[]} segments
+ * @returns {Promise<string[]>}
+ */
+async function matchDirs(rootDir, relDir, segments) {
+  if (segments.length === 0) return [relDir]
+
+  const [segment, ...rest] = segments
+  const joinRel = (/** @type {string} */ dir) =>
+    relDir ? `${relDir}/${dir}` : dir
+
+  if (!segment.includes('*')) {
+    return matchDirs(rootDir, joinRel(segment), rest)
+  }
+
+  const subDirs = await readSubDirs(path.join(rootDir, relDir))
+  /** @type {string[]} */
+  const results = []
+  if (segment === '**') {
+    // matches zero or more directories
+    results.push(...(await matchDirs(rootDir, relDir, rest)))
+    for (const subDir of subDirs) {
+      results.push(...(await matchDirs(rootDir, joinRel(subDir), segments)))
+    }
+  } else {
+    const re = globToRegex(segment)
+    for (const subDir of subDirs) {
+      if (re.test(subDir)) {
+        results.push(...(await matchDirs(rootDir, joinRel(subDir), rest)))
+      }
+    }
+  }
+  return results
+}
+
+/**
+ * @param {string} dir
+ */
+async function readSubDirs(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true })
+    return entries
+      .filter(
+        (e) =>
+          e.isDirectory() &&
+          e.name !== 'node_modules' &&
+          !e.name.startsWith('.'),
+      )
+      .map((e) => e.name)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * @param {string} glob
+ */
+function globToRegex(glob) {
+  const source = glob
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?'
+      if (part === '**') return '.*'
+      if (part === '*') return '[^/]*'
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
@@ -33,3 +33,166 @@ export const commonInternalPaths = [
 
 // https://github.com/npm/npm-packlist/blob/53b2a4f42b7fef0f63e8f26a3ea4692e23a58fed/lib/index.js#L284-L286
 export const licenseFiles = [/^copying/i, /^licence/i, /^license/i]
+
+// the severities that can be set for each rule in the `rules` option
+export const ruleSeverities = ['off', 'suggestion', 'warning', 'error']
+
+// the codes of all messages, which are the rules that can be set in the `rules` option
+/** @type {import('../index.d.ts').Message['code'][]} */
+export const messageCodes = [
+  'IMPLICIT_INDEX_JS_INVALID_FORMAT',
+  'FILE_INVALID_FORMAT',
+  'FILE_INVALID_EXPLICIT_FORMAT',
+  'FILE_INVALID_JSX_EXTENSION',
+  'FILE_DOES_NOT_EXIST',
+  'FILE_NOT_PUBLISHED',
+  'MODULE_SHOULD_BE_ESM',
+  'HAS_MODULE_BUT_NO_EXPORTS',
+  'HAS_ESM_MAIN_BUT_NO_EXPORTS',
+  'EXPORTS_GLOB_NO_MATCHED_FILES',
+  'EXPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING',
+  'EXPORTS_TYPES_SHOULD_BE_FIRST',
+  'EXPORTS_MODULE_SHOULD_PRECEDE_REQUIRE',
+  'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+  'EXPORTS_MODULE_SYNC_SHOULD_BE_ESM',
+  'EXPORTS_DEFAULT_SHOULD_BE_LAST',
+  'EXPORTS_MODULE_SHOULD_BE_ESM',
+  'EXPORTS_VALUE_INVALID',
+  'EXPORTS_MISSING_ROOT_ENTRYPOINT',
+  'EXPORTS_FALLBACK_ARRAY_USE',
+  'USE_EXPORTS_BROWSER',
+  'USE_EXPORTS_OR_IMPORTS_BROWSER',
+  'USE_FILES',
+  'USE_TYPE',
+  'USE_LICENSE',
+  'TYPES_NOT_EXPORTED',
+  'EXPORTS_TYPES_INVALID_FORMAT',
+  'FIELD_INVALID_VALUE_TYPE',
+  'EXPORTS_VALUE_CONFLICTS_WITH_BROWSER',
+  'DEPRECATED_FIELD_JSNEXT',
+  'INVALID_REPOSITORY_VALUE',
+  'LOCAL_DEPENDENCY',
+  'DEPENDENCY_NOT_DECLARED',
+  'TYPES_NOT_RESOLVED',
+  'TYPES_MASQUERADING_FORMAT',
+  'CJS_NAMED_EXPORTS_NOT_DETECTED',
+  'REQUIRE_ESM_TOP_LEVEL_AWAIT',
+  'TYPES_VERSIONS_INVALID_RANGE',
+  'TYPES_VERSIONS_MAPPING_NOT_RESOLVED',
+  'TYPES_VERSIONS_SHADOWS_EXPORTS',
+  'TYPES_VERSIONS_CAN_BE_SIMPLIFIED',
+  'SIDE_EFFECTS_GLOB_NO_MATCHED_FILES',
+  'SIDE_EFFECTS_EXCLUDES_CSS',
+  'IMPORTED_FILE_DOES_NOT_EXIST',
+  'IMPORTED_FILE_NOT_PUBLISHED',
+  'TYPES_IMPORTED_FILE_DOES_NOT_EXIST',
+  'TYPES_IMPORTED_FILE_NOT_PUBLISHED',
+  'DEPENDENCY_IN_DEV_DEPENDENCIES',
+  'BIN_FILE_NOT_EXECUTABLE',
+  'IMPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING',
+  'IMPORTS_KEY_INVALID',
+  'IMPORTS_VALUE_INVALID',
+  'IMPORTS_GLOB_NO_MATCHED_FILES',
+  'IMPORTS_DEFAULT_SHOULD_BE_LAST',
+  'IMPORTS_MODULE_SHOULD_PRECEDE_REQUIRE',
+  'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+  'IMPORTS_MODULE_SYNC_SHOULD_BE_ESM',
+  'IMPORTS_MODULE_SHOULD_BE_ESM',
+  'IMPORTS_FALLBACK_ARRAY_USE',
+]
+
+// the TypeScript version that the `"typesVersions"` ranges are matched with. it's the
+// version that publint is developed with, and only needs to be bumped when packages rely
+// on ranges of newer versions.
+export const typescriptVersion = '5.8.3'
+
+// the conditions that TypeScript resolves `"exports"` with in each `"moduleResolution"`
+export const typesResolutionConditions = {
+  'node16-import': ['types', 'import', 'node'],
+  'node16-require': ['types', 'require', 'node'],
+  bundler: ['types', 'import'],
+}
+
+// the environments to resolve the `exports` subpaths with in the resolution matrix.
+// `types` environments resolve the types the way TypeScript does.
+/** @type {import('../index.d.ts').ResolutionEnvironment[]} */
+export const resolutionEnvironments = [
+  { name: 'node-import', conditions: ['node', 'import', 'module-sync'] },
+  { name: 'node-require', conditions: ['node', 'require', 'module-sync'] },
+  { name: 'browser-import', conditions: ['browser', 'import', 'module'] },
+  {
+    name: 'worker',
+    conditions: ['worker', 'browser', 'import', 'module'],
+  },
+  {
+    name: 'types-bundler',
+    conditions: typesResolutionConditions.bundler,
+    types: true,
+  },
+  {
+    name: 'types-node16',
+    conditions: typesResolutionConditions['node16-import'],
+    types: true,
+  },
+]
+
+// the Node.js builtin modules that can be imported without the `node:` prefix.
+// subpaths like `fs/promises` are covered by their top-level name.
+export const nodeBuiltinModules = [
+  '_http_agent',
+  '_http_client',
+  '_http_common',
+  '_http_incoming',
+  '_http_outgoing',
+  '_http_server',
+  '_stream_duplex',
+  '_stream_passthrough',
+  '_stream_readable',
+  '_stream_transform',
+  '_stream_wrap',
+  '_stream_writable',
+  '_tls_common',
+  '_tls_wrap',
+  'assert',
+  'async_hooks',
+  'buffer',
+  'child_process',
+  'cluster',
+  'console',
+  'constants',
+  'crypto',
+  'dgram',
+  'diagnostics_channel',
+  'dns',
+  'domain',
+  'events',
+  'fs',
+  'http',
+  'http2',
+  'https',
+  'inspector',
+  'module',
+  'net',
+  'os',
+  'path',
+  'perf_hooks',
+  'process',
+  'punycode',
+  'querystring',
+  'readline',
+  'repl',
+  'stream',
+  'string_decoder',
+  'sys',
+  'timers',
+  'tls',
+  'trace_events',
+  'tty',
+  'url',
+  'util',
+  'v8',
+  'vm',
+  'wasi',
+  'worker_threads',
+  'zlib',
+]
@@ -3,10 +3,13 @@ import {
   invalidJsxExtensions,
   knownBrowserishConditions,
   licenseFiles,
+  messageCodes,
+  nodeBuiltinModules,
+  ruleSeverities,
 } from './constants.js'
 import {
   exportsGlob,
-  getCodeFormat,
+  detectCodeFormat,
   getFilePathFormat,
   getCodeFormatExtension,
   isExplicitExtension,
@@ -20,7 +23,7 @@ import {
   isDtsFile,
   getDtsFilePathFormat,
   getDtsCodeFormatExtension,
-  getPkgPathValue,
+  pkgPathExists,
   replaceLast,
   isRelativePath,
   isAbsolutePath,
@@ -31,7 +34,28 @@ import {
   startsWithShebang,
   objectHasValueNested,
   isFilePathRawTs,
+  isMessageIgnored,
+  getImportSpecifiers,
+  getSpecifierPackageName,
+  getDtsRelativeSpecifiers,
+  getDtsFilePathCandidates,
+  getSideEffectsPatternRegex,
+  getTopLevelAwaitEvidence,
+  isFilePublished,
+  isUmdCode,
 } from './utils.js'
+import { createJsonLocator } from './json-location.js'
+import {
+  getTypesResolutionFormats,
+  getTypesVersionsEntry,
+  isTypesVersionsRangeValid,
+  mapTypesVersionsPath,
+  resolveSubpathTypes,
+  typesResolutionModes,
+} from './types-resolution.js'
+import { getFixOperations } from './fix.js'
+import { getCjsNamedExports, getDtsNamedExports } from './named-exports.js'
+import { resolvePackageSubpath } from './resolve.js'
 
 /**
  * @typedef Vfs
@@ -59,13 +83,67 @@ import {
  * @param {Options} options
  * @returns {Promise<import('../index.d.ts').Result>}
  */
-export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
+export async function core({
+  pkgDir,
+  vfs,
+  level,
+  strict,
+  rules,
+  ignore,
+  conditions,
+  browserConditions,
+  _packedFiles,
+}) {
+  for (const code in rules) {
+    // @ts-expect-error `code` is typed as a string
+    if (!messageCodes.includes(code)) {
+      throw new Error(
+        `[publint] Unknown rule "${code}". Expected a message code, see https://publint.dev/rules.`,
+      )
+    }
+    // @ts-expect-error `code` is typed as a string
+    const severity = rules[code]
+    if (!ruleSeverities.includes(severity)) {
+      throw new Error(
+        `[publint] Invalid severity "${severity}" for the "${code}" rule. ` +
+          `Expected one of ${ruleSeverities.map((s) => `"${s}"`).join(', ')}.`,
+      )
+    }
+  }
+
+  for (const entry of ignore) {
+    if (typeof entry?.code !== 'string') {
+      throw new Error(
+        `[publint] Invalid ignore entry ${JSON.stringify(entry)}. Expected an object with a "code" property.`,
+      )
+    }
+  }
+
+  for (const [name, value] of [
+    ['conditions', conditions],
+    ['browserConditions', browserConditions],
+  ]) {
+    if (!Array.isArray(value) || value.some((c) => typeof c !== 'string')) {
+      throw new Error(
+        `[publint] Invalid ${name} ${JSON.stringify(value)}. Expected an array of strings.`,
+      )
+    }
+  }
+  const browserishConditions =
+    knownBrowserishConditions.concat(browserConditions)
+
   /** @type {import('../index.d.ts').Message[]} */
   const messages = []
   /**
    * A promise queue is created to run all linting tasks in parallel
    */
   const promiseQueue = createPromiseQueue()
+  /**
+   * The entrypoint files of `main`, `exports`, `bin`, and `types` mapped to their path in
+   * package.json, which are crawled for the files they import later
+   * @type {Map<string, string[]>}
+   */
+  const entryFiles = new Map()
 
   const rootPkgPath = vfs.pathJoin(pkgDir, 'package.json')
   const rootPkgContent = await readFile(rootPkgPath, [])
@@ -76,6 +154,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     )
   }
   const rootPkg = JSON.parse(rootPkgContent)
+  const getPkgPathLocation = createJsonLocator(rootPkgContent)
   const [main, mainPkgPath] = getPublishedField(rootPkg, 'main')
   const [module, modulePkgPath] = getPublishedField(rootPkg, 'module')
   const [exports, exportsPkgPath] = getPublishedField(rootPkg, 'exports')
@@ -167,18 +246,16 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
       if (await vfs.isPathExist(defaultPath)) {
         const defaultContent = await readFile(defaultPath, [])
         if (defaultContent === false) return
-        const actualFormat = getCodeFormat(defaultContent)
+        const { format: actualFormat, evidence } =
+          detectCodeFormat(defaultContent)
         const expectFormat = await getFilePathFormat(defaultPath, vfs)
-        if (
-          actualFormat !== expectFormat &&
-          actualFormat !== 'unknown' &&
-          actualFormat !== 'mixed'
-        ) {
+        if (actualFormat !== expectFormat && actualFormat !== 'unknown') {
           messages.push({
             code: 'IMPLICIT_INDEX_JS_INVALID_FORMAT',
             args: {
               actualFormat,
               expectFormat,
+              evidence,
             },
             path: ['name'],
             type: 'warning',
@@ -203,14 +280,11 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
       ])
       if (mainContent === false) return
       if (hasInvalidJsxExtension(main, mainPkgPath)) return
+      addEntryFile(mainPath, mainPkgPath)
       if (!isFilePathLintable(main)) return
-      const actualFormat = getCodeFormat(mainContent)
+      const { format: actualFormat, evidence } = detectCodeFormat(mainContent)
       const expectFormat = await getFilePathFormat(mainPath, vfs)
-      if (
-        actualFormat !== expectFormat &&
-        actualFormat !== 'unknown' &&
-        actualFormat !== 'mixed'
-      ) {
+      if (actualFormat !== expectFormat && actualFormat !== 'unknown') {
         const actualExtension = vfs.getExtName(mainPath)
         messages.push({
           code: isExplicitExtension(actualExtension)
@@ -221,6 +295,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
             expectFormat,
             actualExtension,
             expectExtension: getCodeFormatExtension(actualFormat),
+            evidence,
           },
           path: mainPkgPath,
           type: 'warning',
@@ -254,11 +329,11 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
       if (moduleContent === false) return
       if (hasInvalidJsxExtension(module, modulePkgPath)) return
       if (!isFilePathLintable(module)) return
-      const actualFormat = getCodeFormat(moduleContent)
+      const { format: actualFormat, evidence } = detectCodeFormat(moduleContent)
       if (actualFormat === 'CJS') {
         messages.push({
           code: 'MODULE_SHOULD_BE_ESM',
-          args: {},
+          args: { evidence },
           path: modulePkgPath,
           type: 'error',
         })
@@ -334,6 +409,13 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
         const hasContent =
           (await readFile(fieldPath, fieldPkgPath, ['.js', '/index.js'])) !==
           false
+        if (
+          hasContent &&
+          (fieldName === 'types' || fieldName === 'typings') &&
+          isDtsFile(fieldPath)
+        ) {
+          addEntryFile(fieldPath, fieldPkgPath)
+        }
         if (
           hasContent &&
           (fieldName === 'jsnext:main' || fieldName === 'jsnext')
@@ -404,13 +486,10 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
           const fileContent = await readFile(filePath, [])
           if (fileContent === false) return
           if (!isFileContentLintable(fileContent)) return
-          const actualFormat = getCodeFormat(fileContent)
+          const { format: actualFormat, evidence } =
+            detectCodeFormat(fileContent)
           const expectFormat = await getFilePathFormat(filePath, vfs)
-          if (
-            actualFormat !== expectFormat &&
-            actualFormat !== 'unknown' &&
-            actualFormat !== 'mixed'
-          ) {
+          if (actualFormat !== expectFormat && actualFormat !== 'unknown') {
             // special case where if the file path contains the keyword "browser" or
             // "bundler", but it has problems. allow skipping the problem if it's ESM.
             const isSafeEsm =
@@ -441,6 +520,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
                 actualExtension,
                 expectExtension,
                 actualFilePath: '/' + vfs.pathRelative(pkgDir, filePath),
+                evidence,
               },
               path: ['name'],
               type: 'warning',
@@ -452,6 +532,24 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     })
   }
 
+  // simulate how TypeScript resolves the types of each entrypoint
+  promiseQueue.push(checkTypesResolution)
+  // check that the named exports in the types of CJS entrypoints can be imported by ESM
+  promiseQueue.push(checkCjsNamedExports)
+  // check that the ESM entrypoints that can be required don't use top-level await
+  promiseQueue.push(checkRequireTopLevelAwait)
+
+  const [typesVersions, typesVersionsPkgPath] = getPublishedField(
+    rootPkg,
+    'typesVersions',
+  )
+  if (
+    typesVersions != null &&
+    ensureTypeOfField(typesVersions, ['object'], typesVersionsPkgPath)
+  ) {
+    promiseQueue.push(checkTypesVersions)
+  }
+
   // check file existence for bin field
   const [bin, binPkgPath] = getPublishedField(rootPkg, 'bin')
   if (bin) {
@@ -464,29 +562,52 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     crawlExportsOrImports(imports, importsPkgPath, true)
   }
 
+  const [sideEffects, sideEffectsPkgPath] = getPublishedField(
+    rootPkg,
+    'sideEffects',
+  )
+  if (
+    sideEffects != null &&
+    ensureTypeOfField(sideEffects, ['boolean', 'array'], sideEffectsPkgPath)
+  ) {
+    promiseQueue.push(() => checkSideEffects(sideEffects, sideEffectsPkgPath))
+  }
+
   await promiseQueue.wait()
 
-  if (strict) {
-    for (const message of messages) {
-      if (message.type === 'warning') {
-        message.type = 'error'
-      }
-    }
-  }
+  // the entrypoint files are only known after the checks above
+  await crawlEntryFiles()
+  await crawlTypesEntryFiles()
 
-  if (level === 'warning') {
-    return {
-      messages: messages.filter((m) => m.type !== 'suggestion'),
-      pkg: rootPkg,
+  /** @type {import('../index.d.ts').Message[]} */
+  const reportedMessages = []
+  /** @type {import('../index.d.ts').Message[]} */
+  const suppressedMessages = []
+  for (const message of messages) {
+    // apply the rules severity overrides, and remove the messages that are turned off
+    const severity = rules[message.code]
+    if (severity === 'off') continue
+    if (severity) message.type = severity
+
+    message.loc = getPkgPathLocation(message.path)
+    const fix = getFixOperations(message, rootPkg)
+    if (fix) message.fix = fix
+
+    if (strict && message.type === 'warning') {
+      message.type = 'error'
     }
-  } else if (level === 'error') {
-    return {
-      messages: messages.filter((m) => m.type === 'error'),
-      pkg: rootPkg,
+
+    if (level === 'warning' && message.type === 'suggestion') continue
+    if (level === 'error' && message.type !== 'error') continue
+
+    if (ignore.some((entry) => isMessageIgnored(message, entry))) {
+      suppressedMessages.push(message)
+    } else {
+      reportedMessages.push(message)
     }
   }
 
-  return { messages, pkg: rootPkg }
+  return { messages: reportedMessages, suppressedMessages, pkg: rootPkg }
 
   /**
    * @param {string} path file path to read
@@ -625,18 +746,111 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     return false
   }
 
+  /**
+   * Check that the `"sideEffects"` patterns match published files, and that the exported
+   * CSS files are not marked as side-effect free
+   * @param {boolean | any[]} sideEffects
+   * @param {string[]} sideEffectsPkgPath
+   */
+  async function checkSideEffects(sideEffects, sideEffectsPkgPath) {
+    /** @type {RegExp[]} */
+    const patternRes = []
+    if (Array.isArray(sideEffects)) {
+      const filePaths = (
+        _packedFiles ??
+        (await exportsGlob(vfs.pathJoin(pkgDir, './*'), vfs, _packedFiles))
+      ).map((filePath) =>
+        vfs.pathRelative(pkgDir, filePath).replace(/\\/g, '/'),
+      )
+      for (let i = 0; i < sideEffects.length; i++) {
+        const patternPkgPath = sideEffectsPkgPath.concat('' + i)
+        if (!ensureTypeOfField(sideEffects[i], ['string'], patternPkgPath)) {
+          continue
+        }
+        const patternRe = getSideEffectsPatternRegex(sideEffects[i])
+        patternRes.push(patternRe)
+        if (!filePaths.some((filePath) => patternRe.test(filePath))) {
+          messages.push({
+            code: 'SIDE_EFFECTS_GLOB_NO_MATCHED_FILES',
+            args: {},
+            path: patternPkgPath,
+            type: 'warning',
+          })
+        }
+      }
+    } else if (sideEffects) {
+      return
+    }
+
+    // importing CSS files is a side effect, bundlers will drop the imports of the CSS
+    // files that are not matched
+    if (!exports) return
+    /** @type {Set<string>} */
+    const checkedTargets = new Set()
+    for (const [target, targetPkgPath] of getCssExportsTargets(
+      exports,
+      exportsPkgPath,
+    )) {
+      if (checkedTargets.has(target)) continue
+      checkedTargets.add(target)
+      const cssFilePaths = target.includes('*')
+        ? (
+            await exportsGlob(vfs.pathJoin(pkgDir, target), vfs, _packedFiles)
+          ).map((filePath) => toRelativeFilePath(filePath).replace(/\\/g, '/'))
+        : [target]
+      const excludedFilePath = cssFilePaths.find(
+        (filePath) =>
+          !patternRes.some((re) => re.test(filePath.replace(/^\.\//, ''))),
+      )
+      if (excludedFilePath) {
+        messages.push({
+          code: 'SIDE_EFFECTS_EXCLUDES_CSS',
+          args: { filePath: excludedFilePath, exportsPath: targetPkgPath },
+          path: sideEffectsPkgPath,
+          type: 'warning',
+        })
+      }
+    }
+  }
+
+  /**
+   * Get the CSS file targets in the `"exports"` value, e.g. `./dist/style.css`, paired
+   * with their path in package.json
+   * @param {unknown} exportsValue
+   * @param {string[]} currentPath
+   * @returns {[target: string, pkgPath: string[]][]}
+   */
+  function getCssExportsTargets(exportsValue, currentPath) {
+    if (typeof exportsValue === 'string') {
+      return exportsValue.startsWith('./') && exportsValue.endsWith('.css')
+        ? [[exportsValue, currentPath]]
+        : []
+    }
+    if (typeof exportsValue === 'object' && exportsValue != null) {
+      return Object.entries(exportsValue).flatMap(([key, value]) =>
+        getCssExportsTargets(value, currentPath.concat(key)),
+      )
+    }
+    return []
+  }
+
   /**
    * @param {any} fieldValue
-   * @param {('string' | 'number' | 'boolean' | 'object')[]} expectTypes
+   * @param {('string' | 'number' | 'boolean' | 'object' | 'array')[]} expectTypes
    * @param {string[]} pkgPath
    */
   function ensureTypeOfField(fieldValue, expectTypes, pkgPath) {
+    // arrays are only told apart from objects if they're expected explicitly
+    const actualType =
+      expectTypes.includes('array') && Array.isArray(fieldValue)
+        ? 'array'
+        : typeof fieldValue
     // @ts-expect-error typeof doesn't need to match `expectedTypes` type but TS panics
-    if (!expectTypes.includes(typeof fieldValue)) {
+    if (!expectTypes.includes(actualType)) {
       messages.push({
         code: 'FIELD_INVALID_VALUE_TYPE',
         args: {
-          actualType: typeof fieldValue,
+          actualType,
           expectTypes,
         },
         path: pkgPath,
@@ -706,7 +920,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
           const expectPath = currentPath.map((part) => {
             return part.endsWith('/') ? part + '*' : part
           })
-          const expectPathAlreadyExist = !!getPkgPathValue(rootPkg, expectPath)
+          const expectPathAlreadyExist = pkgPathExists(rootPkg, expectPath)
           messages.push({
             code: isImports
               ? 'IMPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING'
@@ -764,7 +978,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
           typeof browser === 'object' &&
           exportsValue in browser
         ) {
-          const browserishCondition = knownBrowserishConditions.find((c) =>
+          const browserishCondition = browserishConditions.find((c) =>
             currentPath.includes(c),
           )
           if (browserishCondition) {
@@ -798,7 +1012,16 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
             // so we avoid linting strings like `std:lib`. we also skip .ts and .tsx as it's
             // common for some setup to only export them locally
             if (isAbsolutePath(filePath) && !isFilePathRawTs(filePath)) {
-              pq.push(async () => await readFile(filePath, currentPath))
+              pq.push(async () => {
+                const fileContent = await readFile(filePath, currentPath)
+                if (
+                  fileContent !== false &&
+                  !isImports &&
+                  isDtsFile(filePath)
+                ) {
+                  addEntryFile(filePath, currentPath)
+                }
+              })
             }
             continue
           }
@@ -806,33 +1029,59 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
             // could fail if in !isGlob
             const fileContent = await readFile(filePath, currentPath)
             if (fileContent === false) return
+            if (!isImports) addEntryFile(filePath, currentPath)
             if (!isFileContentLintable(fileContent)) return
             // the `module` condition is only used by bundlers and must be ESM
             if (currentPath.includes('module')) {
-              const actualFormat = getCodeFormat(fileContent)
+              const { format: actualFormat, evidence } =
+                detectCodeFormat(fileContent)
               if (actualFormat === 'CJS') {
                 messages.push({
                   code: isImports
                     ? 'IMPORTS_MODULE_SHOULD_BE_ESM'
                     : 'EXPORTS_MODULE_SHOULD_BE_ESM',
-                  args: {},
+                  args: { evidence },
                   path: currentPath,
                   type: 'error',
                 })
               }
               return
             }
+            // the `module-sync` condition is used by both `import` and `require` in
+            // Node.js, which can only `require()` ESM
+            if (currentPath.includes('module-sync')) {
+              const { format: actualFormat, evidence } =
+                detectCodeFormat(fileContent)
+              // ESM code in a CJS file is reported by the format checks below
+              if (
+                actualFormat === 'CJS' ||
+                (actualFormat === 'unknown' &&
+                  (await getFilePathFormat(filePath, vfs)) === 'CJS')
+              ) {
+                messages.push({
+                  code: isImports
+                    ? 'IMPORTS_MODULE_SYNC_SHOULD_BE_ESM'
+                    : 'EXPORTS_MODULE_SYNC_SHOULD_BE_ESM',
+                  args: { evidence },
+                  path: currentPath,
+                  type: 'error',
+                })
+                return
+              }
+            }
             // file format checks isn't required for `browser` condition or exports
             // after the node condition, as nodejs doesn't use it, only bundlers do,
             // which doesn't care of the format
-            if (isAfterNodeCondition || currentPath.includes('browser')) return
-            const actualFormat = getCodeFormat(fileContent)
-            const expectFormat = await getFilePathFormat(filePath, vfs)
             if (
-              actualFormat !== expectFormat &&
-              actualFormat !== 'unknown' &&
-              actualFormat !== 'mixed'
-            ) {
+              isAfterNodeCondition ||
+              currentPath.includes('browser') ||
+              browserConditions.some((c) => currentPath.includes(c))
+            )
+              return
+            const { format: actualFormat, evidence } =
+              detectCodeFormat(fileContent)
+            const expectFormat = await getFilePathFormat(filePath, vfs)
+            if (actualFormat !== expectFormat && actualFormat !== 'unknown') {
               // special case where if the file path contains the keyword "browser" or
               // "bundler", but it has problems. allow skipping the problem if it's ESM.
               const isSafeEsm =
@@ -867,6 +1116,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
                   actualFilePath: isGlob
                     ? './' + vfs.pathRelative(pkgDir, filePath)
                     : exportsValue,
+                  evidence,
                 },
                 path: currentPath,
                 type: 'warning',
@@ -971,6 +1221,28 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
         })
       }
 
+      // the 'module-sync' condition should precede the 'import' and 'require' conditions,
+      // otherwise the preceding condition takes precedence when Node.js imports or requires
+      // the package. if both precede it, it's never matched by Node.js.
+      if ('module-sync' in exportsValue) {
+        const precedingConditions = exportsKeys
+          .slice(0, exportsKeys.indexOf('module-sync'))
+          .filter((key) => key === 'import' || key === 'require')
+        if (precedingConditions.length) {
+          messages.push({
+            code: isImports
+              ? 'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE'
+              : 'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+            args: {
+              condition: precedingConditions[0],
+              shadowedConditions: precedingConditions,
+            },
+            path: currentPath.concat('module-sync'),
+            type: precedingConditions.length === 2 ? 'error' : 'warning',
+          })
+        }
+      }
+
       // the default export/import should be the last condition
       if (
         'default' in exportsValue &&
@@ -1073,7 +1345,15 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
         // NOTE: got lazy. here we check for the import/require result in different environments
         // to make sure we cover possible cases. however, a better way it to resolve the exports
         // and scan also the possible environment conditions, and return an array instead.
-        for (const env of [undefined, 'node', 'browser', 'worker']) {
+        const envs = new Set([
+          undefined,
+          'node',
+          'browser',
+          'worker',
+          ...conditions,
+          ...browserConditions,
+        ])
+        for (const env of envs) {
           const importResult = _resolveExports(['import', env])
           const requireResult = _resolveExports(['require', env])
           const isDualPublish =
@@ -1205,6 +1485,520 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     })
   }
 
+  /**
+   * Resolve the types of each entrypoint with the `node10`, `node16`, and `bundler` module
+   * resolutions. If the types are resolved in some modes, report the modes that fail to
+   * resolve them, and the `node16` modes that resolve them in the wrong format.
+   */
+  async function checkTypesResolution() {
+    const pkg = getTypesPkg()
+    const ctx = { vfs, pkgDir, packedFiles: _packedFiles }
+    // packages with only `"exports"` don't intend to support `node10`, which ignores it
+    const isNode10Supported =
+      exports == null ||
+      pkg.main != null ||
+      pkg.types != null ||
+      pkg.typings != null ||
+      pkg.typesVersions != null
+
+    for (const [subpath, pkgPath] of getTypesEntrypoints()) {
+      // `TYPES_NOT_EXPORTED` and `EXPORTS_TYPES_INVALID_FORMAT` already check the root
+      // entrypoint for the other modes if the package has a types file
+      const isCheckedByTypesExported =
+        exports != null && subpath === '.' && !!(await findTypesFilePath('.'))
+
+      /** @type {[import('../index.d.ts').TypesResolutionMode, import('./types-resolution.js').TypesResolutionResult][]} */
+      const results = []
+      // `node10` ignores `"exports"`, so the subpaths are only expected to resolve if
+      // `"typesVersions"` maps them. Otherwise, only the root entrypoint is checked
+      const isNode10Checked =
+        isNode10Supported && (subpath === '.' || pkg.typesVersions != null)
+      for (const mode of typesResolutionModes) {
+        if (mode === 'node10' && !isNode10Checked) continue
+        results.push([mode, await resolveSubpathTypes(ctx, pkg, subpath, mode)])
+      }
+      // the entrypoint doesn't intend to ship types
+      if (results.every(([, result]) => !result.typesFilePath)) continue
+
+      /** @type {Set<string>} */
+      const seenFilePaths = new Set()
+      for (const [mode, result] of results) {
+        if (mode !== 'node10' && isCheckedByTypesExported) continue
+        if (!result.typesFilePath) {
+          // if the JS also can't be resolved, the entrypoint isn't supported in this mode
+          if (mode !== 'node10' && !result.filePath) continue
+          messages.push({
+            code: 'TYPES_NOT_RESOLVED',
+            args: { subpath, moduleResolution: mode },
+            path: pkgPath,
+            // `node10` is a legacy mode that doesn't support `"exports"`
+            type: mode === 'node10' ? 'suggestion' : 'warning',
+          })
+          continue
+        }
+        if (mode !== 'node16-import' && mode !== 'node16-require') continue
+        const formats = await getTypesResolutionFormats(ctx, result)
+        if (!formats || formats.typesFormat === formats.format) continue
+        const seenKey = result.typesFilePath + ':' + result.filePath
+        if (seenFilePaths.has(seenKey)) continue
+        seenFilePaths.add(seenKey)
+        messages.push({
+          code: 'TYPES_MASQUERADING_FORMAT',
+          args: {
+            subpath,
+            moduleResolution: mode,
+            typesFilePath: toRelativeFilePath(result.typesFilePath),
+            typesFormat: formats.typesFormat,
+            filePath: toRelativeFilePath(
+              /** @type {string} */ (result.filePath),
+            ),
+            format: formats.format,
+          },
+          path: pkgPath,
+          type: 'warning',
+        })
+      }
+    }
+  }
+
+  /**
+   * When ESM imports a CJS entrypoint in Node.js, the named exports are detected statically
+   * with `cjs-module-lexer`, but TypeScript allows importing every named export declared in
+   * the types. Report the names that are declared in the types but not detected, as importing
+   * them fails at runtime.
+   */
+  async function checkCjsNamedExports() {
+    const pkg = getTypesPkg()
+    const ctx = { vfs, pkgDir, packedFiles: _packedFiles }
+    /** @type {Map<string, Set<string> | undefined>} */
+    const cjsNamedExportsCache = new Map()
+    /** @type {Map<string, Set<string> | undefined>} */
+    const dtsNamedExportsCache = new Map()
+    /** @type {Set<string>} */
+    const seenFilePaths = new Set()
+
+    for (const [subpath] of getTypesEntrypoints()) {
+      const { typesFilePath, filePath } = await resolveSubpathTypes(
+        ctx,
+        pkg,
+        subpath,
+        'node16-import',
+      )
+      if (!typesFilePath || !filePath || !isFilePathLintable(filePath)) continue
+      if ((await getFilePathFormat(filePath, vfs)) !== 'CJS') continue
+      if (seenFilePaths.has(filePath)) continue
+      seenFilePaths.add(filePath)
+      // UMD bundles are commonly paired with the types of the ESM build, whose named
+      // exports don't describe the bundle
+      if (isUmdCode(await vfs.readFile(filePath))) continue
+
+      const typesNames = await getDtsFileNamedExports(typesFilePath)
+      if (!typesNames?.size) continue
+      const names = await getCjsFileNamedExports(filePath)
+      if (!names) continue
+      const missingExports = Array.from(typesNames).filter((n) => !names.has(n))
+      if (missingExports.length === 0) continue
+
+      const { path } = resolvePackageSubpath(pkg, subpath, ['import', 'node'])
+      messages.push({
+        code: 'CJS_NAMED_EXPORTS_NOT_DETECTED',
+        args: {
+          subpath,
+          filePath: toRelativeFilePath(filePath),
+          typesFilePath: toRelativeFilePath(typesFilePath),
+          missingExports,
+        },
+        // the implicit `index.js` entrypoint doesn't have a path
+        path: path?.length ? path : ['name'],
+        type: 'warning',
+      })
+    }
+
+    /**
+     * Get the named exports of the CJS file that Node.js detects, including the ones of
+     * the re-exported files. Returns `undefined` if they can't be fully detected, e.g.
+     * when re-exported from other packages.
+     * @param {string} filePath
+     * @param {string[]} importChain the files that re-export this file, to skip cycles
+     * @returns {Promise<Set<string> | undefined>}
+     */
+    async function getCjsFileNamedExports(filePath, importChain = []) {
+      if (cjsNamedExportsCache.has(filePath)) {
+        return cjsNamedExportsCache.get(filePath)
+      }
+      if (importChain.includes(filePath)) return new Set()
+
+      /** @type {Set<string> | undefined} */
+      let names
+      const content = await vfs.readFile(filePath)
+      // ESM files are reported by the format checks
+      if (detectCodeFormat(content).format !== 'ESM') {
+        const result = getCjsNamedExports(content)
+        names = result.isUnknown ? undefined : new Set(result.exports)
+        for (const specifier of result.reexports) {
+          if (!names) break
+          const reexportFilePath =
+            specifier.startsWith('./') || specifier.startsWith('../')
+              ? await resolveImportedFilePath(
+                  vfs.pathJoin(vfs.getDirName(filePath), specifier),
+                )
+              : undefined
+          const reexportNames = reexportFilePath
+            ? await getCjsFileNamedExports(
+                reexportFilePath,
+                importChain.concat(filePath),
+              )
+            : undefined
+          if (reexportNames) {
+            for (const name of reexportNames) names.add(name)
+          } else {
+            names = undefined
+          }
+        }
+      }
+      cjsNamedExportsCache.set(filePath, names)
+      return names
+    }
+
+    /**
+     * Get the named exports of the declaration file that are values, including the ones
+     * of the re-exported files. Returns `undefined` if the file uses `export =`.
+     * @param {string} filePath
+     * @param {string[]} importChain the files that re-export this file, to skip cycles
+     * @returns {Promise<Set<string> | undefined>}
+     */
+    async function getDtsFileNamedExports(filePath, importChain = []) {
+      if (dtsNamedExportsCache.has(filePath)) {
+        return dtsNamedExportsCache.get(filePath)
+      }
+      if (importChain.includes(filePath)) return new Set()
+
+      const result = getDtsNamedExports(await vfs.readFile(filePath))
+      /** @type {Set<string> | undefined} */
+      const names = result && new Set(result.exports)
+      if (result && names) {
+        /**
+         * The names exported by the re-exported file, which are skipped if the file is
+         * from another package or can't be found
+         * @param {string} specifier
+         */
+        const getReexportedNames = async (specifier) => {
+          if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+            return
+          }
+          const importPath = vfs.pathJoin(vfs.getDirName(filePath), specifier)
+          for (const candidate of getDtsFilePathCandidates(importPath)) {
+            if (await isFilePublished(candidate, vfs, _packedFiles)) {
+              return getDtsFileNamedExports(
+                candidate,
+                importChain.concat(filePath),
+              )
+            }
+          }
+        }
+        for (const specifier of result.reexports) {
+          for (const name of (await getReexportedNames(specifier)) ?? []) {
+            if (name !== 'default') names.add(name)
+          }
+        }
+        for (const { name, localName, specifier } of result.reexportNames) {
+          if (name === 'default') continue
+          if ((await getReexportedNames(specifier))?.has(localName)) {
+            names.add(name)
+          }
+        }
+      }
+      dtsNamedExportsCache.set(filePath, names)
+      return names
+    }
+  }
+
+  /**
+   * Node.js can `require()` ESM since v22.12 and v20.19, but it throws if the module graph
+   * contains top-level await. Report the files with top-level await that are statically
+   * imported by the entrypoints resolved with `require`, i.e. with the `require`,
+   * `module-sync`, and `default` conditions, or through `"main"`.
+   */
+  async function checkRequireTopLevelAwait() {
+    /** @type {Set<string>} */
+    const reportedFilePaths = new Set()
+    for (const [subpath] of getTypesEntrypoints()) {
+      const { target, path } = resolvePackageSubpath(
+        { main, exports },
+        subpath,
+        ['node', 'require', 'module-sync'],
+      )
+      if (!target || !target.startsWith('./')) continue
+      const entryFilePath = await resolveImportedFilePath(
+        vfs.pathJoin(pkgDir, target),
+      )
+      if (!entryFilePath) continue
+
+      /** @type {{ filePath: string, importChain: string[] }[]} */
+      const queue = [
+        {
+          filePath: entryFilePath,
+          importChain: [toRelativeFilePath(entryFilePath)],
+        },
+      ]
+      /** @type {Set<string>} */
+      const seenFilePaths = new Set([entryFilePath])
+      for (let i = 0; i < queue.length; i++) {
+        const { filePath, importChain } = queue[i]
+        if (
+          !isFilePathLintable(filePath) ||
+          (_packedFiles && !_packedFiles.includes(filePath))
+        ) {
+          continue
+        }
+        const content = await vfs.readFile(filePath)
+        if (!isFileContentLintable(content)) continue
+        const evidence =
+          (await getFilePathFormat(filePath, vfs)) === 'ESM'
+            ? getTopLevelAwaitEvidence(content)
+            : undefined
+        if (evidence) {
+          if (reportedFilePaths.has(filePath)) break
+          reportedFilePaths.add(filePath)
+          const conditionsPath = path ?? []
+          messages.push({
+            code: 'REQUIRE_ESM_TOP_LEVEL_AWAIT',
+            args: { importChain, evidence },
+            // the implicit `index.js` entrypoint doesn't have a path
+            path: conditionsPath.length ? conditionsPath : ['name'],
+            // entrypoints that are only resolved with `default` or `"main"` may not
+            // intend to support `require()`
+            type:
+              conditionsPath.includes('require') ||
+              conditionsPath.includes('module-sync')
+                ? 'warning'
+                : 'suggestion',
+          })
+          break
+        }
+        // dynamic imports are loaded asynchronously, so they can use top-level await
+        for (const importSpecifier of getImportSpecifiers(content, false)) {
+          const { specifier } = importSpecifier
+          if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+            continue
+          }
+          const importedFilePath = await resolveRelativeImportFilePath(
+            vfs.pathJoin(vfs.getDirName(filePath), specifier),
+            importSpecifier.kind,
+          )
+          if (!importedFilePath || seenFilePaths.has(importedFilePath)) continue
+          seenFilePaths.add(importedFilePath)
+          queue.push({
+            filePath: importedFilePath,
+            importChain: importChain.concat(
+              toRelativeFilePath(importedFilePath),
+            ),
+          })
+        }
+      }
+    }
+  }
+
+  /**
+   * The published package.json fields that TypeScript resolves the types with
+   */
+  function getTypesPkg() {
+    const [types] = getPublishedField(rootPkg, 'types')
+    const [typings] = getPublishedField(rootPkg, 'typings')
+    const [typesVersions] = getPublishedField(rootPkg, 'typesVersions')
+    return { main, exports, types, typings, typesVersions }
+  }
+
+  /**
+   * Get the entrypoints to resolve the types of, paired with their path in package.json.
+   * Glob subpaths are skipped as they're not simulated.
+   * @returns {[subpath: string, pkgPath: string[]][]}
+   */
+  function getTypesEntrypoints() {
+    if (exports == null) {
+      const [types, typesPkgPath] = getPublishedField(rootPkg, 'types')
+      const [typings, typingsPkgPath] = getPublishedField(rootPkg, 'typings')
+      if (types != null) return [['.', typesPkgPath]]
+      if (typings != null) return [['.', typingsPkgPath]]
+      return [['.', mainPkgPath]]
+    }
+    if (
+      typeof exports === 'string' ||
+      Array.isArray(exports) ||
+      !Object.keys(exports).some((key) => key.startsWith('.'))
+    ) {
+      return [['.', exportsPkgPath]]
+    }
+    /** @type {[subpath: string, pkgPath: string[]][]} */
+    const entrypoints = []
+    for (const key in exports) {
+      if (exports[key] === null || key.includes('*')) continue
+      entrypoints.push([key, exportsPkgPath.concat(key)])
+    }
+    return entrypoints
+  }
+
+  /**
+   * Validate the `"typesVersions"` ranges and their path mappings, and check how they
+   * interact with the types in `"exports"`
+   */
+  async function checkTypesVersions() {
+    for (const range in typesVersions) {
+      const rangePkgPath = typesVersionsPkgPath.concat(range)
+      if (!isTypesVersionsRangeValid(range)) {
+        messages.push({
+          code: 'TYPES_VERSIONS_INVALID_RANGE',
+          args: { range },
+          path: rangePkgPath,
+          type: 'warning',
+        })
+        continue
+      }
+      const paths = typesVersions[range]
+      if (!ensureTypeOfField(paths, ['object'], rangePkgPath)) continue
+      for (const key in paths) {
+        const keyPkgPath = rangePkgPath.concat(key)
+        const targets = paths[key]
+        if (!Array.isArray(targets)) {
+          messages.push({
+            code: 'FIELD_INVALID_VALUE_TYPE',
+            args: { actualType: typeof targets, expectTypes: ['array'] },
+            path: keyPkgPath,
+            type: 'error',
+          })
+          continue
+        }
+        // TypeScript tries each target in order, so only one of them needs to resolve
+        if (!(await isTypesVersionsMappingResolved(targets))) {
+          messages.push({
+            code: 'TYPES_VERSIONS_MAPPING_NOT_RESOLVED',
+            args: { key },
+            path: keyPkgPath,
+            type: 'warning',
+          })
+        }
+      }
+    }
+
+    if (exports == null) return
+    const entry = getTypesVersionsEntry({ typesVersions })
+    if (!entry) return
+    const pkg = getTypesPkg()
+    const ctx = { vfs, pkgDir, packedFiles: _packedFiles }
+
+    // the subpaths that `"typesVersions"` maps to their `"exports"` types, for node10
+    /** @type {string[]} */
+    const fallbackSubpaths = []
+    for (const [subpath] of getTypesEntrypoints()) {
+      const legacyPath =
+        subpath === '.'
+          ? ([pkg.types, pkg.typings, main].find(
+              (p) => typeof p === 'string',
+            ) ?? 'index')
+          : subpath
+      const matched = mapTypesVersionsPath(
+        entry.paths,
+        legacyPath.replace(/^\.\//, ''),
+      )
+      if (!matched) continue
+      const typesFilePath = await resolveTypesVersionsTargets(matched.paths)
+      if (!typesFilePath) continue
+      // dual packages resolve different types by condition, the mapping only needs to
+      // match one of them, regardless of its declaration format
+      /** @type {string[]} */
+      const exportsTypesFilePaths = []
+      for (const mode of typesResolutionModes) {
+        if (mode === 'node10') continue
+        const result = await resolveSubpathTypes(ctx, pkg, subpath, mode)
+        if (result.typesFilePath)
+          exportsTypesFilePaths.push(result.typesFilePath)
+      }
+      if (exportsTypesFilePaths.length === 0) continue
+      const typesFileStem = typesFilePath.replace(/\.d\.[mc]?ts$/, '')
+      if (
+        exportsTypesFilePaths.some(
+          (p) => p.replace(/\.d\.[mc]?ts$/, '') === typesFileStem,
+        )
+      ) {
+        fallbackSubpaths.push(subpath)
+      } else if (matched.key.includes('*')) {
+        messages.push({
+          code: 'TYPES_VERSIONS_SHADOWS_EXPORTS',
+          args: {
+            subpath,
+            typesFilePath: toRelativeFilePath(typesFilePath),
+            exportsTypesFilePath: toRelativeFilePath(exportsTypesFilePaths[0]),
+          },
+          path: typesVersionsPkgPath.concat(entry.range, matched.key),
+          type: 'warning',
+        })
+      }
+    }
+
+    // if `"typesVersions"` only maps each subpath to the same file as `"exports"`, a
+    // single wildcard mapping may be enough
+    const keys = Object.keys(entry.paths)
+    if (
+      Object.keys(typesVersions).length !== 1 ||
+      keys.length < 2 ||
+      keys.some((key) => !fallbackSubpaths.includes('./' + key))
+    ) {
+      return
+    }
+    /** @type {string | undefined} */
+    let prefix
+    for (const key of keys) {
+      const targets = entry.paths[key]
+      if (targets.length !== 1) return
+      const match = targets[0].match(/^(.*?)(?:\/index)?\.d\.ts$/)
+      if (!match || !match[1].endsWith(key)) return
+      const targetPrefix = match[1].slice(0, -key.length)
+      if (prefix != null && prefix !== targetPrefix) return
+      prefix = targetPrefix
+    }
+    messages.push({
+      code: 'TYPES_VERSIONS_CAN_BE_SIMPLIFIED',
+      args: { suggestValue: { '*': [prefix + '*'] } },
+      path: typesVersionsPkgPath.concat(entry.range),
+      type: 'suggestion',
+    })
+  }
+
+  /**
+   * Whether any of the `"typesVersions"` targets resolve to published declaration files.
+   * Wildcard targets only need to match one published declaration file.
+   * @param {unknown[]} targets
+   */
+  async function isTypesVersionsMappingResolved(targets) {
+    for (const target of targets) {
+      if (typeof target !== 'string') continue
+      if (!target.includes('*')) {
+        if (await resolveTypesVersionsTargets([target])) return true
+        continue
+      }
+      const globStr = vfs.pathJoin(pkgDir, target)
+      const filePaths = await exportsGlob(globStr, vfs, _packedFiles)
+      if (filePaths.some((filePath) => isDtsFile(filePath))) return true
+    }
+    return false
+  }
+
+  /**
+   * Get the first published declaration file that the `"typesVersions"` targets resolve to.
+   * Wildcard targets are skipped.
+   * @param {unknown[]} targets
+   */
+  async function resolveTypesVersionsTargets(targets) {
+    for (const target of targets) {
+      if (typeof target !== 'string' || target.includes('*')) continue
+      const targetPath = vfs.pathJoin(pkgDir, target)
+      for (const candidate of getDtsFilePathCandidates(targetPath)) {
+        if (await isFilePublished(candidate, vfs, _packedFiles))
+          return candidate
+      }
+    }
+  }
+
   /**
    * @param {string | undefined} exportsKey
    */
@@ -1226,6 +2020,318 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
     return typesFilePath
   }
 
+  /**
+   * @param {string} filePath may omit the extension, e.g. for `main`
+   * @param {string[]} pkgPath
+   */
+  function addEntryFile(filePath, pkgPath) {
+    const existingPkgPath = entryFiles.get(filePath)
+    // prefer the entrypoints that aren't subpath patterns, see `checkImportedPackageDeclared`
+    if (
+      !existingPkgPath ||
+      (isPatternPkgPath(existingPkgPath) && !isPatternPkgPath(pkgPath))
+    ) {
+      entryFiles.set(filePath, pkgPath)
+    }
+  }
+
+  /**
+   * Whether the path is of a subpath pattern in `exports`, e.g. `["exports", "./dist/*"]`
+   * @param {string[]} pkgPath
+   */
+  function isPatternPkgPath(pkgPath) {
+    return pkgPath[0] === 'exports' && pkgPath.some((key) => key.includes('*'))
+  }
+
+  /**
+   * Crawl the published JS files imported from the entrypoints. Check that the relative
+   * imports are published, and the packages they import are declared as dependencies.
+   */
+  async function crawlEntryFiles() {
+    /**
+     * @type {{ filePath: string, pkgPath: string[], importChain: string[] }[]}
+     */
+    const queue = []
+    /** @type {Set<string>} */
+    const seenFilePaths = new Set()
+    for (const [filePath, pkgPath] of entryFiles) {
+      const resolvedFilePath = await resolveImportedFilePath(filePath)
+      // entrypoints that don't exist or aren't published are reported by the other checks
+      if (
+        !resolvedFilePath ||
+        !isFilePathLintable(resolvedFilePath) ||
+        (_packedFiles && !_packedFiles.includes(resolvedFilePath)) ||
+        seenFilePaths.has(resolvedFilePath)
+      ) {
+        continue
+      }
+      seenFilePaths.add(resolvedFilePath)
+      queue.push({
+        filePath: resolvedFilePath,
+        pkgPath,
+        importChain: [toRelativeFilePath(resolvedFilePath)],
+      })
+    }
+
+    /** @type {Set<string>} */
+    const checkedPackageNames = new Set()
+    /** @type {Set<string>} */
+    const reportedFilePaths = new Set()
+    for (let i = 0; i < queue.length; i++) {
+      const { filePath, pkgPath, importChain } = queue[i]
+      const content = await vfs.readFile(filePath)
+      if (!isFileContentLintable(content)) continue
+      for (const { specifier, kind, optional } of getImportSpecifiers(
+        content,
+      )) {
+        if (specifier.startsWith('./') || specifier.startsWith('../')) {
+          const importPath = vfs.pathJoin(vfs.getDirName(filePath), specifier)
+          const importedFilePath = await resolveRelativeImportFilePath(
+            importPath,
+            kind,
+          )
+          const isPublished =
+            importedFilePath != null &&
+            (!_packedFiles || _packedFiles.includes(importedFilePath))
+          if (!isPublished) {
+            // report the same missing file once, with the first import chain found
+            if (reportedFilePaths.has(importPath)) continue
+            reportedFilePaths.add(importPath)
+            messages.push({
+              code: importedFilePath
+                ? 'IMPORTED_FILE_NOT_PUBLISHED'
+                : 'IMPORTED_FILE_DOES_NOT_EXIST',
+              args: { specifier, importChain },
+              path: pkgPath,
+              type: 'warning',
+            })
+            continue
+          }
+          if (
+            isFilePathLintable(importedFilePath) &&
+            !seenFilePaths.has(importedFilePath)
+          ) {
+            seenFilePaths.add(importedFilePath)
+            queue.push({
+              filePath: importedFilePath,
+              pkgPath,
+              importChain: importChain.concat(
+                toRelativeFilePath(importedFilePath),
+              ),
+            })
+          }
+          continue
+        }
+
+        const packageName = getSpecifierPackageName(specifier)
+        if (
+          !packageName ||
+          // imports within `try` blocks are expected to fail if not installed
+          optional ||
+          checkedPackageNames.has(packageName) ||
+          nodeBuiltinModules.includes(packageName) ||
+          packageName === rootPkg.name
+        ) {
+          continue
+        }
+        checkedPackageNames.add(packageName)
+        checkImportedPackageDeclared(packageName, filePath, pkgPath)
+      }
+    }
+  }
+
+  /**
+   * Crawl the published declaration files from the `types` entrypoints, and the adjacent
+   * declaration files of the JS entrypoints. Check that their relative imports and
+   * references resolve to published declaration files.
+   */
+  async function crawlTypesEntryFiles() {
+    /**
+     * @type {{ filePath: string, pkgPath: string[], importChain: string[] }[]}
+     */
+    const queue = []
+    /** @type {Set<string>} */
+    const seenFilePaths = new Set()
+    for (const [filePath, pkgPath] of entryFiles) {
+      let dtsFilePath = filePath
+      if (!isDtsFile(filePath)) {
+        // TypeScript doesn't look for the types of bin files
+        if (pkgPath[0] === 'bin') continue
+        const resolvedFilePath = await resolveImportedFilePath(filePath)
+        if (!resolvedFilePath) continue
+        dtsFilePath = getAdjacentDtsPath(resolvedFilePath)
+        if (dtsFilePath === resolvedFilePath) continue
+      }
+      // entrypoints that don't exist or aren't published are reported by the other checks
+      if (
+        seenFilePaths.has(dtsFilePath) ||
+        !(await isFilePublished(dtsFilePath, vfs, _packedFiles))
+      ) {
+        continue
+      }
+      seenFilePaths.add(dtsFilePath)
+      queue.push({
+        filePath: dtsFilePath,
+        pkgPath,
+        importChain: [toRelativeFilePath(dtsFilePath)],
+      })
+    }
+
+    /** @type {Set<string>} */
+    const reportedFilePaths = new Set()
+    for (let i = 0; i < queue.length; i++) {
+      const { filePath, pkgPath, importChain } = queue[i]
+      const content = await vfs.readFile(filePath)
+      for (const specifier of getDtsRelativeSpecifiers(content)) {
+        const importPath = vfs.pathJoin(vfs.getDirName(filePath), specifier)
+        const candidates = getDtsFilePathCandidates(importPath)
+        if (candidates.length === 0) continue
+        // like TypeScript, a directory import tries the `types` field of its package.json
+        // before its index.d.ts
+        const dirTypesFilePath = await getDirTypesFilePath(importPath)
+        if (dirTypesFilePath) candidates.splice(1, 0, dirTypesFilePath)
+
+        /** @type {string | undefined} */
+        let existingFilePath
+        /** @type {string | undefined} */
+        let publishedFilePath
+        for (const candidate of candidates) {
+          if (
+            (await vfs.isPathExist(candidate)) &&
+            !(await vfs.isPathDir(candidate))
+          ) {
+            existingFilePath ??= candidate
+            if (!_packedFiles || _packedFiles.includes(candidate)) {
+              publishedFilePath = candidate
+              break
+            }
+          }
+        }
+
+        if (!publishedFilePath) {
+          // report the same missing file once, with the first import chain found
+          if (reportedFilePaths.has(importPath)) continue
+          reportedFilePaths.add(importPath)
+          messages.push({
+            code: existingFilePath
+              ? 'TYPES_IMPORTED_FILE_NOT_PUBLISHED'
+              : 'TYPES_IMPORTED_FILE_DOES_NOT_EXIST',
+            args: { specifier, importChain },
+            path: pkgPath,
+            type: 'warning',
+          })
+          continue
+        }
+        if (!seenFilePaths.has(publishedFilePath)) {
+          seenFilePaths.add(publishedFilePath)
+          queue.push({
+            filePath: publishedFilePath,
+            pkgPath,
+            importChain: importChain.concat(
+              toRelativeFilePath(publishedFilePath),
+            ),
+          })
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the file path of the `types` or `typings` field of a directory's package.json.
+   * Returns `undefined` if not specified.
+   * @param {string} dirPath
+   */
+  async function getDirTypesFilePath(dirPath) {
+    const pkgJsonPath = vfs.pathJoin(dirPath, 'package.json')
+    if (!(await vfs.isPathExist(pkgJsonPath))) return
+    try {
+      const dirPkg = JSON.parse(await vfs.readFile(pkgJsonPath))
+      const types = dirPkg.types ?? dirPkg.typings
+      if (typeof types === 'string') return vfs.pathJoin(dirPath, types)
+    } catch {}
+  }
+
+  /**
+   * Resolve the file path of an import, trying the extensions that `require` would try.
+   * Returns `undefined` if not found.
+   * @param {string} filePath
+   */
+  async function resolveImportedFilePath(filePath) {
+    for (const ext of ['', '.js', '/index.js']) {
+      const tryFilePath = filePath + ext
+      if (
+        (await vfs.isPathExist(tryFilePath)) &&
+        !(await vfs.isPathDir(tryFilePath))
+      ) {
+        return tryFilePath
+      }
+    }
+  }
+
+  /**
+   * Resolve the file path of a relative import. Only `require` tries the extensions, as
+   * ESM imports must specify the full path. Returns `undefined` if not found.
+   * @param {string} filePath
+   * @param {import('./utils.js').ImportSpecifier['kind']} kind
+   */
+  async function resolveRelativeImportFilePath(filePath, kind) {
+    if (kind === 'require') return resolveImportedFilePath(filePath)
+    if ((await vfs.isPathExist(filePath)) && !(await vfs.isPathDir(filePath))) {
+      return filePath
+    }
+  }
+
+  /**
+   * @param {string} filePath
+   */
+  function toRelativeFilePath(filePath) {
+    return './' + vfs.pathRelative(pkgDir, filePath)
+  }
+
+  /**
+   * @param {string} packageName
+   * @param {string} filePath the file that imports the package
+   * @param {string[]} pkgPath the entrypoint path that imports the file
+   */
+  function checkImportedPackageDeclared(packageName, filePath, pkgPath) {
+    for (const field of [
+      'dependencies',
+      'peerDependencies',
+      'peerDependenciesMeta',
+      'optionalDependencies',
+    ]) {
+      const [deps] = getPublishedField(rootPkg, field)
+      if (typeof deps === 'object' && deps != null && packageName in deps) {
+        return
+      }
+    }
+
+    const relativeFilePath = toRelativeFilePath(filePath)
+    // files exposed by subpath patterns, e.g. `"./dist/*"`, may be served by tools that
+    // resolve their own virtual modules, e.g. `@vite/env`
+    const type = isPatternPkgPath(pkgPath) ? 'suggestion' : 'warning'
+    const devDeps = rootPkg.devDependencies
+    if (
+      typeof devDeps === 'object' &&
+      devDeps != null &&
+      packageName in devDeps
+    ) {
+      messages.push({
+        code: 'DEPENDENCY_IN_DEV_DEPENDENCIES',
+        args: { filePath: relativeFilePath },
+        path: ['devDependencies', packageName],
+        type,
+      })
+    } else {
+      messages.push({
+        code: 'DEPENDENCY_NOT_DECLARED',
+        args: { packageName, filePath: relativeFilePath },
+        path: pkgPath,
+        type,
+      })
+    }
+  }
+
   /**
    * @param {any} binValue
    * @param {string[]} currentPath
@@ -1239,6 +2345,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
           '/index.js',
         ])
         if (binContent === false) return
+        addEntryFile(binPath, currentPath)
         // Skip checks if file is not lintable
         if (!isFilePathLintable(binValue)) return
 
@@ -1253,13 +2360,9 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
         }
 
         // Check format of file
-        const actualFormat = getCodeFormat(binContent)
+        const { format: actualFormat, evidence } = detectCodeFormat(binContent)
         const expectFormat = await getFilePathFormat(binPath, vfs)
-        if (
-          actualFormat !== expectFormat &&
-          actualFormat !== 'unknown' &&
-          actualFormat !== 'mixed'
-        ) {
+        if (actualFormat !== expectFormat && actualFormat !== 'unknown') {
           const actualExtension = vfs.getExtName(binPath)
           messages.push({
             code: isExplicitExtension(actualExtension)
@@ -1270,6 +2373,7 @@ export async function core({ pkgDir, vfs, level, strict, _packedFiles }) {
               expectFormat,
               actualExtension,
               expectExtension: getCodeFormatExtension(actualFormat),
+              evidence,
             },
             path: currentPath,
             type: 'warning',
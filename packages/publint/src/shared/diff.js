@@ -0,0 +1,330 @@
+import { typesResolutionConditions } from './constants.js'
+import {
+  getAdjacentDtsPath,
+  getFilePathFormat,
+  isDtsFile,
+  isVersionRangeSubset,
+  parseVersionRange,
+} from './utils.js'
+import { resolvePackageSubpath } from './resolve.js'
+
+/**
+ * @typedef {{
+ *   vfs: import('./core.js').Vfs,
+ *   pkgDir: string,
+ * }} DiffPackageContext
+ */
+
+/**
+ * @typedef {{
+ *   ctx: DiffPackageContext,
+ *   pkg: Record<string, any>,
+ * }} DiffPackage
+ */
+
+// the condition sets to resolve each subpath with, which represent how the package is
+// imported and required in Node.js, and how TypeScript resolves their types
+const entryConditions = [
+  {
+    condition: 'import',
+    conditions: ['node', 'import'],
+    typesConditions: typesResolutionConditions['node16-import'],
+  },
+  {
+    condition: 'require',
+    conditions: ['node', 'require'],
+    typesConditions: typesResolutionConditions['node16-require'],
+  },
+]
+
+/**
+ * Compare the packages and report the breaking changes in the export surface of the new package
+ * @param {DiffPackageContext} oldCtx
+ * @param {DiffPackageContext} newCtx
+ * @returns {Promise<import('../index.d.ts').DiffResult>}
+ */
+export async function diffPackages(oldCtx, newCtx) {
+  /** @type {DiffPackage} */
+  const oldPkg = { ctx: oldCtx, pkg: await readPkg(oldCtx) }
+  /** @type {DiffPackage} */
+  const newPkg = { ctx: newCtx, pkg: await readPkg(newCtx) }
+
+  /** @type {import('../index.d.ts').DiffMessage[]} */
+  const messages = []
+
+  // without `"exports"`, every file in the package can be imported. adding it
+  // restricts the imports to only the exported subpaths.
+  if (!getExportsSubpaths(oldPkg.pkg) && getExportsSubpaths(newPkg.pkg)) {
+    messages.push({ code: 'EXPORTS_ADDED', args: {} })
+  }
+
+  for (const subpath of getSubpaths(oldPkg.pkg)) {
+    // glob subpaths can't be resolved, only check if they're still exported as is
+    if (subpath.includes('*')) {
+      if (!getSubpaths(newPkg.pkg).includes(subpath)) {
+        messages.push({ code: 'EXPORTS_SUBPATH_REMOVED', args: { subpath } })
+      }
+      continue
+    }
+
+    /** @type {string[]} */
+    const removedConditions = []
+    let hasNewEntry = false
+    for (const { condition, conditions } of entryConditions) {
+      const oldFilePath = await resolveSubpath(oldPkg, subpath, conditions)
+      const newFilePath = await resolveSubpath(newPkg, subpath, conditions)
+      if (newFilePath) hasNewEntry = true
+      if (!oldFilePath) continue
+      if (!newFilePath) {
+        removedConditions.push(condition)
+        continue
+      }
+      // non-JS files don't have a format, e.g. `.json` and `.css`
+      if (!isJsFilePath(oldFilePath) || !isJsFilePath(newFilePath)) continue
+      const oldFormat = await getFilePathFormat(oldFilePath, oldCtx.vfs)
+      const newFormat = await getFilePathFormat(newFilePath, newCtx.vfs)
+      if (oldFormat !== newFormat) {
+        messages.push({
+          code: 'ENTRYPOINT_FORMAT_CHANGED',
+          args: {
+            subpath,
+            condition,
+            oldFormat,
+            newFormat,
+            oldFilePath: toPkgRelativePath(oldFilePath, oldCtx),
+            newFilePath: toPkgRelativePath(newFilePath, newCtx),
+          },
+        })
+      }
+    }
+
+    if (!hasNewEntry) {
+      if (removedConditions.length) {
+        messages.push({ code: 'EXPORTS_SUBPATH_REMOVED', args: { subpath } })
+      }
+      continue
+    }
+    for (const condition of removedConditions) {
+      messages.push({
+        code: 'EXPORTS_SUBPATH_REMOVED',
+        args: { subpath, condition },
+      })
+    }
+
+    /** @type {string[]} */
+    const removedTypesConditions = []
+    let hasNewTypes = false
+    for (const { condition, typesConditions } of entryConditions) {
+      const newHasTypes = await resolveSubpathTypes(
+        newPkg,
+        subpath,
+        typesConditions,
+      )
+      if (newHasTypes) hasNewTypes = true
+      if (
+        !newHasTypes &&
+        (await resolveSubpathTypes(oldPkg, subpath, typesConditions))
+      ) {
+        removedTypesConditions.push(condition)
+      }
+    }
+    if (!hasNewTypes) {
+      if (removedTypesConditions.length) {
+        messages.push({ code: 'TYPES_REMOVED', args: { subpath } })
+      }
+    } else {
+      for (const condition of removedTypesConditions) {
+        messages.push({ code: 'TYPES_REMOVED', args: { subpath, condition } })
+      }
+    }
+  }
+
+  const oldBin = getBinCommands(oldPkg.pkg)
+  const newBin = getBinCommands(newPkg.pkg)
+  for (const command of oldBin) {
+    if (!newBin.includes(command)) {
+      messages.push({ code: 'BIN_REMOVED', args: { command } })
+    }
+  }
+
+  const oldEngines = getEngines(oldPkg.pkg)
+  const newEngines = getEngines(newPkg.pkg)
+  for (const engine in newEngines) {
+    const oldRange = oldEngines[engine]
+    const newRange = newEngines[engine]
+    if (oldRange == null || isRangeNarrowed(oldRange, newRange)) {
+      messages.push({
+        code: 'ENGINES_NARROWED',
+        args: { engine, oldRange, newRange },
+      })
+    }
+  }
+
+  return { messages, oldPkg: oldPkg.pkg, newPkg: newPkg.pkg }
+}
+
+/**
+ * @param {import('../index.d.ts').DiffMessage} m
+ */
+export function formatDiffMessage(m) {
+  switch (m.code) {
+    case 'EXPORTS_SUBPATH_REMOVED':
+      return m.args.condition
+        ? `"${m.args.subpath}" can no longer be resolved with the "${m.args.condition}" condition.`
+        : `"${m.args.subpath}" is no longer exported.`
+    case 'ENTRYPOINT_FORMAT_CHANGED':
+      return `"${m.args.subpath}" with the "${m.args.condition}" condition changed from ${m.args.oldFormat} (${m.args.oldFilePath}) to ${m.args.newFormat} (${m.args.newFilePath}).`
+    case 'EXPORTS_ADDED':
+      return `"exports" is added, so only the exported subpaths can be imported and other files of the package can no longer be imported directly.`
+    case 'TYPES_REMOVED':
+      return m.args.condition
+        ? `"${m.args.subpath}" no longer has types when resolved with the "${m.args.condition}" condition.`
+        : `"${m.args.subpath}" no longer has types.`
+    case 'BIN_REMOVED':
+      return `The "${m.args.command}" bin command is removed.`
+    case 'ENGINES_NARROWED':
+      return m.args.oldRange == null
+        ? `The "${m.args.engine}" engine is now required to be "${m.args.newRange}".`
+        : `The "${m.args.engine}" engine range is narrowed from "${m.args.oldRange}" to "${m.args.newRange}".`
+  }
+}
+
+/**
+ * @param {DiffPackageContext} ctx
+ * @returns {Promise<Record<string, any>>}
+ */
+async function readPkg(ctx) {
+  const pkgJsonPath = ctx.vfs.pathJoin(ctx.pkgDir, 'package.json')
+  let content
+  try {
+    content = await ctx.vfs.readFile(pkgJsonPath)
+  } catch {
+    throw new Error(`[publint] Unable to read package.json at ${pkgJsonPath}`)
+  }
+  return JSON.parse(content)
+}
+
+/**
+ * Get the exports subpaths, or `.` if the package doesn't have `"exports"`
+ * @param {Record<string, any>} pkg
+ * @returns {string[]}
+ */
+function getSubpaths(pkg) {
+  const exports = getExportsSubpaths(pkg)
+  if (!exports) return ['.']
+  return Object.keys(exports).filter((subpath) => exports[subpath] !== null)
+}
+
+/**
+ * Normalize `"exports"` as an object of subpaths
+ * @param {Record<string, any>} pkg
+ * @returns {Record<string, any> | undefined}
+ */
+function getExportsSubpaths(pkg) {
+  const exports = pkg.exports
+  if (exports == null) return
+  if (
+    typeof exports === 'string' ||
+    Array.isArray(exports) ||
+    !Object.keys(exports).some((key) => key.startsWith('.'))
+  ) {
+    return { '.': exports }
+  }
+  return exports
+}
+
+/**
+ * Resolve the subpath to an existing file path with the conditions
+ * @param {DiffPackage} p
+ * @param {string} subpath
+ * @param {string[]} conditions
+ */
+async function resolveSubpath(p, subpath, conditions) {
+  const { vfs, pkgDir } = p.ctx
+  const { target } = resolvePackageSubpath(p.pkg, subpath, conditions)
+  if (!target) return
+
+  const resolvedPath = vfs.pathJoin(pkgDir, target)
+  if (await vfs.isPathExist(resolvedPath)) return resolvedPath
+  // `main` can omit the extension
+  if (p.pkg.exports == null && (await vfs.isPathExist(resolvedPath + '.js'))) {
+    return resolvedPath + '.js'
+  }
+}
+
+/**
+ * Whether the subpath has types when resolved with the conditions, either from the `types`
+ * condition, the `types` field, or an adjacent `.d.ts` file of the resolved entrypoint
+ * @param {DiffPackage} p
+ * @param {string} subpath
+ * @param {string[]} conditions
+ */
+async function resolveSubpathTypes(p, subpath, conditions) {
+  const { vfs, pkgDir } = p.ctx
+  const filePath = await resolveSubpath(p, subpath, conditions)
+  if (filePath) {
+    if (isDtsFile(filePath)) return true
+    if (await vfs.isPathExist(getAdjacentDtsPath(filePath))) return true
+  }
+  if (subpath === '.' && !getExportsSubpaths(p.pkg)) {
+    const typesFilePath = p.pkg.types ?? p.pkg.typings ?? './index.d.ts'
+    if (await vfs.isPathExist(vfs.pathJoin(pkgDir, typesFilePath))) return true
+  }
+  return false
+}
+
+/**
+ * @param {Record<string, any>} pkg
+ * @returns {string[]}
+ */
+function getBinCommands(pkg) {
+  if (typeof pkg.bin === 'string') {
+    // the command is the package name without the scope
+    return pkg.name ? [pkg.name.replace(/^@[^/]+\//, '')] : []
+  }
+  if (typeof pkg.bin === 'object' && pkg.bin != null) {
+    return Object.keys(pkg.bin)
+  }
+  return []
+}
+
+/**
+ * @param {Record<string, any>} pkg
+ * @returns {Record<string, string>}
+ */
+function getEngines(pkg) {
+  /** @type {Record<string, string>} */
+  const engines = {}
+  if (typeof pkg.engines !== 'object' || pkg.engines == null) return engines
+  for (const key in pkg.engines) {
+    if (typeof pkg.engines[key] === 'string') engines[key] = pkg.engines[key]
+  }
+  return engines
+}
+
+/**
+ * Whether some versions that satisfy the old range no longer satisfy the new range, e.g. a
+ * higher minimum version or a new upper bound. Ranges that can't be parsed are not
+ * considered narrowed.
+ * @param {string} oldRange
+ * @param {string} newRange
+ */
+export function isRangeNarrowed(oldRange, newRange) {
+  if (!parseVersionRange(oldRange) || !parseVersionRange(newRange)) return false
+  return !isVersionRangeSubset(oldRange, newRange)
+}
+
+/**
+ * @param {string} filePath
+ */
+function isJsFilePath(filePath) {
+  return /\.[mc]?js$/.test(filePath) && !isDtsFile(filePath)
+}
+
+/**
+ * @param {string} filePath
+ * @param {DiffPackageContext} ctx
+ */
+function toPkgRelativePath(filePath, ctx) {
+  return './' + ctx.vfs.pathRelative(ctx.pkgDir, filePath)
+}
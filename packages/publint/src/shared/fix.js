@@ -0,0 +1,243 @@
+import { getJsonNode, parseJsonNode } from './json-location.js'
+import { getPkgPathValue, pkgPathExists } from './utils.js'
+
+/**
+ * Get the operations to fix the message in the package.json, if it can be
+ * fixed mechanically. The operations reference the paths before any fixes
+ * are applied.
+ * @param {import('../index.d.ts').Message} m
+ * @param {Record<string, any>} pkg
+ * @returns {import('../index.d.ts').FixOperation[] | undefined}
+ */
+export function getFixOperations(m, pkg) {
+  switch (m.code) {
+    case 'EXPORTS_VALUE_INVALID':
+    case 'IMPORTS_VALUE_INVALID':
+      return [{ op: 'set', path: m.path, value: m.args.suggestValue }]
+    case 'IMPORTS_KEY_INVALID':
+      return [{ op: 'rename', path: m.path, key: m.args.suggestKey }]
+    case 'DEPRECATED_FIELD_JSNEXT': {
+      // replace with `module`, or remove if `module` already has the same value
+      const modulePath = m.path.slice(0, -1).concat('module')
+      if (!pkgPathExists(pkg, modulePath)) {
+        return [{ op: 'rename', path: m.path, key: 'module' }]
+      }
+      if (getPkgPathValue(pkg, modulePath) === getPkgPathValue(pkg, m.path)) {
+        return [{ op: 'delete', path: m.path }]
+      }
+      return
+    }
+    case 'INVALID_REPOSITORY_VALUE':
+      if (m.args.type === 'shorthand-git-sites') {
+        return [{ op: 'set', path: m.path, value: m.args.suggestValue }]
+      }
+      return
+    case 'EXPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING':
+    case 'IMPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING': {
+      // if the expected path already exists, the deprecated mapping is likely
+      // kept for backwards compatibility, so leave it as is
+      if (pkgPathExists(pkg, m.args.expectPath)) return
+      /** @type {import('../index.d.ts').FixOperation[]} */
+      const operations = [
+        { op: 'set', path: m.path, value: m.args.expectValue },
+      ]
+      for (let i = 0; i < m.path.length; i++) {
+        if (m.path[i] !== m.args.expectPath[i]) {
+          operations.push({
+            op: 'rename',
+            path: m.path.slice(0, i + 1),
+            key: m.args.expectPath[i],
+          })
+        }
+      }
+      return operations
+    }
+    case 'TYPES_VERSIONS_CAN_BE_SIMPLIFIED':
+      return [{ op: 'set', path: m.path, value: m.args.suggestValue }]
+    case 'SIDE_EFFECTS_EXCLUDES_CSS':
+      // only `false` can be replaced without changing what else has side effects
+      if (getPkgPathValue(pkg, m.path) === false) {
+        return [{ op: 'set', path: m.path, value: ['*.css'] }]
+      }
+      return
+    case 'DEPENDENCY_IN_DEV_DEPENDENCIES': {
+      const packageName = m.path[m.path.length - 1]
+      const version = getPkgPathValue(pkg, m.path)
+      const depsPath = ['dependencies']
+      return [
+        pkgPathExists(pkg, depsPath)
+          ? { op: 'set', path: depsPath.concat(packageName), value: version }
+          : { op: 'set', path: depsPath, value: { [packageName]: version } },
+        { op: 'delete', path: m.path },
+      ]
+    }
+    case 'EXPORTS_TYPES_SHOULD_BE_FIRST':
+      return [{ op: 'move', path: m.path, position: 'first' }]
+    case 'EXPORTS_DEFAULT_SHOULD_BE_LAST':
+    case 'IMPORTS_DEFAULT_SHOULD_BE_LAST':
+      return [{ op: 'move', path: m.path, position: 'last' }]
+    case 'EXPORTS_MODULE_SHOULD_PRECEDE_REQUIRE':
+    case 'IMPORTS_MODULE_SHOULD_PRECEDE_REQUIRE':
+      return [{ op: 'move', path: m.path, position: { before: 'require' } }]
+    case 'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE':
+    case 'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE':
+      return [
+        {
+          op: 'move',
+          path: m.path,
+          position: { before: m.args.condition },
+        },
+      ]
+  }
+}
+
+/**
+ * Apply the fix operations to the package.json content as text edits, so that
+ * the formatting outside of the edited keys is kept as is. The operations are
+ * applied in an order so that the paths can reference the original paths:
+ * values are set first, then keys are deleted and moved, and lastly keys are
+ * renamed from the deepest path. Operations that no longer apply are skipped.
+ * @param {string} content
+ * @param {import('../index.d.ts').FixOperation[]} operations
+ * @returns {string} the fixed content
+ */
+export function applyFixOperations(content, operations) {
+  const indent = content.match(/^[ \t]+(?=")/m)?.[0] ?? '  '
+  const newline = content.includes('\r\n') ? '\r\n' : '\n'
+  const opOrder = ['set', 'delete', 'move', 'rename']
+  const sorted = operations
+    .slice()
+    .sort(
+      (a, b) =>
+        opOrder.indexOf(a.op) - opOrder.indexOf(b.op) ||
+        b.path.length - a.path.length,
+    )
+
+  for (const operation of sorted) {
+    // re-parse after each edit as the offsets have changed
+    const root = parseJsonNode(content)
+    const parent = getJsonNode(root, operation.path.slice(0, -1))
+    if (!parent?.children) continue
+    const isArray = content[parent.valueStart] === '['
+    const key = operation.path[operation.path.length - 1]
+    const node = getJsonNode(parent, [key])
+    const index = node ? parent.children.indexOf(node) : -1
+
+    switch (operation.op) {
+      case 'set': {
+        if (node) {
+          const value = stringifyValue(
+            operation.value,
+            getLineIndent(node.start),
+          )
+          edit(node.valueStart, node.end, value)
+        } else if (!isArray) {
+          insertMember(parent, key, operation.value)
+        }
+        break
+      }
+      case 'delete': {
+        if (!node || isArray) break
+        const siblings = parent.children
+        if (siblings.length === 1) {
+          edit(parent.valueStart + 1, parent.end - 1, '')
+        } else if (index < siblings.length - 1) {
+          edit(node.start, siblings[index + 1].start, '')
+        } else {
+          edit(siblings[index - 1].end, node.end, '')
+        }
+        break
+      }
+      case 'move': {
+        if (!node || isArray) break
+        const members = parent.children.filter((c) => c !== node)
+        let newIndex = members.length
+        if (operation.position === 'first') {
+          newIndex = 0
+        } else if (typeof operation.position === 'object') {
+          const { before } = operation.position
+          const beforeIndex = members.findIndex((c) => c.key === before)
+          if (beforeIndex !== -1) newIndex = beforeIndex
+        }
+        members.splice(newIndex, 0, node)
+        // swap the member texts in place, keeping the separators between them
+        const texts = members.map((c) => content.slice(c.start, c.end))
+        for (let i = members.length - 1; i >= 0; i--) {
+          const slot = parent.children[i]
+          edit(slot.start, slot.end, texts[i])
+        }
+        break
+      }
+      case 'rename': {
+        // may have been renamed by a previous operation
+        if (!node || isArray || getJsonNode(parent, [operation.key])) break
+        edit(
+          node.start,
+          /** @type {number} */ (node.keyEnd),
+          JSON.stringify(operation.key),
+        )
+        break
+      }
+    }
+  }
+
+  return content
+
+  /**
+   * Insert a new member at the end of the object, following the separators
+   * of the last member
+   * @param {import('./json-location.js').JsonNode} parent
+   * @param {string} key
+   * @param {any} value
+   */
+  function insertMember(parent, key, value) {
+    const last = parent.children?.[parent.children.length - 1]
+    if (!last) {
+      const parentIndent = getLineIndent(parent.valueStart)
+      const member = `${JSON.stringify(key)}: ${stringifyValue(value, parentIndent + indent)}`
+      edit(
+        parent.valueStart + 1,
+        parent.end - 1,
+        newline + parentIndent + indent + member + newline + parentIndent,
+      )
+      return
+    }
+    let wsStart = last.start
+    while (/\s/.test(content[wsStart - 1])) wsStart--
+    const keySeparator = content.slice(last.keyEnd, last.valueStart)
+    const member =
+      JSON.stringify(key) +
+      keySeparator +
+      stringifyValue(value, getLineIndent(last.start))
+    edit(last.end, last.end, ',' + content.slice(wsStart, last.start) + member)
+  }
+
+  /**
+   * @param {any} value
+   * @param {string} baseIndent
+   */
+  function stringifyValue(value, baseIndent) {
+    return JSON.stringify(value, null, indent).replace(
+      /\n/g,
+      newline + baseIndent,
+    )
+  }
+
+  /**
+   * Get the indentation of the line that contains the offset
+   * @param {number} offset
+   */
+  function getLineIndent(offset) {
+    const lineStart = content.lastIndexOf('\n', offset - 1) + 1
+    return content.slice(lineStart, offset).match(/^[ \t]*/)?.[0] ?? ''
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @param {string} text
+   */
+  function edit(start, end, text) {
+    content = content.slice(0, start) + text + content.slice(end)
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * @typedef {{
+ *   key?: string
+ *   start: number
+ *   keyEnd?: number
+ *   valueStart: number
+ *   end: number
+ *   children?: JsonNode[]
+ * }} JsonNode
+ * A parsed JSON value with its offsets in the JSON string. For object members,
+ * `start` and `keyEnd` are the offsets of the key. For array items, `key` is the
+ * index. `children` is set for objects and arrays in source order.
+ */
+
+/**
+ * Parse the JSON string and record the location of each key and array item. The
+ * returned function gets the location of a path, e.g. `['exports', '.', 'import']`.
+ * If the path doesn't exist, the location of the nearest existing parent is returned.
+ * Lines and columns are 1-based. Invalid JSON will throw an error.
+ * @param {string} json
+ * @returns {(path: string[]) => import('../index.d.ts').MessageLocation}
+ */
+export function createJsonLocator(json) {
+  const root = parseJsonNode(json)
+  /** @type {number[]} */
+  const lineStarts = [0]
+  for (let i = 0; i < json.length; i++) {
+    if (json[i] === '\n') lineStarts.push(i + 1)
+  }
+
+  return (path) => {
+    let node = root
+    for (const key of path) {
+      const child = getJsonChildNode(node, key)
+      if (!child) break
+      node = child
+    }
+    return { start: toPosition(node.start), end: toPosition(node.end) }
+  }
+
+  /**
+   * @param {number} index
+   * @returns {import('../index.d.ts').MessagePosition}
+   */
+  function toPosition(index) {
+    // binary search the line that contains the index
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= index) low = mid
+      else high = mid - 1
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 }
+  }
+}
+
+/**
+ * Get the node at the path, or `undefined` if it doesn't exist
+ * @param {JsonNode} node
+ * @param {string[]} path
+ * @returns {JsonNode | undefined}
+ */
+export function getJsonNode(node, path) {
+  /** @type {JsonNode | undefined} */
+  let current = node
+  for (const key of path) {
+    current = getJsonChildNode(current, key)
+    if (!current) return
+  }
+  return current
+}
+
+/**
+ * @param {JsonNode} node
+ * @param {string} key
+ */
+function getJsonChildNode(node, key) {
+  if (!node.children) return
+  // the last duplicate key wins, same as `JSON.parse`
+  for (let i = node.children.length - 1; i >= 0; i--) {
+    if (node.children[i].key === key) return node.children[i]
+  }
+}
+
+/**
+ * Parse the JSON string into nodes with their offsets. Invalid JSON will throw an error.
+ * @param {string} json
+ * @returns {JsonNode}
+ */
+export function parseJsonNode(json) {
+  let i = 0
+  skipWhitespace()
+  /** @type {JsonNode} */
+  const root = { start: i, valueStart: i, end: i }
+  parseValue(root)
+  return root
+
+  function skipWhitespace() {
+    while (i < json.length && /\s/.test(json[i])) i++
+  }
+
+  /**
+   * @param {string} char
+   */
+  function expect(char) {
+    if (json[i] !== char) {
+      throw new Error(
+        `Unexpected token ${json[i] ?? 'end of input'} in JSON at position ${i}, expected ${char}`,
+      )
+    }
+    i++
+  }
+
+  /**
+   * @param {JsonNode} node
+   */
+  function parseValue(node) {
+    skipWhitespace()
+    node.valueStart = i
+    const char = json[i]
+    if (char === '{') {
+      parseObject(node)
+    } else if (char === '[') {
+      parseArray(node)
+    } else if (char === '"') {
+      parseString()
+    } else {
+      // number, boolean, or null
+      const start = i
+      while (i < json.length && /[\w.+-]/.test(json[i])) i++
+      if (i === start) expect('value')
+    }
+    node.end = i
+  }
+
+  /**
+   * @param {JsonNode} node
+   */
+  function parseObject(node) {
+    node.children = []
+    expect('{')
+    skipWhitespace()
+    if (json[i] === '}') {
+      i++
+      return
+    }
+    while (true) {
+      skipWhitespace()
+      const start = i
+      const key = parseString()
+      /** @type {JsonNode} */
+      const child = { key, start, keyEnd: i, valueStart: i, end: i }
+      skipWhitespace()
+      expect(':')
+      parseValue(child)
+      node.children.push(child)
+      skipWhitespace()
+      if (json[i] === ',') {
+        i++
+        continue
+      }
+      expect('}')
+      return
+    }
+  }
+
+  /**
+   * @param {JsonNode} node
+   */
+  function parseArray(node) {
+    node.children = []
+    expect('[')
+    skipWhitespace()
+    if (json[i] === ']') {
+      i++
+      return
+    }
+    for (let index = 0; ; index++) {
+      skipWhitespace()
+      /** @type {JsonNode} */
+      const child = { key: '' + index, start: i, valueStart: i, end: i }
+      parseValue(child)
+      node.children.push(child)
+      skipWhitespace()
+      if (json[i] === ',') {
+        i++
+        continue
+      }
+      expect(']')
+      return
+    }
+  }
+
+  function parseString() {
+    const start = i
+    expect('"')
+    while (i < json.length && json[i] !== '"') {
+      if (json[i] === '\\') i++
+      i++
+    }
+    expect('"')
+    return /** @type {string} */ (JSON.parse(json.slice(start, i)))
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * @typedef {{
+ *   type: 'identifier' | 'punctuator' | 'number' | 'string' | 'template' | 'regex',
+ *   value: string,
+ *   start: number,
+ *   end: number,
+ * }} Token
+ */
+
+// keywords after which a `/` starts a regex literal instead of a division
+const regexPrecedingKeywords = new Set([
+  'await',
+  'case',
+  'delete',
+  'do',
+  'else',
+  'in',
+  'instanceof',
+  'new',
+  'of',
+  'return',
+  'throw',
+  'typeof',
+  'void',
+  'yield',
+])
+
+// keywords whose parenthesized condition can be followed by a regex literal, e.g. `if (a) /b/.test(c)`
+const regexPrecedingParenKeywords = new Set(['if', 'for', 'while', 'with'])
+
+/**
+ * Tokenize the JS code, skipping whitespace and comments. Strings, template literals
+ * and regex literals are yielded as single tokens so their content is never mistaken
+ * for code, while the expressions within template literals are tokenized as usual.
+ * The tokenizer is lenient and doesn't validate the syntax, e.g. unterminated strings
+ * end at the line end.
+ * @param {string} code
+ * @returns {Generator<Token, void, undefined>}
+ */
+export function* tokenize(code) {
+  const length = code.length
+  let i = 0
+  /** @type {Token | undefined} */
+  let prev
+  // whether each open brace is a template literal expression (`${`) or a normal brace
+  /** @type {boolean[]} */
+  const braceStack = []
+  // whether each open paren is the condition of `if`, `for`, `while`, or `with`
+  /** @type {boolean[]} */
+  const parenStack = []
+  // whether the last `)` closed such a condition
+  let isParenKeywordClosed = false
+
+  // hashbang
+  if (code.startsWith('#!')) {
+    i = code.indexOf('\n')
+    if (i === -1) return
+  }
+
+  while (i < length) {
+    const char = code.charCodeAt(i)
+
+    // whitespace and line terminators
+    if (char === 32 || (char >= 9 && char <= 13) || char === 0xa0) {
+      i++
+      continue
+    }
+
+    // comments
+    if (char === 47 /* / */) {
+      const nextChar = code.charCodeAt(i + 1)
+      if (nextChar === 47 /* / */) {
+        const end = code.indexOf('\n', i + 2)
+        i = end === -1 ? length : end + 1
+        continue
+      }
+      if (nextChar === 42 /* * */) {
+        const end = code.indexOf('*/', i + 2)
+        i = end === -1 ? length : end + 2
+        continue
+      }
+    }
+
+    const start = i
+    /** @type {Token} */
+    let token
+    if (isIdentifierChar(char) && !isDigit(char)) {
+      i++
+      while (i < length && isIdentifierChar(code.charCodeAt(i))) i++
+      token = { type: 'identifier', value: code.slice(start, i), start, end: i }
+    } else if (
+      isDigit(char) ||
+      (char === 46 /* . */ && isDigit(code.charCodeAt(i + 1)))
+    ) {
+      i++
+      while (i < length) {
+        const c = code.charCodeAt(i)
+        if (isIdentifierChar(c) || c === 46 /* . */) {
+          i++
+        } else if (
+          (code[i] === '+' || code[i] === '-') &&
+          (code[i - 1] === 'e' || code[i - 1] === 'E') &&
+          !/^0[xX]/.test(code.slice(start, i))
+        ) {
+          // exponent sign, e.g. `1e+5`
+          i++
+        } else {
+          break
+        }
+      }
+      token = { type: 'number', value: code.slice(start, i), start, end: i }
+    } else if (char === 39 /* ' */ || char === 34 /* " */) {
+      i = skipString(code, i + 1, char)
+      token = { type: 'string', value: code.slice(start, i), start, end: i }
+    } else if (char === 96 /* ` */) {
+      i = skipTemplate(code, i + 1, braceStack)
+      token = { type: 'template', value: code.slice(start, i), start, end: i }
+    } else if (char === 125 /* } */ && braceStack[braceStack.length - 1]) {
+      // the end of a template literal expression, continue the template literal
+      braceStack.pop()
+      i = skipTemplate(code, i + 1, braceStack)
+      token = { type: 'template', value: code.slice(start, i), start, end: i }
+    } else if (char === 47 /* / */ && isRegexAllowed(prev)) {
+      const end = skipRegex(code, i + 1)
+      if (end === -1) {
+        i++
+        token = { type: 'punctuator', value: '/', start, end: i }
+      } else {
+        i = end
+        token = { type: 'regex', value: code.slice(start, i), start, end: i }
+      }
+    } else {
+      const nextChar = code.charCodeAt(i + 1)
+      if (
+        char === 46 /* . */ &&
+        nextChar === 46 /* . */ &&
+        code.charCodeAt(i + 2) === 46 /* . */
+      ) {
+        i += 3
+      } else if (
+        // `=>`, or `?.` but not a ternary with a number, e.g. `a?.5:1`
+        (char === 61 && nextChar === 62) ||
+        (char === 63 && nextChar === 46 && !isDigit(code.charCodeAt(i + 2)))
+      ) {
+        i += 2
+      } else {
+        i++
+      }
+      token = { type: 'punctuator', value: code.slice(start, i), start, end: i }
+    }
+
+    // track the brackets to tell template literal expressions and conditions apart
+    let isClosingParenKeyword = false
+    if (token.type === 'punctuator') {
+      switch (token.value) {
+        case '{':
+          braceStack.push(false)
+          break
+        case '}':
+          braceStack.pop()
+          break
+        case '(':
+          parenStack.push(
+            prev?.type === 'identifier' &&
+              regexPrecedingParenKeywords.has(prev.value),
+          )
+          break
+        case ')':
+          isClosingParenKeyword = !!parenStack.pop()
+          break
+      }
+    }
+    isParenKeywordClosed = isClosingParenKeyword
+
+    prev = token
+    yield token
+  }
+
+  /**
+   * Whether a `/` after the token starts a regex literal
+   * @param {Token | undefined} token
+   */
+  function isRegexAllowed(token) {
+    if (!token) return true
+    switch (token.type) {
+      case 'identifier':
+        return regexPrecedingKeywords.has(token.value)
+      case 'punctuator':
+        if (token.value === ')') return isParenKeywordClosed
+        return token.value !== ']'
+      case 'template':
+        // the start of a template literal expression
+        return token.value.endsWith('${')
+      default:
+        return false
+    }
+  }
+}
+
+/**
+ * @param {number} char
+ */
+function isDigit(char) {
+  return char >= 48 && char <= 57
+}
+
+/**
+ * Whether the char can be part of an identifier. Non-ASCII chars are assumed to be
+ * unicode identifier chars.
+ * @param {number} char
+ */
+function isIdentifierChar(char) {
+  return (
+    (char >= 97 && char <= 122) || // a-z
+    (char >= 65 && char <= 90) || // A-Z
+    (char >= 48 && char <= 57) || // 0-9
+    char === 36 || // $
+    char === 95 || // _
+    char === 35 || // # (private names)
+    char === 92 || // \ (unicode escapes)
+    char > 127
+  )
+}
+
+/**
+ * @param {string} code
+ * @param {number} i The index after the opening quote
+ * @param {number} quote
+ * @returns {number} The index after the closing quote, or the line end if unterminated
+ */
+function skipString(code, i, quote) {
+  while (i < code.length) {
+    const char = code.charCodeAt(i)
+    if (char === quote) return i + 1
+    if (char === 92 /* \ */) {
+      i += 2
+    } else if (char === 10 /* \n */ || char === 13 /* \r */) {
+      return i
+    } else {
+      i++
+    }
+  }
+  return i
+}
+
+/**
+ * @param {string} code
+ * @param {number} i The index after the opening backtick, or the closing brace of an expression
+ * @param {boolean[]} braceStack
+ * @returns {number} The index after the closing backtick, or after the `${` of an expression
+ */
+function skipTemplate(code, i, braceStack) {
+  while (i < code.length) {
+    const char = code.charCodeAt(i)
+    if (char === 96 /* ` */) return i + 1
+    if (char === 92 /* \ */) {
+      i += 2
+    } else if (char === 36 /* $ */ && code.charCodeAt(i + 1) === 123 /* { */) {
+      braceStack.push(true)
+      return i + 2
+    } else {
+      i++
+    }
+  }
+  return i
+}
+
+/**
+ * @param {string} code
+ * @param {number} i The index after the opening slash
+ * @returns {number} The index after the flags, or -1 if it's not a regex literal
+ */
+function skipRegex(code, i) {
+  let isInClass = false
+  while (i < code.length) {
+    const char = code.charCodeAt(i)
+    if (char === 10 /* \n */ || char === 13 /* \r */) return -1
+    if (char === 92 /* \ */) {
+      i += 2
+      continue
+    }
+    if (char === 91 /* [ */) {
+      isInClass = true
+    } else if (char === 93 /* ] */) {
+      isInClass = false
+    } else if (char === 47 /* / */ && !isInClass) {
+      i++
+      while (i < code.length && isIdentifierChar(code.charCodeAt(i))) i++
+      return i
+    }
+    i++
+  }
+  return -1
+}
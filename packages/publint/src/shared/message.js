@@ -1,6 +1,7 @@
 import picocolors from 'picocolors'
 import {
   formatMessagePath as fp,
+  getDtsCodeFormatExtension,
   getPkgPathValue,
   replaceLast,
 } from './utils.js'
@@ -94,6 +95,21 @@ export function formatMessage(m, pkg, opts = {}) {
       const start = opts.reference ? 'Should' : `${h.bold(fp(m.path))} should`
       return `${start} come before the "require" condition so it can take precedence when used by a bundler.`
     }
+    case 'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE':
+    case 'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE': {
+      const start = opts.reference ? 'Should' : `${h.bold(fp(m.path))} should`
+      const shadowed = m.args.shadowedConditions
+      if (shadowed.length === 2) {
+        return `${start} come before the "import" and "require" conditions, otherwise they take precedence and it's never matched by Node.js.`
+      }
+      const other = shadowed[0] === 'import' ? 'require()' : 'import'
+      return `${start} come before the "${shadowed[0]}" condition, otherwise the "${shadowed[0]}" condition takes precedence and it's only matched by Node.js for ${other}.`
+    }
+    case 'EXPORTS_MODULE_SYNC_SHOULD_BE_ESM':
+    case 'IMPORTS_MODULE_SYNC_SHOULD_BE_ESM': {
+      const start = opts.reference ? 'Should' : `${h.bold(fp(m.path))} should`
+      return `${start} be ESM as the "module-sync" condition is matched by both ${h.bold('import')} and ${h.bold('require()')} in Node.js, but the file is CJS.`
+    }
     case 'EXPORTS_DEFAULT_SHOULD_BE_LAST':
     case 'IMPORTS_DEFAULT_SHOULD_BE_LAST': {
       const start = opts.reference ? 'Should' : `${h.bold(fp(m.path))} should`
@@ -215,6 +231,124 @@ export function formatMessage(m, pkg, opts = {}) {
       } else {
         return `The "${h.bold(m.path[m.path.length - 1])}" dependency references "${h.bold(pv(m.path))}" that will likely not work when installed by end-users.`
       }
+    case 'TYPES_NOT_RESOLVED': {
+      const start = opts.reference
+        ? `The types of ${h.bold(m.args.subpath)}`
+        : `The types of ${h.bold(fp(m.path))}`
+      const mode = formatTypesResolutionMode(m.args.moduleResolution, h)
+      if (m.args.moduleResolution === 'node10') {
+        return `${start} can't be resolved with ${mode}, which doesn't support ${h.bold('pkg.exports')}. Consider adding ${h.bold('pkg.typesVersions')} to map the subpath to its types if it should be supported.`
+      }
+      return `${start} can't be resolved with ${mode}. Consider adding the ${h.bold('types')} condition, or a declaration file next to the resolved JS file.`
+    }
+    case 'TYPES_MASQUERADING_FORMAT': {
+      const start = opts.reference
+        ? `The types of ${h.bold(m.args.subpath)}`
+        : `The types of ${h.bold(fp(m.path))}`
+      return (
+        `${start} resolve to ${h.bold(m.args.typesFilePath)} with ${formatTypesResolutionMode(m.args.moduleResolution, h)}, which is interpreted as ${m.args.typesFormat}, but the JS file ${h.bold(m.args.filePath)} is ${m.args.format}. ` +
+        `The types are masquerading as ${m.args.typesFormat}, which causes TypeScript to type check the imports incorrectly. ` +
+        `Consider using the ${h.bold(getDtsCodeFormatExtension(m.args.format))} extension for the declaration file.`
+      )
+    }
+    case 'CJS_NAMED_EXPORTS_NOT_DETECTED': {
+      const { missingExports } = m.args
+      const names =
+        missingExports.length > 5
+          ? `${missingExports.slice(0, 5).map(h.bold).join(', ')}, and ${missingExports.length - 5} more`
+          : missingExports.map(h.bold).join(', ')
+      const importPath =
+        (pkg.name ?? 'pkg') +
+        (m.args.subpath === '.' ? '' : m.args.subpath.slice(1))
+      const start =
+        opts.reference || m.path[0] === 'name'
+          ? `${h.bold(m.args.filePath)} is CJS`
+          : `${h.bold(fp(m.path))} is ${h.bold(m.args.filePath)} which is CJS`
+      return (
+        `${start}, and its types (${h.bold(m.args.typesFilePath)}) declare the named exports ${names}, but Node.js can't detect them when it's imported by ESM. ` +
+        `Importing them, e.g. ${h.bold(`import { ${missingExports[0]} } from '${importPath}'`)}, fails at runtime even though TypeScript allows it. ` +
+        `Consider assigning them to ${h.bold('exports')} directly, e.g. ${h.bold(`exports.${missingExports[0]} = ...`)}, or providing an ESM entrypoint with the ${h.bold('"import"')} condition.`
+      )
+    }
+    case 'REQUIRE_ESM_TOP_LEVEL_AWAIT': {
+      const { importChain } = m.args
+      const filePath = importChain[importChain.length - 1]
+      const start = opts.reference
+        ? `${h.bold(importChain[0])} is ESM that can be loaded with ${h.bold('require()')}`
+        : `${h.bold(fp(m.path))} is ${h.bold(importChain[0])} which is ESM that can be loaded with ${h.bold('require()')}`
+      const via =
+        importChain.length > 1 ? ` (from ${importChain.join(' -> ')})` : ''
+      return `${start}, but ${h.bold(filePath)}${via} uses top-level await, so ${h.bold('require()')} throws ${h.bold('ERR_REQUIRE_ASYNC_MODULE')} in Node.js. Consider moving the top-level await into a function, or only exporting the file with the ${h.bold('"import"')} condition.`
+    }
+    case 'TYPES_VERSIONS_INVALID_RANGE': {
+      const start = opts.reference
+        ? `The range ${h.bold(m.args.range)} is`
+        : `${h.bold(fp(m.path))} has ${h.bold(m.args.range)} which is`
+      return `${start} not a valid TypeScript version range, so TypeScript ignores its mappings. Use a semver range instead, e.g. ${h.bold('">=4.7"')} or ${h.bold('"*"')}.`
+    }
+    case 'TYPES_VERSIONS_MAPPING_NOT_RESOLVED':
+      if (opts.reference) {
+        return `None of the paths resolve to a published declaration file.`
+      } else {
+        return `${h.bold(fp(m.path))} is ${h.bold(JSON.stringify(getPkgPathValue(pkg, m.path)))} but none of the paths resolve to a published declaration file.`
+      }
+    case 'TYPES_VERSIONS_SHADOWS_EXPORTS': {
+      const start = opts.reference
+        ? 'This wildcard mapping'
+        : h.bold(fp(m.path))
+      return (
+        `${start} maps the types of ${h.bold(m.args.subpath)} to ${h.bold(m.args.typesFilePath)} with TypeScript's ${h.bold('"moduleResolution": "node10"')}, but ${h.bold('pkg.exports')} resolves them to ${h.bold(m.args.exportsTypesFilePath)}. ` +
+        `Consumers will get different types depending on their ${h.bold('"moduleResolution"')}.`
+      )
+    }
+    case 'TYPES_VERSIONS_CAN_BE_SIMPLIFIED': {
+      const start = opts.reference ? 'This entry' : h.bold(fp(m.path))
+      return `${start} maps each subpath to the same types as ${h.bold('pkg.exports')} for TypeScript's ${h.bold('"moduleResolution": "node10"')}. It can be simplified as ${h.bold(JSON.stringify(m.args.suggestValue))}.`
+    }
+    case 'SIDE_EFFECTS_GLOB_NO_MATCHED_FILES': {
+      const start = opts.reference
+        ? 'Does'
+        : `${h.bold(fp(m.path))} is ${h.bold(pv(m.path))} but does`
+      return `${start} not match any published files. Patterns without ${h.bold('/')} match the file names in any directory, otherwise they're matched from the package directory.`
+    }
+    case 'SIDE_EFFECTS_EXCLUDES_CSS': {
+      const start = opts.reference
+        ? 'The exported CSS file'
+        : `${h.bold(fp(m.path))} is ${h.bold(pv(m.path))} but the CSS file`
+      return `${start} ${h.bold(m.args.filePath)} (from ${h.bold(fp(m.args.exportsPath))}) is not marked as having side effects. Bundlers will drop the imports of the CSS file. Add a pattern that matches it, e.g. ${h.bold('"*.css"')}.`
+    }
+    case 'IMPORTED_FILE_DOES_NOT_EXIST':
+    case 'IMPORTED_FILE_NOT_PUBLISHED': {
+      const chain = m.args.importChain.join(' -> ')
+      const start = opts.reference
+        ? `This entrypoint imports ${h.bold(m.args.specifier)} (from ${chain})`
+        : `${h.bold(fp(m.path))} imports ${h.bold(m.args.specifier)} (from ${chain})`
+      return m.code === 'IMPORTED_FILE_DOES_NOT_EXIST'
+        ? `${start}, but the file does not exist. This will fail when the file is imported.`
+        : `${start}, but the file is not published. Is it specified in ${h.bold('pkg.files')}?`
+    }
+    case 'TYPES_IMPORTED_FILE_DOES_NOT_EXIST':
+    case 'TYPES_IMPORTED_FILE_NOT_PUBLISHED': {
+      const chain = m.args.importChain.join(' -> ')
+      const start = opts.reference
+        ? `The types of this entrypoint import ${h.bold(m.args.specifier)} (from ${chain})`
+        : `The types of ${h.bold(fp(m.path))} import ${h.bold(m.args.specifier)} (from ${chain})`
+      return m.code === 'TYPES_IMPORTED_FILE_DOES_NOT_EXIST'
+        ? `${start}, but the declaration file does not exist. TypeScript will fail to resolve the types of the import.`
+        : `${start}, but the declaration file is not published. Is it specified in ${h.bold('pkg.files')}?`
+    }
+    case 'DEPENDENCY_NOT_DECLARED': {
+      const start = opts.reference
+        ? `The "${h.bold(m.args.packageName)}" package`
+        : `The "${h.bold(m.args.packageName)}" package imported by ${h.bold(m.args.filePath)}`
+      return `${start} is not declared in ${h.bold('pkg.dependencies')}, ${h.bold('pkg.peerDependencies')}, or ${h.bold('pkg.optionalDependencies')}. It may fail to resolve when the package is installed by end-users.`
+    }
+    case 'DEPENDENCY_IN_DEV_DEPENDENCIES': {
+      const start = opts.reference
+        ? 'This dependency'
+        : `The "${h.bold(m.path[m.path.length - 1])}" dependency`
+      return `${start} is imported by ${h.bold(m.args.filePath)} but only declared in ${h.bold('pkg.devDependencies')}, which are not installed by end-users. Consider moving it to ${h.bold('pkg.dependencies')}.`
+    }
     case 'BIN_FILE_NOT_EXECUTABLE': {
       const start = opts.reference
         ? 'This bin file'
@@ -231,6 +365,18 @@ export function formatMessage(m, pkg, opts = {}) {
   }
 }
 
+/** @type {import('../utils.d.ts').formatCodeFrame} */
+export function formatCodeFrame(evidence) {
+  const gutter = `${evidence.line}:${evidence.column}`
+  // underline the leading identifiers, e.g. `import` or `module.exports`
+  const underlineLength =
+    evidence.statement.match(/^[\w$]+(?:\.[\w$]+)*/)?.[0].length || 1
+  return (
+    `${gutter} | ${evidence.statement}\n` +
+    `${' '.repeat(gutter.length)} | ${'^'.repeat(underlineLength)}`
+  )
+}
+
 /** @type { import('picocolors/types.js').Colors | undefined } */
 let _picocolorsWithForcedColor
 
@@ -268,6 +414,21 @@ function getHighlighter(color) {
   return { bold, warn }
 }
 
+/**
+ * @param {import('../index.d.ts').TypesResolutionMode} mode
+ * @param {ReturnType<typeof getHighlighter>} h
+ */
+function formatTypesResolutionMode(mode, h) {
+  switch (mode) {
+    case 'node16-import':
+      return `TypeScript's ${h.bold('"moduleResolution": "node16"')} when imported`
+    case 'node16-require':
+      return `TypeScript's ${h.bold('"moduleResolution": "node16"')} when required`
+    default:
+      return `TypeScript's ${h.bold(`"moduleResolution": "${mode}"`)}`
+  }
+}
+
 /**
  * Make sure s is an `"exports"` compatible relative path
  * @param {string} s
@@ -0,0 +1,459 @@
+import { tokenize } from './lexer.js'
+
+/**
+ * @typedef {import('./lexer.js').Token} Token
+ */
+
+/**
+ * @typedef {{
+ *   exports: string[],
+ *   reexports: string[],
+ *   isUnknown: boolean,
+ * }} CjsNamedExports
+ */
+
+/**
+ * @typedef {{
+ *   exports: string[],
+ *   reexports: string[],
+ *   reexportNames: { name: string, localName: string, specifier: string }[],
+ * }} DtsNamedExports
+ */
+
+/**
+ * Get the named exports of the CJS code that Node.js detects when it's imported from ESM.
+ * It follows the patterns detected by `cjs-module-lexer`, but is more lenient as it's only
+ * used to find the names that are definitely not detected, e.g. all `Object.defineProperty`
+ * calls are treated as detected. `reexports` are the specifiers whose named exports are
+ * also exposed, and `isUnknown` is `true` if the exports are re-exported from a binding
+ * that can't be traced to a `require()` call.
+ * @see https://github.com/nodejs/cjs-module-lexer#grammar
+ * @param {string} code
+ * @returns {CjsNamedExports}
+ */
+export function getCjsNamedExports(code) {
+  const tokens = Array.from(tokenize(code))
+  /** @type {Set<string>} */
+  const exports = new Set()
+  /** @type {Set<string>} */
+  const reexports = new Set()
+  // the identifiers assigned with a `require()` call, e.g. `var _x = require('x')`
+  /** @type {Map<string, string>} */
+  const requireBindings = new Map()
+  let isUnknown = false
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (token.type !== 'identifier') continue
+    // the re-export helpers can be namespaced, e.g. `tslib.__exportStar()`
+    if (
+      isMemberAccess(tokens, i) &&
+      token.value !== '__exportStar' &&
+      token.value !== '__export'
+    ) {
+      continue
+    }
+
+    switch (token.value) {
+      case 'exports': {
+        addExportAssignment(i + 1)
+        break
+      }
+      case 'module': {
+        if (!isMember(tokens, i + 1, 'exports')) break
+        // module.exports = ...
+        if (isAssignment(tokens, i + 3)) {
+          const specifier = getRequireSpecifier(tokens, i + 4)
+          if (specifier != null) {
+            reexports.add(specifier)
+          } else if (tokens[i + 4]?.value === '{') {
+            addObjectLiteralExports(i + 5)
+          }
+        } else {
+          // module.exports.foo = ...
+          addExportAssignment(i + 3)
+        }
+        break
+      }
+      case 'Object': {
+        if (
+          isMember(tokens, i + 1, 'defineProperty') &&
+          tokens[i + 3]?.value === '('
+        ) {
+          // Object.defineProperty(exports, 'foo', ...)
+          let j = i + 4
+          if (
+            tokens[j]?.value === 'module' &&
+            isMember(tokens, j + 1, 'exports')
+          ) {
+            j += 2
+          } else if (tokens[j]?.value !== 'exports') {
+            break
+          }
+          if (
+            tokens[j + 1]?.value === ',' &&
+            tokens[j + 2]?.type === 'string'
+          ) {
+            exports.add(getStringValue(tokens[j + 2]))
+          }
+        } else if (
+          isMember(tokens, i + 1, 'keys') &&
+          tokens[i + 3]?.value === '(' &&
+          tokens[i + 4]?.type === 'identifier' &&
+          tokens[i + 5]?.value === ')' &&
+          isMember(tokens, i + 6, 'forEach') &&
+          isExportsCopyLoop(tokens, i + 8)
+        ) {
+          // Object.keys(_x).forEach(function (key) { ... exports[key] = _x[key] ... })
+          const specifier = requireBindings.get(tokens[i + 4].value)
+          if (specifier != null) reexports.add(specifier)
+          else isUnknown = true
+        }
+        break
+      }
+      case '__exportStar':
+      case '__export': {
+        // __exportStar(require('x'), exports)
+        if (tokens[i + 1]?.value !== '(') break
+        const specifier = getRequireSpecifier(tokens, i + 2)
+        if (specifier != null) reexports.add(specifier)
+        break
+      }
+      default: {
+        // var _x = require('x'), or wrapped by an interop helper, e.g.
+        // var _x = _interopRequireWildcard(require('x'))
+        if (!isAssignment(tokens, i + 1)) break
+        let j = i + 2
+        if (tokens[j]?.type === 'identifier' && tokens[j + 1]?.value === '(') {
+          if (tokens[j].value !== 'require') j += 2
+        }
+        const specifier = getRequireSpecifier(tokens, j)
+        if (specifier != null) requireBindings.set(token.value, specifier)
+      }
+    }
+  }
+
+  return {
+    exports: Array.from(exports),
+    reexports: Array.from(reexports),
+    isUnknown,
+  }
+
+  /**
+   * Add the export of `.foo = ...` or `['foo'] = ...` starting at the index
+   * @param {number} i
+   */
+  function addExportAssignment(i) {
+    if (tokens[i]?.value === '.' && tokens[i + 1]?.type === 'identifier') {
+      if (isAssignment(tokens, i + 2)) exports.add(tokens[i + 1].value)
+    } else if (
+      tokens[i]?.value === '[' &&
+      tokens[i + 1]?.type === 'string' &&
+      tokens[i + 2]?.value === ']'
+    ) {
+      if (isAssignment(tokens, i + 3))
+        exports.add(getStringValue(tokens[i + 1]))
+    }
+  }
+
+  /**
+   * Add the keys of the object literal starting at the index, after the opening brace.
+   * Like `cjs-module-lexer`, only shorthand properties, and properties whose values are
+   * identifiers are detected, and it stops at the first property that isn't.
+   * @param {number} i
+   */
+  function addObjectLiteralExports(i) {
+    while (i < tokens.length) {
+      const token = tokens[i]
+      if (token.value === '...') {
+        const specifier = getRequireSpecifier(tokens, i + 1)
+        if (specifier != null) {
+          reexports.add(specifier)
+          i += 5
+        } else if (tokens[i + 1]?.type === 'identifier') {
+          i += 2
+        } else {
+          return
+        }
+      } else if (token.type === 'identifier' || token.type === 'string') {
+        const name =
+          token.type === 'string' ? getStringValue(token) : token.value
+        i++
+        if (tokens[i]?.value === ':') {
+          if (tokens[i + 1]?.type !== 'identifier') return
+          i += 2
+        } else if (token.type === 'string') {
+          return
+        }
+        exports.add(name)
+      } else {
+        return
+      }
+      if (tokens[i]?.value !== ',') return
+      i++
+    }
+  }
+}
+
+/**
+ * Get the named exports of the declaration file that are values, i.e. that can be
+ * imported in JS. Names that may be types only are excluded, e.g. interfaces, type
+ * aliases, namespaces, and re-exported imports. `reexports` are the specifiers of
+ * `export * from` declarations, and `reexportNames` are the names exported with
+ * `export { localName as name } from`, which are values only if they're values in the
+ * files of their specifiers. Returns `undefined` if the file uses `export =`, which
+ * declares the exports as a whole.
+ * @param {string} code
+ * @returns {DtsNamedExports | undefined}
+ */
+export function getDtsNamedExports(code) {
+  const tokens = Array.from(tokenize(code))
+  /** @type {Set<string>} */
+  const exports = new Set()
+  /** @type {Set<string>} */
+  const reexports = new Set()
+  /** @type {DtsNamedExports['reexportNames']} */
+  const reexportNames = []
+  // the top-level declarations that are values, e.g. `declare const foo`
+  /** @type {Set<string>} */
+  const localValueNames = new Set()
+  /** @type {[localName: string, name: string][]} */
+  const localExports = []
+
+  let depth = 0
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    if (token.type === 'punctuator') {
+      if (token.value === '{') depth++
+      else if (token.value === '}') depth--
+      continue
+    }
+    // declarations within `declare module` and `declare namespace` aren't exported
+    if (depth !== 0 || token.type !== 'identifier') continue
+
+    const valueName = getValueDeclarationName(tokens, i)
+    if (valueName) {
+      localValueNames.add(valueName)
+      if (tokens[i - 1]?.value === 'export') exports.add(valueName)
+      continue
+    }
+
+    if (token.value !== 'export' || !isStatementStart(tokens, i)) continue
+    const next = tokens[i + 1]
+    if (next?.value === '=') return
+    if (next?.value === '*') {
+      // export * from 'x'
+      if (tokens[i + 2]?.value === 'from' && tokens[i + 3]?.type === 'string') {
+        reexports.add(getStringValue(tokens[i + 3]))
+      }
+      // export * as ns from 'x'
+      else if (
+        tokens[i + 2]?.value === 'as' &&
+        tokens[i + 3]?.type === 'identifier'
+      ) {
+        exports.add(tokens[i + 3].value)
+      }
+    } else if (
+      next?.value === '{' ||
+      (next?.value === 'type' && tokens[i + 2]?.value === '{')
+    ) {
+      const isTypeOnly = next.value === 'type'
+      let j = isTypeOnly ? i + 3 : i + 2
+      /** @type {[localName: string, name: string][]} */
+      const specifiers = []
+      while (j < tokens.length && tokens[j].value !== '}') {
+        let isTypeSpecifier = isTypeOnly
+        if (
+          tokens[j].value === 'type' &&
+          tokens[j + 1]?.value !== ',' &&
+          tokens[j + 1]?.value !== '}' &&
+          tokens[j + 1]?.value !== 'as'
+        ) {
+          isTypeSpecifier = true
+          j++
+        }
+        const localName = getSpecifierName(tokens[j])
+        let name = localName
+        if (tokens[j + 1]?.value === 'as') {
+          name = getSpecifierName(tokens[j + 2])
+          j += 2
+        }
+        if (!isTypeSpecifier) specifiers.push([localName, name])
+        j++
+        if (tokens[j]?.value === ',') j++
+      }
+      if (tokens[j + 1]?.value === 'from' && tokens[j + 2]?.type === 'string') {
+        const specifier = getStringValue(tokens[j + 2])
+        for (const [localName, name] of specifiers) {
+          reexportNames.push({ name, localName, specifier })
+        }
+      } else {
+        localExports.push(...specifiers)
+      }
+      // skip the specifiers so their braces aren't counted
+      i = j
+    }
+  }
+
+  for (const [localName, name] of localExports) {
+    if (localValueNames.has(localName)) exports.add(name)
+  }
+  exports.delete('default')
+
+  return {
+    exports: Array.from(exports),
+    reexports: Array.from(reexports),
+    reexportNames,
+  }
+}
+
+// the declaration keywords that declare values, which can be prefixed by the modifiers
+const valueDeclarationKeywords = new Set([
+  'const',
+  'let',
+  'var',
+  'function',
+  'class',
+  'enum',
+])
+const declarationModifiers = new Set(['declare', 'abstract', 'async'])
+
+/**
+ * Get the name of the value declaration that starts at the index, e.g. `declare const foo`.
+ * `const enum` are not values as they're inlined by TypeScript, and namespaces are skipped
+ * as they may contain types only.
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function getValueDeclarationName(tokens, i) {
+  if (!isStatementStart(tokens, i) && tokens[i - 1]?.value !== 'export') return
+  while (
+    declarationModifiers.has(tokens[i]?.value) &&
+    tokens[i + 1]?.type === 'identifier'
+  ) {
+    i++
+  }
+  const keyword = tokens[i]
+  if (
+    keyword?.type !== 'identifier' ||
+    !valueDeclarationKeywords.has(keyword.value) ||
+    (keyword.value === 'const' && tokens[i + 1]?.value === 'enum')
+  ) {
+    return
+  }
+  // function* foo()
+  const name = tokens[tokens[i + 1]?.value === '*' ? i + 2 : i + 1]
+  if (name?.type === 'identifier') return name.value
+}
+
+/**
+ * Whether the token at the index starts a top-level statement
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function isStatementStart(tokens, i) {
+  const prev = tokens[i - 1]
+  return (
+    !prev ||
+    prev.value === ';' ||
+    prev.value === '}' ||
+    prev.value === '{' ||
+    (prev.type === 'identifier' && prev.value === 'declare')
+  )
+}
+
+/**
+ * @param {Token | undefined} token
+ */
+function getSpecifierName(token) {
+  if (!token) return ''
+  return token.type === 'string' ? getStringValue(token) : token.value
+}
+
+/**
+ * Whether the token is accessed as a property, e.g. `foo.exports`
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function isMemberAccess(tokens, i) {
+  const prev = tokens[i - 1]
+  return prev?.value === '.' || prev?.value === '?.'
+}
+
+/**
+ * Whether the tokens at the index are `.name`
+ * @param {Token[]} tokens
+ * @param {number} i
+ * @param {string} name
+ */
+function isMember(tokens, i, name) {
+  return tokens[i]?.value === '.' && tokens[i + 1]?.value === name
+}
+
+/**
+ * Whether the token at the index is `=`, and not part of `==` or `=>`
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function isAssignment(tokens, i) {
+  const token = tokens[i]
+  if (token?.value !== '=') return false
+  const next = tokens[i + 1]
+  return !(next?.value === '=' && next.start === token.end)
+}
+
+/**
+ * Get the specifier of the `require('x')` call at the index
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function getRequireSpecifier(tokens, i) {
+  if (
+    tokens[i]?.value === 'require' &&
+    tokens[i + 1]?.value === '(' &&
+    tokens[i + 2]?.type === 'string' &&
+    tokens[i + 3]?.value === ')'
+  ) {
+    return getStringValue(tokens[i + 2])
+  }
+}
+
+/**
+ * Whether the `forEach` callback at the index copies the keys to `exports`, e.g.
+ * `(function (key) { exports[key] = _x[key] })` or with `Object.defineProperty(exports, key, ...)`
+ * @param {Token[]} tokens
+ * @param {number} i the index of the opening paren of the `forEach` call
+ */
+function isExportsCopyLoop(tokens, i) {
+  if (tokens[i]?.value !== '(') return false
+  // find the callback parameter name
+  let keyIndex = i + 1
+  if (tokens[keyIndex]?.value === 'function') keyIndex++
+  if (tokens[keyIndex]?.value === '(') keyIndex++
+  const key = tokens[keyIndex]
+  if (key?.type !== 'identifier') return false
+  // find the usage of `exports[key]` or `(exports, key` until the end of the callback
+  let parenDepth = 0
+  for (let j = i + 1; j < tokens.length; j++) {
+    const token = tokens[j]
+    if (token.value === '(') parenDepth++
+    else if (token.value === ')' && --parenDepth < 0) return false
+    if (
+      token.value === 'exports' &&
+      ((tokens[j + 1]?.value === '[' && tokens[j + 2]?.value === key.value) ||
+        (tokens[j + 1]?.value === ',' && tokens[j + 2]?.value === key.value))
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Get the value of the string literal token. Escape sequences are kept as is, which is
+ * fine for export names.
+ * @param {Token} token
+ */
+function getStringValue(token) {
+  return token.value.slice(1, -1)
+}
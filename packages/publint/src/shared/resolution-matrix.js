@@ -0,0 +1,225 @@
+import { resolutionEnvironments } from './constants.js'
+import { resolvePackageSubpath } from './resolve.js'
+import { resolveTypes } from './types-resolution.js'
+import {
+  exportsGlob,
+  detectCodeFormat,
+  getAdjacentDtsPath,
+  getDtsFilePathFormat,
+  getFilePathFormat,
+  escapeRegExp,
+  isDtsFile,
+  isFilePathLintable,
+  isFilePublished,
+  slash,
+} from './utils.js'
+
+/**
+ * @typedef {{
+ *   vfs: import('./core.js').Vfs,
+ *   pkgDir: string,
+ *   packedFiles?: string[],
+ *   environments?: import('../index.d.ts').ResolutionEnvironment[],
+ * }} ResolutionMatrixContext
+ */
+
+/**
+ * Resolve every `"exports"` subpath of the package under each environment. Glob
+ * subpaths are expanded to the files they match.
+ * @param {ResolutionMatrixContext} ctx
+ * @returns {Promise<import('../index.d.ts').ResolutionMatrix>}
+ */
+export async function createResolutionMatrix(ctx) {
+  const { vfs, pkgDir, environments = resolutionEnvironments } = ctx
+  for (const environment of environments) {
+    if (
+      typeof environment?.name !== 'string' ||
+      !Array.isArray(environment.conditions) ||
+      environment.conditions.some((c) => typeof c !== 'string')
+    ) {
+      throw new Error(
+        `[publint] Invalid environment ${JSON.stringify(environment)}. Expected an object with a "name" string and a "conditions" array of strings.`,
+      )
+    }
+  }
+  const pkgJsonPath = vfs.pathJoin(pkgDir, 'package.json')
+  /** @type {Record<string, any>} */
+  let pkg
+  try {
+    pkg = JSON.parse(await vfs.readFile(pkgJsonPath))
+  } catch {
+    throw new Error(`[publint] Unable to read package.json at ${pkgJsonPath}`)
+  }
+
+  /** @type {import('../index.d.ts').ResolutionMatrixSubpath[]} */
+  const subpaths = []
+  for (const [exportsKey, subpath] of await getSubpaths(ctx, pkg)) {
+    /** @type {import('../index.d.ts').ResolutionMatrixEntry[]} */
+    const entries = []
+    for (const environment of environments) {
+      entries.push(await resolveEntry(ctx, pkg, subpath, environment))
+    }
+    subpaths.push({ subpath, exportsKey, entries })
+  }
+
+  return { pkg, environments, subpaths }
+}
+
+/**
+ * Get the subpaths to resolve paired with their exports key. Glob keys are expanded
+ * with the files matched by their targets, or kept as is if nothing matches.
+ * @param {ResolutionMatrixContext} ctx
+ * @param {Record<string, any>} pkg
+ * @returns {Promise<[exportsKey: string, subpath: string][]>}
+ */
+async function getSubpaths(ctx, pkg) {
+  const { vfs, pkgDir, packedFiles } = ctx
+  const exports = pkg.exports
+  if (
+    exports == null ||
+    typeof exports === 'string' ||
+    Array.isArray(exports) ||
+    !Object.keys(exports).some((key) => key.startsWith('.'))
+  ) {
+    return [['.', '.']]
+  }
+
+  /** @type {[string, string][]} */
+  const subpaths = []
+  for (const exportsKey in exports) {
+    if (exports[exportsKey] === null) continue
+    if (!exportsKey.includes('*')) {
+      subpaths.push([exportsKey, exportsKey])
+      continue
+    }
+
+    /** @type {Set<string>} */
+    const expanded = new Set()
+    for (const target of getGlobTargets(exports[exportsKey])) {
+      const globStr = vfs.pathJoin(pkgDir, target)
+      const globStrRe = new RegExp(
+        `^${slash(globStr).split('*').map(escapeRegExp).join('(.+)')}$`,
+      )
+      const filePaths = await exportsGlob(
+        globStr,
+        vfs,
+        packedFiles,
+        exportsKey,
+        exports,
+      )
+      for (const filePath of filePaths) {
+        const matched = slash(filePath).match(globStrRe)
+        if (matched) expanded.add(exportsKey.replace('*', matched[1]))
+      }
+    }
+    if (expanded.size === 0) {
+      subpaths.push([exportsKey, exportsKey])
+    } else {
+      for (const subpath of Array.from(expanded).sort()) {
+        subpaths.push([exportsKey, subpath])
+      }
+    }
+  }
+  return subpaths
+}
+
+/**
+ * Get the relative glob targets within the exports value, e.g. `./dist/*.js`
+ * @param {unknown} exportsValue
+ * @returns {string[]}
+ */
+function getGlobTargets(exportsValue) {
+  if (typeof exportsValue === 'string') {
+    return exportsValue.startsWith('./') && exportsValue.includes('*')
+      ? [exportsValue]
+      : []
+  }
+  if (Array.isArray(exportsValue)) {
+    return exportsValue.flatMap(getGlobTargets)
+  }
+  if (typeof exportsValue === 'object' && exportsValue != null) {
+    return Object.values(exportsValue).flatMap(getGlobTargets)
+  }
+  return []
+}
+
+/**
+ * @param {ResolutionMatrixContext} ctx
+ * @param {Record<string, any>} pkg
+ * @param {string} subpath
+ * @param {import('../index.d.ts').ResolutionEnvironment} environment
+ * @returns {Promise<import('../index.d.ts').ResolutionMatrixEntry>}
+ */
+async function resolveEntry(ctx, pkg, subpath, environment) {
+  const { vfs, pkgDir } = ctx
+  // resolve the types like `checkTypesResolution`, which falls back to the next matching
+  // condition if the types of a target can't be found
+  if (environment.types) {
+    const types = await resolveTypes(ctx, pkg, subpath, environment.conditions)
+    if (types.typesFilePath) {
+      return {
+        environment: environment.name,
+        target: types.target,
+        filePath: './' + slash(vfs.pathRelative(pkgDir, types.typesFilePath)),
+        exists: true,
+        format: await getDtsFilePathFormat(types.typesFilePath, vfs),
+      }
+    }
+  }
+
+  let { target, error } = resolvePackageSubpath(
+    pkg,
+    subpath,
+    environment.conditions,
+  )
+  // without `"exports"`, TypeScript reads the `"types"` field first
+  if (environment.types && pkg.exports == null && subpath === '.') {
+    const typesField = pkg.types ?? pkg.typings
+    if (typeof typesField === 'string') target = typesField
+  }
+  if (!target) {
+    return { environment: environment.name, exists: false, error: error?.code }
+  }
+
+  let filePath = vfs.pathJoin(pkgDir, target)
+  let exists = await isFilePublished(filePath, vfs, ctx.packedFiles)
+  // without `"exports"`, the extension can be omitted
+  if (!exists && pkg.exports == null) {
+    for (const suffix of ['.js', '/index.js']) {
+      if (await isFilePublished(filePath + suffix, vfs, ctx.packedFiles)) {
+        filePath += suffix
+        exists = true
+        break
+      }
+    }
+  }
+  // TypeScript looks for the adjacent `.d.ts` file if the target is a JS file
+  if (environment.types && !isDtsFile(filePath)) {
+    const dtsFilePath = getAdjacentDtsPath(filePath)
+    if (dtsFilePath !== filePath) {
+      filePath = dtsFilePath
+      exists = await isFilePublished(filePath, vfs, ctx.packedFiles)
+    }
+  }
+
+  /** @type {import('../index.d.ts').ResolutionMatrixEntry} */
+  const entry = {
+    environment: environment.name,
+    target,
+    filePath: './' + slash(vfs.pathRelative(pkgDir, filePath)),
+    exists,
+  }
+  if (isDtsFile(filePath)) {
+    entry.format = await getDtsFilePathFormat(filePath, vfs)
+  } else if (isFilePathLintable(filePath)) {
+    entry.format = await getFilePathFormat(filePath, vfs)
+    if (exists) {
+      const { format, confidence } = detectCodeFormat(
+        await vfs.readFile(filePath),
+      )
+      entry.codeFormat = format
+      entry.codeFormatConfidence = confidence
+    }
+  }
+  return entry
+}
@@ -0,0 +1,368 @@
+import { formatMessagePath } from './utils.js'
+
+/**
+ * @typedef {import('../utils.d.ts').ResolvePackageSubpathResult} ResolvePackageSubpathResult
+ * @typedef {import('../utils.d.ts').ResolveErrorCode} ResolveErrorCode
+ */
+
+class ResolveError extends Error {
+  /**
+   * @param {ResolveErrorCode} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message)
+    this.code = code
+  }
+}
+
+/**
+ * Resolve the subpath of a package with the conditions, following the Node.js
+ * `PACKAGE_EXPORTS_RESOLVE` and `PACKAGE_IMPORTS_RESOLVE` algorithms.
+ * @see https://nodejs.org/api/esm.html#resolution-algorithm-specification
+ * @param {Record<string, any>} pkg
+ * @param {string} subpath
+ * @param {string[]} conditions
+ * @returns {ResolvePackageSubpathResult}
+ */
+export function resolvePackageSubpath(pkg, subpath, conditions) {
+  /** @type {string[]} */
+  const trace = []
+  /** @type {string[]} */
+  let targetPath = []
+
+  /**
+   * @param {unknown} target
+   * @param {string | null} patternMatch
+   * @param {boolean} isImports
+   * @param {string[]} currentPath
+   * @returns {string | null | undefined}
+   */
+  function resolveTarget(target, patternMatch, isImports, currentPath) {
+    const fp = formatMessagePath(currentPath)
+    if (typeof target === 'string') {
+      if (!target.startsWith('./')) {
+        if (
+          !isImports ||
+          target.startsWith('../') ||
+          target.startsWith('/') ||
+          isUrl(target)
+        ) {
+          throw new ResolveError(
+            'ERR_INVALID_PACKAGE_TARGET',
+            `${fp} is "${target}" which is an invalid target as it doesn't start with "./"`,
+          )
+        }
+        // resolves to another package, e.g. `"#dep": "dep"`
+        const specifier =
+          patternMatch == null ? target : target.replace(/\*/g, patternMatch)
+        trace.push(`${fp} resolves to the package specifier "${specifier}"`)
+        targetPath = currentPath
+        return specifier
+      }
+      if (hasInvalidSegments(target.slice(2))) {
+        throw new ResolveError(
+          'ERR_INVALID_PACKAGE_TARGET',
+          `${fp} is "${target}" which is an invalid target as it contains "", ".", "..", or "node_modules" segments`,
+        )
+      }
+      if (patternMatch == null) {
+        trace.push(`${fp} resolves to "${target}"`)
+        targetPath = currentPath
+        return target
+      }
+      if (hasInvalidSegments(patternMatch)) {
+        throw new ResolveError(
+          'ERR_INVALID_MODULE_SPECIFIER',
+          `The pattern match "${patternMatch}" contains "", ".", "..", or "node_modules" segments`,
+        )
+      }
+      const resolved = target.replace(/\*/g, patternMatch)
+      trace.push(
+        `${fp} is "${target}", which resolves to "${resolved}" with the pattern match "${patternMatch}"`,
+      )
+      targetPath = currentPath
+      return resolved
+    } else if (Array.isArray(target)) {
+      if (target.length === 0) {
+        trace.push(`${fp} is an empty array`)
+        return null
+      }
+      /** @type {string | null | undefined} */
+      let lastResult
+      /** @type {unknown} */
+      let lastError
+      for (let i = 0; i < target.length; i++) {
+        try {
+          lastError = undefined
+          lastResult = resolveTarget(
+            target[i],
+            patternMatch,
+            isImports,
+            currentPath.concat('' + i),
+          )
+        } catch (e) {
+          if (
+            e instanceof ResolveError &&
+            e.code === 'ERR_INVALID_PACKAGE_TARGET'
+          ) {
+            trace.push(`${e.message}, falling back to the next array item`)
+            lastError = e
+            continue
+          }
+          throw e
+        }
+        if (lastResult === undefined) continue
+        return lastResult
+      }
+      if (lastError) throw lastError
+      return lastResult
+    } else if (typeof target === 'object' && target != null) {
+      const keys = Object.keys(target)
+      if (keys.some((key) => /^\d+$/.test(key))) {
+        throw new ResolveError(
+          'ERR_INVALID_PACKAGE_CONFIG',
+          `${fp} contains numeric property keys, which are not allowed as conditions`,
+        )
+      }
+      for (const key of keys) {
+        if (key === 'default' || conditions.includes(key)) {
+          trace.push(`${fp} matches the "${key}" condition`)
+          const resolved = resolveTarget(
+            /** @type {Record<string, any>} */ (target)[key],
+            patternMatch,
+            isImports,
+            currentPath.concat(key),
+          )
+          if (resolved === undefined) continue
+          return resolved
+        }
+      }
+      trace.push(`${fp} has no matching conditions`)
+      return undefined
+    } else if (target === null) {
+      trace.push(`${fp} is null`)
+      return null
+    }
+    throw new ResolveError(
+      'ERR_INVALID_PACKAGE_TARGET',
+      `${fp} is ${JSON.stringify(target)} which is an invalid target`,
+    )
+  }
+
+  /**
+   * @param {string} matchKey
+   * @param {Record<string, any>} matchObj
+   * @param {boolean} isImports
+   * @param {string[]} currentPath
+   */
+  function resolveImportsExports(matchKey, matchObj, isImports, currentPath) {
+    if (matchKey in matchObj && !matchKey.includes('*')) {
+      trace.push(`Matched "${matchKey}" in ${formatMessagePath(currentPath)}`)
+      return resolveTarget(
+        matchObj[matchKey],
+        null,
+        isImports,
+        currentPath.concat(matchKey),
+      )
+    }
+
+    const expansionKeys = Object.keys(matchObj)
+      .filter(
+        (key) =>
+          key.indexOf('*') !== -1 && key.indexOf('*') === key.lastIndexOf('*'),
+      )
+      .sort(patternKeyCompare)
+    for (const expansionKey of expansionKeys) {
+      const patternBase = expansionKey.slice(0, expansionKey.indexOf('*'))
+      if (matchKey.startsWith(patternBase) && matchKey !== patternBase) {
+        const patternTrailer = expansionKey.slice(expansionKey.indexOf('*') + 1)
+        if (
+          patternTrailer.length === 0 ||
+          (matchKey.endsWith(patternTrailer) &&
+            matchKey.length >= expansionKey.length)
+        ) {
+          const patternMatch = matchKey.slice(
+            patternBase.length,
+            matchKey.length - patternTrailer.length,
+          )
+          trace.push(
+            `Matched the pattern "${expansionKey}" in ${formatMessagePath(currentPath)} with "${patternMatch}"`,
+          )
+          return resolveTarget(
+            matchObj[expansionKey],
+            patternMatch,
+            isImports,
+            currentPath.concat(expansionKey),
+          )
+        }
+      }
+    }
+
+    trace.push(
+      `No keys in ${formatMessagePath(currentPath)} match "${matchKey}"`,
+    )
+    return null
+  }
+
+  /**
+   * @returns {string}
+   */
+  function resolve() {
+    if (subpath.startsWith('#')) {
+      if (subpath === '#' || subpath.startsWith('#/')) {
+        throw new ResolveError(
+          'ERR_INVALID_MODULE_SPECIFIER',
+          `"${subpath}" is not a valid imports specifier`,
+        )
+      }
+      const imports = pkg.imports
+      if (imports != null && typeof imports === 'object') {
+        const resolved = resolveImportsExports(subpath, imports, true, [
+          'imports',
+        ])
+        if (resolved != null) return resolved
+      }
+      throw new ResolveError(
+        'ERR_PACKAGE_IMPORT_NOT_DEFINED',
+        `"${subpath}" is not defined in pkg.imports`,
+      )
+    }
+
+    if (subpath !== '.' && !subpath.startsWith('./')) {
+      throw new ResolveError(
+        'ERR_INVALID_MODULE_SPECIFIER',
+        `"${subpath}" is not a valid subpath, it should be "." or start with "./" or "#"`,
+      )
+    }
+
+    const exports = pkg.exports
+    // without `"exports"`, the package falls back to the legacy resolution. extensions
+    // and directory indexes are resolved by the file system, which isn't simulated here.
+    if (exports == null) {
+      if (subpath === '.') {
+        const main = typeof pkg.main === 'string' ? pkg.main : './index.js'
+        trace.push(
+          pkg.main != null
+            ? `pkg.exports is not set, falling back to pkg.main "${main}"`
+            : `pkg.exports and pkg.main are not set, falling back to "${main}"`,
+        )
+        targetPath = pkg.main != null ? ['main'] : []
+        return main
+      }
+      trace.push(
+        `pkg.exports is not set, "${subpath}" is resolved as a file path`,
+      )
+      return subpath
+    }
+
+    const isConditionalSugar =
+      typeof exports === 'string' ||
+      Array.isArray(exports) ||
+      (typeof exports === 'object' &&
+        !Object.keys(exports).some((key) => key.startsWith('.')))
+    if (
+      !isConditionalSugar &&
+      typeof exports === 'object' &&
+      Object.keys(exports).some((key) => !key.startsWith('.'))
+    ) {
+      throw new ResolveError(
+        'ERR_INVALID_PACKAGE_CONFIG',
+        `pkg.exports cannot contain both subpath keys that start with "." and condition keys`,
+      )
+    }
+
+    if (subpath === '.') {
+      /** @type {unknown} */
+      let mainExport
+      /** @type {string[]} */
+      let mainExportPath = ['exports']
+      if (isConditionalSugar) {
+        mainExport = exports
+      } else if ('.' in exports) {
+        trace.push(`Matched "." in pkg.exports`)
+        mainExport = exports['.']
+        mainExportPath = ['exports', '.']
+      }
+      if (mainExport !== undefined) {
+        const resolved = resolveTarget(mainExport, null, false, mainExportPath)
+        if (resolved != null) return resolved
+      }
+    } else if (!isConditionalSugar) {
+      const resolved = resolveImportsExports(subpath, exports, false, [
+        'exports',
+      ])
+      if (resolved != null) return resolved
+    }
+
+    throw new ResolveError(
+      'ERR_PACKAGE_PATH_NOT_EXPORTED',
+      `"${subpath}" is not exported by pkg.exports`,
+    )
+  }
+
+  try {
+    const target = resolve()
+    return { target, path: targetPath, trace }
+  } catch (e) {
+    if (!(e instanceof ResolveError)) throw e
+    trace.push(e.message)
+    return {
+      target: undefined,
+      path: undefined,
+      trace,
+      error: { code: e.code, message: e.message },
+    }
+  }
+}
+
+/**
+ * Sort the pattern keys so that the most specific one comes first
+ * @see https://nodejs.org/api/esm.html#resolution-algorithm-specification (PATTERN_KEY_COMPARE)
+ * @param {string} keyA
+ * @param {string} keyB
+ */
+function patternKeyCompare(keyA, keyB) {
+  const baseLengthA = keyA.indexOf('*') + 1
+  const baseLengthB = keyB.indexOf('*') + 1
+  if (baseLengthA > baseLengthB) return -1
+  if (baseLengthB > baseLengthA) return 1
+  if (baseLengthA === 0) return 1
+  if (baseLengthB === 0) return -1
+  if (keyA.length > keyB.length) return -1
+  if (keyB.length > keyA.length) return 1
+  return 0
+}
+
+/**
+ * Whether the path contains `""`, `"."`, `".."`, or `"node_modules"` segments,
+ * case insensitive and including percent encoded variants
+ * @param {string} path
+ */
+function hasInvalidSegments(path) {
+  return path.split(/[/\\]/).some((segment) => {
+    let decoded = segment
+    try {
+      decoded = decodeURIComponent(segment)
+    } catch {}
+    decoded = decoded.toLowerCase()
+    return (
+      decoded === '' ||
+      decoded === '.' ||
+      decoded === '..' ||
+      decoded === 'node_modules'
+    )
+  })
+}
+
+/**
+ * @param {string} str
+ */
+function isUrl(str) {
+  try {
+    new URL(str)
+    return true
+  } catch {
+    return false
+  }
+}
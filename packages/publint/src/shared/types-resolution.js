@@ -0,0 +1,398 @@
+import { typescriptVersion, typesResolutionConditions } from './constants.js'
+import {
+  getDtsFilePathCandidates,
+  getDtsFilePathFormat,
+  getFilePathFormat,
+  isFilePathLintable,
+  isFilePublished,
+  isVersionInRange,
+  parseVersionRange,
+} from './utils.js'
+import { resolvePackageSubpath } from './resolve.js'
+
+/**
+ * @typedef {import('../index.d.ts').TypesResolutionMode} TypesResolutionMode
+ */
+
+/**
+ * @typedef {{
+ *   vfs: import('./core.js').Vfs,
+ *   pkgDir: string,
+ *   packedFiles?: string[],
+ * }} TypesResolutionContext
+ */
+
+/**
+ * @typedef {{
+ *   typesFilePath?: string,
+ *   filePath?: string,
+ * }} TypesResolutionResult
+ */
+
+/**
+ * @typedef {{
+ *   target?: string,
+ *   typesFilePath?: string,
+ * }} TypesTargetResult
+ */
+
+export const typesResolutionModes = /** @type {const} */ ([
+  'node10',
+  'node16-import',
+  'node16-require',
+  'bundler',
+])
+
+/**
+ * Resolve the types of the subpath like TypeScript does with the module resolution mode.
+ * Returns the published declaration file and the JS file that it's resolved with, which
+ * are `undefined` if they can't be resolved.
+ * @param {TypesResolutionContext} ctx
+ * @param {Record<string, any>} pkg
+ * @param {string} subpath
+ * @param {TypesResolutionMode} mode
+ * @returns {Promise<TypesResolutionResult>}
+ */
+export async function resolveSubpathTypes(ctx, pkg, subpath, mode) {
+  // without `"exports"`, or with `node10` that doesn't support it, the types are resolved
+  // from the `"types"` field, `"typesVersions"`, and the file system
+  if (pkg.exports == null || mode === 'node10') {
+    const typesFilePath = await resolveLegacyTypes(ctx, pkg, subpath)
+    const jsTarget =
+      subpath === '.'
+        ? typeof pkg.main === 'string'
+          ? pkg.main
+          : './index.js'
+        : subpath
+    const filePath = await findPublishedFile(
+      ctx,
+      [jsTarget, jsTarget + '.js', jsTarget + '/index.js'].map((p) =>
+        ctx.vfs.pathJoin(ctx.pkgDir, p),
+      ),
+    )
+    return { typesFilePath, filePath }
+  }
+
+  const conditions = typesResolutionConditions[mode]
+  const { typesFilePath } = await resolveTypes(ctx, pkg, subpath, conditions)
+  const { target } = resolvePackageSubpath(
+    pkg,
+    subpath,
+    conditions.filter((c) => c !== 'types'),
+  )
+  const filePath = target
+    ? await findPublishedFile(ctx, [ctx.vfs.pathJoin(ctx.pkgDir, target)])
+    : undefined
+  return { typesFilePath, filePath }
+}
+
+/**
+ * Resolve the types of the subpath with the conditions like TypeScript does. Without
+ * `"exports"`, the types are resolved like the `node10` mode. Returns the target that
+ * the types are resolved from, and the published declaration file.
+ * @param {TypesResolutionContext} ctx
+ * @param {Record<string, any>} pkg
+ * @param {string} subpath
+ * @param {string[]} conditions
+ * @returns {Promise<TypesTargetResult>}
+ */
+export async function resolveTypes(ctx, pkg, subpath, conditions) {
+  if (pkg.exports == null) {
+    const typesFilePath = await resolveLegacyTypes(ctx, pkg, subpath)
+    if (!typesFilePath) return {}
+    const target =
+      './' + ctx.vfs.pathRelative(ctx.pkgDir, typesFilePath).replace(/\\/g, '/')
+    return { target, typesFilePath }
+  }
+  const match = getSubpathExportsValue(pkg.exports, subpath)
+  if (!match) return {}
+  return (
+    (await resolveExportsTypes(
+      ctx,
+      match.value,
+      conditions,
+      match.patternMatch,
+    )) ?? {}
+  )
+}
+
+/**
+ * Get the format of the types and JS files resolved with the `node16` modes. Returns
+ * `undefined` if they're not both resolved or not JS files.
+ * @param {TypesResolutionContext} ctx
+ * @param {TypesResolutionResult} result
+ */
+export async function getTypesResolutionFormats(ctx, result) {
+  if (!result.typesFilePath || !result.filePath) return
+  if (!isFilePathLintable(result.filePath)) return
+  return {
+    typesFormat: await getDtsFilePathFormat(result.typesFilePath, ctx.vfs),
+    format: await getFilePathFormat(result.filePath, ctx.vfs),
+  }
+}
+
+/**
+ * Get the `"typesVersions"` entry whose range matches the TypeScript version. The first
+ * matching entry is used, like TypeScript does.
+ * @param {Record<string, any>} pkg
+ * @param {string} [version] The TypeScript version, defaults to `typescriptVersion`
+ * @returns {{ range: string, paths: Record<string, string[]> } | undefined}
+ */
+export function getTypesVersionsEntry(pkg, version = typescriptVersion) {
+  const typesVersions = pkg.typesVersions
+  if (typeof typesVersions !== 'object' || typesVersions == null) return
+  for (const range in typesVersions) {
+    if (isVersionInRange(version, range)) {
+      const paths = typesVersions[range]
+      if (typeof paths !== 'object' || paths == null) return
+      return { range, paths }
+    }
+  }
+}
+
+/**
+ * Map the path within the package with the `"typesVersions"` path mappings, like
+ * `"paths"` in tsconfig. Returns the matched key and the mapped paths, or `undefined`
+ * if no mappings match.
+ * @param {Record<string, string[]>} paths
+ * @param {string} filePath relative to the package directory without the leading `./`
+ * @returns {{ key: string, paths: string[] } | undefined}
+ */
+export function mapTypesVersionsPath(paths, filePath) {
+  /** @type {string | undefined} */
+  let matchedKey
+  /** @type {string | undefined} */
+  let patternMatch
+  if (filePath in paths) {
+    matchedKey = filePath
+  } else {
+    // the longest prefix wins, like tsconfig `"paths"`
+    let longestPrefixLength = -1
+    for (const key in paths) {
+      const starIndex = key.indexOf('*')
+      if (starIndex === -1 || starIndex !== key.lastIndexOf('*')) continue
+      const prefix = key.slice(0, starIndex)
+      const suffix = key.slice(starIndex + 1)
+      if (
+        filePath.length >= prefix.length + suffix.length &&
+        filePath.startsWith(prefix) &&
+        filePath.endsWith(suffix) &&
+        prefix.length > longestPrefixLength
+      ) {
+        longestPrefixLength = prefix.length
+        matchedKey = key
+        patternMatch = filePath.slice(
+          prefix.length,
+          filePath.length - suffix.length,
+        )
+      }
+    }
+  }
+  if (matchedKey == null || !Array.isArray(paths[matchedKey])) return
+  return {
+    key: matchedKey,
+    paths: paths[matchedKey]
+      .filter((p) => typeof p === 'string')
+      .map((p) => (patternMatch == null ? p : p.replace('*', patternMatch))),
+  }
+}
+
+/**
+ * Resolve the types without `"exports"`, following TypeScript's `node10` resolution
+ * @param {TypesResolutionContext} ctx
+ * @param {Record<string, any>} pkg
+ * @param {string} subpath
+ */
+async function resolveLegacyTypes(ctx, pkg, subpath) {
+  const { vfs, pkgDir } = ctx
+  /** @type {string[]} */
+  const filePaths = []
+  if (subpath === '.') {
+    const typesField = pkg.types ?? pkg.typings
+    if (typeof typesField === 'string') filePaths.push(typesField)
+    if (typeof pkg.main === 'string') filePaths.push(pkg.main)
+    filePaths.push('index')
+  } else {
+    filePaths.push(subpath)
+  }
+
+  const typesVersionsPaths = getTypesVersionsEntry(pkg)?.paths
+  for (const filePath of filePaths) {
+    const normalizedPath = filePath.replace(/^\.\//, '')
+    const mapped = typesVersionsPaths
+      ? mapTypesVersionsPath(typesVersionsPaths, normalizedPath)
+      : undefined
+    // TypeScript falls back to the original path if the mapped paths don't resolve
+    for (const p of (mapped?.paths ?? []).concat(normalizedPath)) {
+      const typesFilePath = await resolveLegacyTypesPath(
+        ctx,
+        vfs.pathJoin(pkgDir, p),
+      )
+      if (typesFilePath) return typesFilePath
+    }
+  }
+}
+
+/**
+ * Resolve the declaration file of the path like TypeScript's `node10` resolution. If
+ * the path is a directory, the `"types"`, `"typings"`, or `"main"` field of its
+ * `package.json` is resolved before its `index.d.ts`, e.g. for `utils/package.json`
+ * stubs that point to `../dist/utils.d.ts`.
+ * @param {TypesResolutionContext} ctx
+ * @param {string} filePath
+ */
+async function resolveLegacyTypesPath(ctx, filePath) {
+  const candidates = getDtsFilePathCandidates(filePath)
+  const indexFilePath = filePath + '/index.d.ts'
+  if (!candidates.includes(indexFilePath)) {
+    return await findPublishedFile(ctx, candidates)
+  }
+
+  const typesFilePath = await findPublishedFile(
+    ctx,
+    candidates.filter((c) => c !== indexFilePath),
+  )
+  if (typesFilePath) return typesFilePath
+
+  const pkgJsonPath = ctx.vfs.pathJoin(filePath, 'package.json')
+  if (await findPublishedFile(ctx, [pkgJsonPath])) {
+    /** @type {Record<string, any> | undefined} */
+    let dirPkg
+    try {
+      dirPkg = JSON.parse(await ctx.vfs.readFile(pkgJsonPath))
+    } catch {}
+    for (const field of ['types', 'typings', 'main']) {
+      const value = dirPkg?.[field]
+      if (typeof value !== 'string') continue
+      const fieldTypesFilePath = await findPublishedFile(
+        ctx,
+        getDtsFilePathCandidates(ctx.vfs.pathJoin(filePath, value)),
+      )
+      if (fieldTypesFilePath) return fieldTypesFilePath
+    }
+  }
+  return await findPublishedFile(ctx, [indexFilePath])
+}
+
+/**
+ * Resolve the types of the exports value with the conditions. Unlike Node.js, TypeScript
+ * falls back to the next matching condition if the types of a target can't be found.
+ * @param {TypesResolutionContext} ctx
+ * @param {unknown} exportsValue
+ * @param {string[]} conditions
+ * @param {string} [patternMatch] The match of the `*` in the subpath pattern
+ * @returns {Promise<TypesTargetResult | undefined>}
+ */
+async function resolveExportsTypes(
+  ctx,
+  exportsValue,
+  conditions,
+  patternMatch,
+) {
+  if (typeof exportsValue === 'string') {
+    if (!exportsValue.startsWith('./')) return
+    const target =
+      patternMatch == null
+        ? exportsValue
+        : exportsValue.replace(/\*/g, patternMatch)
+    const typesFilePath = await findPublishedFile(
+      ctx,
+      getDtsFilePathCandidates(ctx.vfs.pathJoin(ctx.pkgDir, target)),
+    )
+    return typesFilePath ? { target, typesFilePath } : undefined
+  }
+  if (Array.isArray(exportsValue)) {
+    for (const value of exportsValue) {
+      const result = await resolveExportsTypes(
+        ctx,
+        value,
+        conditions,
+        patternMatch,
+      )
+      if (result) return result
+    }
+    return
+  }
+  if (typeof exportsValue === 'object' && exportsValue != null) {
+    for (const [key, value] of Object.entries(exportsValue)) {
+      if (key !== 'default' && !conditions.includes(key)) continue
+      const result = await resolveExportsTypes(
+        ctx,
+        value,
+        conditions,
+        patternMatch,
+      )
+      if (result) return result
+    }
+  }
+}
+
+/**
+ * Get the exports value of the subpath, and the match of the `*` if the subpath matches
+ * a pattern key like Node.js, e.g. `./features/*`
+ * @param {unknown} exports
+ * @param {string} subpath
+ * @returns {{ value: unknown, patternMatch?: string } | undefined}
+ */
+function getSubpathExportsValue(exports, subpath) {
+  if (
+    typeof exports === 'string' ||
+    Array.isArray(exports) ||
+    (typeof exports === 'object' &&
+      exports != null &&
+      !Object.keys(exports).some((key) => key.startsWith('.')))
+  ) {
+    return subpath === '.' ? { value: exports } : undefined
+  }
+  if (typeof exports !== 'object' || exports == null) return
+  const exportsObject = /** @type {Record<string, unknown>} */ (exports)
+  if (subpath in exportsObject && !subpath.includes('*')) {
+    return { value: exportsObject[subpath] }
+  }
+  /** @type {{ value: unknown, patternMatch?: string } | undefined} */
+  let result
+  let longestPrefixLength = -1
+  for (const key in exportsObject) {
+    const starIndex = key.indexOf('*')
+    if (starIndex === -1 || starIndex !== key.lastIndexOf('*')) continue
+    const prefix = key.slice(0, starIndex)
+    const suffix = key.slice(starIndex + 1)
+    if (
+      subpath.length >= key.length &&
+      subpath.startsWith(prefix) &&
+      subpath.endsWith(suffix) &&
+      prefix.length > longestPrefixLength
+    ) {
+      longestPrefixLength = prefix.length
+      result = {
+        value: exportsObject[key],
+        patternMatch: subpath.slice(
+          prefix.length,
+          subpath.length - suffix.length,
+        ),
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * @param {TypesResolutionContext} ctx
+ * @param {string[]} filePaths
+ */
+async function findPublishedFile(ctx, filePaths) {
+  for (const filePath of filePaths) {
+    if (await isFilePublished(filePath, ctx.vfs, ctx.packedFiles)) {
+      return filePath
+    }
+  }
+}
+
+/**
+ * Whether the `"typesVersions"` range can be parsed by TypeScript. Invalid ranges are
+ * ignored by TypeScript.
+ * @param {string} range
+ */
+export function isTypesVersionsRangeValid(range) {
+  return parseVersionRange(range) != null
+}
@@ -1,4 +1,5 @@
 import { lintableFileExtensions } from './constants.js'
+import { tokenize } from './lexer.js'
 
 /**
  * @typedef {{
@@ -12,38 +13,243 @@ import { lintableFileExtensions } from './constants.js'
  */
 
 /**
- * @typedef {'ESM' | 'CJS' | 'mixed' | 'unknown'} CodeFormat
+ * @typedef {'ESM' | 'CJS' | 'unknown'} CodeFormat
  */
 
-// Reference: https://github.com/unjs/mlly/blob/c5ae321725cbabe230c16c315d474c36eee6a30c/src/syntax.ts#L7
-const ESM_CONTENT_RE =
-  /([\s;]|^)(import[\w,{}\s*]*from|import\s*['"*{]|export\b\s*(?:[*{]|default|type|function|const|var|let|async function)|import\.meta\b)/m
 /**
+ * @typedef {{
+ *   specifier: string,
+ *   kind: 'import' | 'dynamic-import' | 'require',
+ *   optional: boolean,
+ * }} ImportSpecifier
+ */
+
+const IMPORT_KEYWORDS_RE = /\b(?:import|export|require)\b/
+// loosely based on https://github.com/npm/validate-npm-package-name, allowing legacy names
+const PACKAGE_NAME_RE = /^(?:@[\w~-][\w.~-]*\/)?[\w~-][\w.~-]*$/
+/**
+ * Get the specifiers imported, re-exported, or required by the code. Only string literal
+ * specifiers are collected, and as the code is tokenized, code within strings, template
+ * literals, and comments is ignored.
  * @param {string} code
+ * @param {boolean} [includeDynamicImports] whether to include `import()` specifiers,
+ *   which are loaded asynchronously
+ * @returns {ImportSpecifier[]} unique specifiers of each kind in the order they appear.
+ *   They're `optional` if every occurrence is within a `try` block, e.g. to load an
+ *   optional dependency if it's installed
  */
-export function isCodeEsm(code) {
-  return ESM_CONTENT_RE.test(code)
+export function getImportSpecifiers(code, includeDynamicImports = true) {
+  if (!IMPORT_KEYWORDS_RE.test(code)) return []
+  const tokens = tokenize(code)
+  // the tokens after the current token that are read ahead
+  /** @type {import('./lexer.js').Token[]} */
+  const lookahead = []
+  /** @type {Peek} */
+  const peek = (n) => {
+    while (lookahead.length <= n) {
+      const result = tokens.next()
+      if (result.done) return
+      lookahead.push(result.value)
+    }
+    return lookahead[n]
+  }
+  /** @type {Map<string, ImportSpecifier>} */
+  const specifiers = new Map()
+  // whether each open brace starts a `try` block
+  /** @type {boolean[]} */
+  const braces = []
+  let tryBlockDepth = 0
+  /** @type {import('./lexer.js').Token | undefined} */
+  let prev
+  for (let token = peek(0); token; prev = lookahead.shift(), token = peek(0)) {
+    if (token.value === '{') {
+      const isTryBlock = prev?.value === 'try'
+      braces.push(isTryBlock)
+      if (isTryBlock) tryBlockDepth++
+      continue
+    }
+    if (token.value === '}') {
+      if (braces.pop()) tryBlockDepth--
+      continue
+    }
+    if (token.type !== 'identifier' || isMemberAccessToken(prev)) continue
+    const next = peek(1)
+    /** @type {import('./lexer.js').Token | undefined} */
+    let specifierToken
+    /** @type {ImportSpecifier['kind']} */
+    let kind = 'import'
+    switch (token.value) {
+      case 'import':
+        if (next?.value === '(') {
+          // `import('a')`
+          if (includeDynamicImports) {
+            specifierToken = getCallStringArgToken(peek, 1)
+            kind = 'dynamic-import'
+          }
+        } else if (next?.type === 'string') {
+          // `import 'a'`
+          specifierToken = next
+        } else {
+          // `import a, { b } from 'a'`
+          specifierToken = getFromSpecifierToken(peek, 1)
+        }
+        break
+      case 'export':
+        // `export * from 'a'`, `export { a } from 'a'`, `export type { A } from 'a'`
+        if (
+          next?.value === '*' ||
+          next?.value === '{' ||
+          next?.value === 'type'
+        ) {
+          specifierToken = getFromSpecifierToken(peek, 1)
+        }
+        break
+      case 'require':
+        // `require('a')`
+        if (next?.value === '(') {
+          specifierToken = getCallStringArgToken(peek, 1)
+          kind = 'require'
+        }
+        break
+    }
+    const specifier = specifierToken && getStringTokenValue(specifierToken)
+    if (!specifier) continue
+    const existing = specifiers.get(kind + ':' + specifier)
+    if (existing) {
+      existing.optional &&= tryBlockDepth > 0
+    } else {
+      specifiers.set(kind + ':' + specifier, {
+        specifier,
+        kind,
+        optional: tryBlockDepth > 0,
+      })
+    }
+  }
+  return Array.from(specifiers.values())
 }
 
-// Reference: https://github.com/unjs/mlly/blob/c5ae321725cbabe230c16c315d474c36eee6a30c/src/syntax.ts#L15
-const CJS_CONTENT_RE =
-  /([\s;]|^)(module.exports\b|exports\.\w|require\s*\(|global\.\w|Object\.(defineProperty|defineProperties|assign)\s*\(\s*exports\b)/m
 /**
- * @param {string} code
+ * Read the nth token ahead without consuming it
+ * @typedef {(n: number) => import('./lexer.js').Token | undefined} Peek
+ */
+
+/**
+ * Get the string literal that's the first argument of the call, e.g. `('a')`
+ * @param {Peek} peek
+ * @param {number} i The lookahead index of the opening paren
+ */
+function getCallStringArgToken(peek, i) {
+  const arg = peek(i + 1)
+  const afterArg = peek(i + 2)
+  // the second argument can be the import attributes
+  if (
+    arg?.type === 'string' &&
+    (afterArg?.value === ')' || afterArg?.value === ',')
+  ) {
+    return arg
+  }
+}
+
+/**
+ * Get the string literal after `from` in an import or export clause, e.g. `a, { b } from 'a'`
+ * @param {Peek} peek
+ * @param {number} i The lookahead index of the first token of the clause
  */
-export function isCodeCjs(code) {
-  return CJS_CONTENT_RE.test(code)
+function getFromSpecifierToken(peek, i) {
+  for (let token = peek(i); token; token = peek(++i)) {
+    if (token.value === 'from' && peek(i + 1)?.type === 'string') {
+      return peek(i + 1)
+    }
+    if (token.value === '{') {
+      // named bindings can't be nested, and must be followed by `from` if anything
+      while ((token = peek(i)) && token.value !== '}') i++
+      if (peek(i + 1)?.value !== 'from') return
+    } else if (
+      token.type !== 'identifier' &&
+      token.value !== ',' &&
+      token.value !== '*'
+    ) {
+      return
+    }
+  }
 }
 
-const MULTILINE_COMMENTS_RE = /\/\*(.|[\r\n])*?\*\//gm
-const SINGLELINE_COMMENTS_RE = /\/\/.*/g
 /**
+ * @param {import('./lexer.js').Token} token
+ */
+function getStringTokenValue(token) {
+  const quote = token.value[0]
+  // unterminated strings end at the line end
+  if (token.value.length < 2 || !token.value.endsWith(quote)) return
+  return token.value.slice(1, -1)
+}
+
+const REFERENCE_PATH_RE =
+  /^\/\/\/\s*<reference\s+path\s*=\s*(['"])([^'"\r\n]+)\1/gm
+/**
+ * Get the relative specifiers imported or referenced by a declaration file, including
+ * the `/// <reference path="..." />` directives. Reference paths are always relative to
+ * the file, so they're prefixed with `./` if needed.
  * @param {string} code
+ * @returns {string[]} unique specifiers in the order they appear
  */
-export function stripComments(code) {
-  return code
-    .replace(MULTILINE_COMMENTS_RE, '')
-    .replace(SINGLELINE_COMMENTS_RE, '')
+export function getDtsRelativeSpecifiers(code) {
+  /** @type {string[]} */
+  const specifiers = []
+  for (const match of code.matchAll(REFERENCE_PATH_RE)) {
+    const referencePath = match[2]
+    specifiers.push(
+      referencePath.startsWith('./') || referencePath.startsWith('../')
+        ? referencePath
+        : './' + referencePath,
+    )
+  }
+  for (const { specifier } of getImportSpecifiers(code)) {
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      specifiers.push(specifier)
+    }
+  }
+  return Array.from(new Set(specifiers))
+}
+
+/**
+ * Get the declaration file paths that TypeScript tries when importing the file path from
+ * a declaration file, e.g. `./foo.js` tries `./foo.d.ts`, and `./foo` tries `./foo.d.ts`
+ * and `./foo/index.d.ts`. Returns an empty array for paths that don't resolve to a
+ * declaration file, e.g. `./foo.json` and `./foo.css`.
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+export function getDtsFilePathCandidates(filePath) {
+  if (isDtsFile(filePath)) return [filePath]
+  // foo.js -> foo.d.ts, foo.mts -> foo.d.mts, etc
+  if (/\.[mc]?[jt]sx?$/.test(filePath)) {
+    return [filePath.replace(/\.([mc]?)[jt]sx?$/, '.d.$1ts')]
+  }
+  if (/\.[^./\\]+$/.test(filePath)) return []
+  return [filePath + '.d.ts', filePath + '/index.d.ts']
+}
+
+/**
+ * Get the package name of a bare specifier, e.g. `@scope/pkg/utils` is `@scope/pkg`.
+ * Returns `undefined` for relative and absolute paths, URLs, protocol imports like
+ * `node:fs`, and `#` imports.
+ * @param {string} specifier
+ */
+export function getSpecifierPackageName(specifier) {
+  if (
+    specifier.startsWith('.') ||
+    specifier.startsWith('/') ||
+    specifier.startsWith('#') ||
+    specifier.includes(':')
+  ) {
+    return
+  }
+  const segments = specifier.split('/')
+  const name = specifier.startsWith('@')
+    ? segments.slice(0, 2).join('/')
+    : segments[0]
+  return PACKAGE_NAME_RE.test(name) ? name : undefined
 }
 
 // Reference: https://git-scm.com/docs/git-clone#_git_urls and https://github.com/npm/hosted-git-info
@@ -100,30 +306,389 @@ export function isShorthandRepositoryUrl(url) {
   return SHORTHAND_REPOSITORY_URL_RE.test(url)
 }
 
+const ESM_KEYWORDS_RE = /\b(?:import|export)\b/
+const CJS_KEYWORDS_RE = /\b(?:require|exports)\b/
+// keywords that can follow `export` in a declaration, e.g. `export const a = 1`
+const exportDeclarationKeywords = new Set([
+  'async',
+  'class',
+  'const',
+  'default',
+  'function',
+  'let',
+  'var',
+])
+
+/**
+ * Detect the format of the code from its tokens. Import and export declarations and
+ * `import.meta` can only be parsed as ESM, so they decide the format even if the code
+ * also uses CJS APIs, e.g. through `createRequire`. Otherwise, the code is CJS if it
+ * uses `require()`, `module.exports` or `exports`, including within UMD wrappers.
+ * Dynamic `import()` works in both formats and is ignored.
+ *
+ * The confidence is `low` if the code is CJS only because it calls `require()`, which
+ * may also be a function declared by the code or an AMD loader.
+ * @param {string} code
+ * @returns {{
+ *   format: CodeFormat,
+ *   confidence: 'high' | 'low',
+ *   evidence?: import('../index.d.ts').CodeFormatEvidence,
+ * }}
+ */
+export function detectCodeFormat(code) {
+  // the code can't be ESM without the keywords, so the first CJS syntax is decisive
+  const maybeEsm = ESM_KEYWORDS_RE.test(code)
+  if (!maybeEsm && !CJS_KEYWORDS_RE.test(code)) {
+    return { format: 'unknown', confidence: 'low' }
+  }
+  // the start index of the first CJS syntax
+  /** @type {number | undefined} */
+  let cjsStart
+  // whether the code uses `module.exports` or `exports`
+  let hasCjsExports = false
+  // the depth of the brackets, as import and export declarations are only top-level
+  let depth = 0
+  // the previous tokens, from the closest
+  /** @type {import('./lexer.js').Token | undefined} */
+  let p1, p2, p3, p4
+  for (const t of tokenize(code)) {
+    if (p1?.type === 'identifier' && !isMemberAccessToken(p2)) {
+      switch (p1.value) {
+        case 'import':
+          // `import a from`, `import { a } from`, `import * as a from`, `import 'a'`
+          if (
+            depth === 0 &&
+            (t.type === 'identifier' ||
+              t.type === 'string' ||
+              t.value === '{' ||
+              t.value === '*')
+          ) {
+            return {
+              format: 'ESM',
+              confidence: 'high',
+              evidence: getEvidence(code, p1.start),
+            }
+          }
+          break
+        case 'export':
+          if (
+            depth === 0 &&
+            (t.value === '{' ||
+              t.value === '*' ||
+              (t.type === 'identifier' &&
+                exportDeclarationKeywords.has(t.value)))
+          ) {
+            return {
+              format: 'ESM',
+              confidence: 'high',
+              evidence: getEvidence(code, p1.start),
+            }
+          }
+          break
+        case 'require':
+          if (t.value === '(') cjsStart ??= p1.start
+          break
+        case 'exports':
+          // `exports.a = 1` or `exports['a'] = 1`
+          if (t.value === '.' || t.value === '[') {
+            cjsStart ??= p1.start
+            hasCjsExports = true
+          }
+          break
+      }
+    }
+    if (t.type === 'identifier') {
+      if (
+        t.value === 'meta' &&
+        p1?.value === '.' &&
+        p2?.value === 'import' &&
+        !isMemberAccessToken(p3)
+      ) {
+        return {
+          format: 'ESM',
+          confidence: 'high',
+          evidence: getEvidence(code, p2.start),
+        }
+      }
+      if (t.value === 'exports') {
+        if (
+          p1?.value === '.' &&
+          p2?.value === 'module' &&
+          !isMemberAccessToken(p3)
+        ) {
+          cjsStart ??= p2.start
+          hasCjsExports = true
+        } else if (
+          // `Object.defineProperty(exports, ...)`
+          p1?.value === '(' &&
+          (p2?.value === 'defineProperty' ||
+            p2?.value === 'defineProperties' ||
+            p2?.value === 'assign') &&
+          p3?.value === '.' &&
+          p4?.value === 'Object'
+        ) {
+          cjsStart ??= p4.start
+          hasCjsExports = true
+        }
+      }
+    } else if (t.type === 'punctuator') {
+      if (t.value === '{' || t.value === '(' || t.value === '[') depth++
+      else if (t.value === '}' || t.value === ')' || t.value === ']') depth--
+    }
+    if (hasCjsExports && !maybeEsm) break
+    p4 = p3
+    p3 = p2
+    p2 = p1
+    p1 = t
+  }
+  if (cjsStart == null) return { format: 'unknown', confidence: 'low' }
+  return {
+    format: 'CJS',
+    confidence: hasCjsExports ? 'high' : 'low',
+    evidence: getEvidence(code, cjsStart),
+  }
+}
+
+const AMD_RE = /\bdefine\s*\.\s*amd\b/
+/**
+ * Whether the code is a UMD bundle, which checks for AMD's `define.amd` to decide how
+ * to export, e.g. `typeof define === 'function' && define.amd ? define(factory) : ...`
+ * @param {string} code
+ */
+export function isUmdCode(code) {
+  if (!AMD_RE.test(code)) return false
+  /** @type {import('./lexer.js').Token[]} */
+  const prevTokens = []
+  for (const token of tokenize(code)) {
+    if (
+      token.value === 'amd' &&
+      prevTokens[1]?.value === '.' &&
+      prevTokens[0]?.value === 'define'
+    ) {
+      return true
+    }
+    prevTokens.push(token)
+    if (prevTokens.length > 2) prevTokens.shift()
+  }
+  return false
+}
+
 /**
  * @param {string} code
  * @returns {CodeFormat}
  */
 export function getCodeFormat(code) {
-  code = stripComments(code)
-  const isEsm = isCodeEsm(code)
-  const isCjs = isCodeCjs(code)
-  // In reality, a file can't have mixed ESM and CJS. It's syntactically incompatible in both environments.
-  // But since we use regex, we can't correct identify ESM and CJS, so when this happens we should bail instead.
-  // TODO: Yak shave a correct implementation.
-  if (isEsm && isCjs) {
-    return 'mixed'
-  } else if (isEsm) {
-    return 'ESM'
-  } else if (isCjs) {
-    return 'CJS'
-  } else {
-    // If we can't determine the format, it's likely that it doesn't import/export and require/exports.
-    // Meaning it's a side-effectful file, which would always match the `format`
-    return 'unknown'
+  return detectCodeFormat(code).format
+}
+
+const AWAIT_RE = /\bawait\b/
+// keywords whose parenthesized expression is followed by a block instead of a function
+// body, e.g. `if (a) {`
+const blockParenKeywords = new Set([
+  'catch',
+  'for',
+  'if',
+  'switch',
+  'while',
+  'with',
+])
+// keywords that start a statement and can't continue an expression, which end the
+// expression body of the preceding arrow function when semicolons are omitted
+const statementKeywords = new Set([
+  'const',
+  'do',
+  'export',
+  'for',
+  'if',
+  'let',
+  'return',
+  'switch',
+  'throw',
+  'try',
+  'var',
+  'while',
+])
+
+// keywords that continue the expression before them, e.g. `a instanceof b`
+const binaryKeywords = new Set(['as', 'in', 'instanceof', 'of', 'satisfies'])
+// keywords that are followed by an operand, so they can't end an expression
+const unaryKeywords = new Set([
+  'async',
+  'await',
+  'delete',
+  'new',
+  'typeof',
+  'void',
+  'yield',
+])
+
+// the tokens that can't start the operand of `await`
+const nonOperandTokenValues = new Set([
+  '}',
+  ')',
+  ']',
+  ',',
+  ';',
+  ':',
+  '=',
+  '.',
+  '?.',
+  '?',
+  '=>',
+  'as',
+  'from',
+])
+
+/**
+ * Get the first top-level `await` in the ESM code as evidence, including `for await`.
+ * Modules with top-level await are async and can't be loaded with `require()`. Returns
+ * `undefined` if there's none.
+ * @param {string} code
+ * @returns {import('../index.d.ts').CodeFormatEvidence | undefined}
+ */
+export function getTopLevelAwaitEvidence(code) {
+  if (!AWAIT_RE.test(code)) return
+  // the open brackets, and whether each of them is a function body. arrow functions
+  // with an expression body are tracked as `arrow` until the expression ends.
+  /** @type {('function' | 'arrow' | 'other')[]} */
+  const stack = []
+  let functionDepth = 0
+  // for each open paren, whether it's preceded by one of `blockParenKeywords`
+  /** @type {boolean[]} */
+  const parenStack = []
+  let isBlockParenClosed = false
+  /** @type {import('./lexer.js').Token | undefined} */
+  let prev
+  /** @type {import('./lexer.js').Token | undefined} */
+  let awaitToken
+
+  const push = (/** @type {(typeof stack)[number]} */ frame) => {
+    stack.push(frame)
+    if (frame !== 'other') functionDepth++
+  }
+  const pop = () => {
+    if (stack.pop() !== 'other') functionDepth--
+  }
+  const popArrows = () => {
+    while (stack[stack.length - 1] === 'arrow') pop()
+  }
+
+  for (const token of tokenize(code)) {
+    // `await` that isn't followed by an operand is a name, e.g. an object key or
+    // `export { await }`
+    if (awaitToken && !nonOperandTokenValues.has(token.value)) {
+      return getEvidence(code, awaitToken.start)
+    }
+    awaitToken = undefined
+
+    // without semicolons, the expression body of an arrow function also ends at a line
+    // break followed by a token that can't continue it, e.g. `async () => await a\nawait b`
+    if (
+      stack[stack.length - 1] === 'arrow' &&
+      prev &&
+      isExpressionEndToken(prev) &&
+      (token.type === 'number' ||
+        token.type === 'string' ||
+        (token.type === 'identifier' && !binaryKeywords.has(token.value))) &&
+      code.slice(prev.end, token.start).includes('\n')
+    ) {
+      popArrows()
+    }
+    if (prev?.value === '=>' && token.value !== '{') push('arrow')
+    let isBlockParen = false
+    if (token.type === 'punctuator') {
+      if (/^[,;)\]}]$/.test(token.value)) popArrows()
+      switch (token.value) {
+        case '(':
+          parenStack.push(
+            prev?.type === 'identifier' && blockParenKeywords.has(prev.value),
+          )
+          push('other')
+          break
+        case '[':
+          push('other')
+          break
+        case '{':
+          push(
+            prev?.value === '=>' || (prev?.value === ')' && !isBlockParenClosed)
+              ? 'function'
+              : 'other',
+          )
+          break
+        case ')':
+          isBlockParen = !!parenStack.pop()
+          pop()
+          break
+        case ']':
+        case '}':
+          pop()
+          break
+      }
+    } else if (token.type === 'identifier') {
+      if (statementKeywords.has(token.value) && !isMemberAccessToken(prev)) {
+        popArrows()
+      }
+      if (
+        token.value === 'await' &&
+        functionDepth === 0 &&
+        !isMemberAccessToken(prev)
+      ) {
+        awaitToken = token
+      }
+    }
+    isBlockParenClosed = isBlockParen
+    prev = token
   }
 }
 
+/**
+ * Whether the token can be the last token of an expression
+ * @param {import('./lexer.js').Token} token
+ */
+function isExpressionEndToken(token) {
+  if (token.type === 'identifier') {
+    return !binaryKeywords.has(token.value) && !unaryKeywords.has(token.value)
+  }
+  if (token.type === 'punctuator') return /^[)\]}]$/.test(token.value)
+  return true
+}
+
+/**
+ * Get the statement at the index as evidence of the code format. The statement is cut
+ * at the line end, and long statements, e.g. in minified code, are truncated.
+ * @param {string} code
+ * @param {number} index
+ * @returns {import('../index.d.ts').CodeFormatEvidence}
+ */
+function getEvidence(code, index) {
+  let line = 1
+  let lineStart = 0
+  for (
+    let i = code.indexOf('\n');
+    i !== -1 && i < index;
+    i = code.indexOf('\n', i + 1)
+  ) {
+    line++
+    lineStart = i + 1
+  }
+  let lineEnd = code.indexOf('\n', index)
+  if (lineEnd === -1) lineEnd = code.length
+  let statement = code.slice(index, Math.min(lineEnd, index + 81)).trimEnd()
+  if (statement.length > 80) statement = statement.slice(0, 79) + '…'
+  return { statement, line, column: index - lineStart + 1 }
+}
+
+/**
+ * Whether the token accesses a property, so the next identifier is a property name
+ * @param {import('./lexer.js').Token | undefined} token
+ */
+function isMemberAccessToken(token) {
+  return (
+    token?.type === 'punctuator' &&
+    (token.value === '.' || token.value === '?.')
+  )
+}
+
 /**
  * Handle `exports` glob
  * @param {string} globStr An absolute glob string that must contain one `*`
@@ -220,25 +785,73 @@ export async function exportsGlob(
   }
 }
 
+/**
+ * Convert a `"sideEffects"` glob pattern to a regex that matches the file paths relative
+ * to the package directory, e.g. `dist/style.css`. Like webpack, patterns without `/`
+ * match the file basenames in any directory.
+ * @param {string} pattern
+ */
+export function getSideEffectsPatternRegex(pattern) {
+  let globStr = pattern.replace(/^\.\//, '')
+  if (!globStr.includes('/')) globStr = '**/' + globStr
+  let reStr = ''
+  for (let i = 0; i < globStr.length; i++) {
+    const char = globStr[i]
+    if (char === '*' && globStr[i + 1] === '*') {
+      // `**/` also matches no directories
+      if (globStr[i + 2] === '/') {
+        reStr += '(?:.*/)?'
+        i += 2
+      } else {
+        reStr += '.*'
+        i++
+      }
+    } else if (char === '*') {
+      reStr += '[^/]*'
+    } else if (char === '?') {
+      reStr += '[^/]'
+    } else if (char === '{' && globStr.indexOf('}', i) !== -1) {
+      const end = globStr.indexOf('}', i)
+      const options = globStr.slice(i + 1, end).split(',')
+      reStr += `(?:${options.map(escapeRegExp).join('|')})`
+      i = end
+    } else {
+      reStr += escapeRegExp(char)
+    }
+  }
+  return new RegExp(`^${reStr}$`)
+}
+
 /**
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_Expressions#escaping
  * @param {string} string
  */
-function escapeRegExp(string) {
+export function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 }
 
 /**
  * @param {string} str
  */
-function slash(str) {
+export function slash(str) {
   return str.replace(/\\/g, '/')
 }
 
 /**
+ * Whether the file is published. If the packed files are unknown, whether it exists.
  * @param {string} filePath
  * @param {import('./core.js').Vfs} vfs
- * @returns {Promise<Exclude<CodeFormat, 'mixed' | 'unknown'>>}
+ * @param {string[]} [packedFiles]
+ */
+export async function isFilePublished(filePath, vfs, packedFiles) {
+  if (packedFiles) return packedFiles.includes(filePath)
+  return (await vfs.isPathExist(filePath)) && !(await vfs.isPathDir(filePath))
+}
+
+/**
+ * @param {string} filePath
+ * @param {import('./core.js').Vfs} vfs
+ * @returns {Promise<Exclude<CodeFormat, 'unknown'>>}
  */
 export async function getFilePathFormat(filePath, vfs) {
   // React Native bundler treats `.native.js` as special platform extension, the real format
@@ -256,7 +869,7 @@ export async function getFilePathFormat(filePath, vfs) {
 /**
  * @param {string} filePath
  * @param {import('./core.js').Vfs} vfs
- * @returns {Promise<Exclude<CodeFormat, 'mixed' | 'unknown'>>}
+ * @returns {Promise<Exclude<CodeFormat, 'unknown'>>}
  */
 export async function getDtsFilePathFormat(filePath, vfs) {
   if (filePath.endsWith('.d.mts')) return 'ESM'
@@ -399,6 +1012,35 @@ export function formatMessagePath(path) {
   return formatted
 }
 
+/**
+ * Whether the message matches the ignore entry. The entry path matches if it's the
+ * message path or any of its parent paths.
+ * @param {import('../index.d.ts').Message} message
+ * @param {import('../index.d.ts').IgnoreEntry} entry
+ */
+export function isMessageIgnored(message, entry) {
+  if (message.code !== entry.code) return false
+  if (entry.path == null) return true
+
+  for (let i = 1; i <= message.path.length; i++) {
+    const path = message.path.slice(0, i)
+    if (Array.isArray(entry.path)) {
+      if (
+        entry.path.length === path.length &&
+        entry.path.every((p, j) => p === path[j])
+      ) {
+        return true
+      }
+    } else if (
+      entry.path === path.join('.') ||
+      entry.path === formatMessagePath(path)
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
 /** @type {import('../utils.d.ts').getPkgPathValue} */
 export function getPkgPathValue(pkg, path) {
   let v = /** @type {any} */ (pkg)
@@ -408,6 +1050,21 @@ export function getPkgPathValue(pkg, path) {
   return v
 }
 
+/**
+ * Whether the path exists in the package.json, including keys with `null` values
+ * @param {Record<string, any>} pkg
+ * @param {string[]} path
+ */
+export function pkgPathExists(pkg, path) {
+  /** @type {any} */
+  let v = pkg
+  for (const p of path) {
+    if (v == null || typeof v !== 'object' || !(p in v)) return false
+    v = v[p]
+  }
+  return true
+}
+
 export function createPromiseQueue() {
   /** @type {Promise<void>[]} */
   const promises = []
@@ -522,3 +1179,189 @@ export function replaceLast(str, search, replace) {
 export function startsWithShebang(code) {
   return /#!\s*\/usr\/bin\/env/.test(code)
 }
+
+/**
+ * Whether the version matches the semver range, e.g. a `"typesVersions"` range or
+ * a npm version range. Prerelease and build suffixes are ignored.
+ * @param {string} version
+ * @param {string} range
+ */
+export function isVersionInRange(version, range) {
+  const comparatorSets = parseVersionRange(range)
+  if (!comparatorSets) return false
+  const parsedVersion = parseVersion(version)
+  return comparatorSets.some((comparators) =>
+    comparators.every(([operator, comparatorVersion]) => {
+      const diff = compareVersionParts(parsedVersion, comparatorVersion)
+      switch (operator) {
+        case '>=':
+          return diff >= 0
+        case '<':
+          return diff < 0
+        default:
+          return diff === 0
+      }
+    }),
+  )
+}
+
+const VERSION_COMPARATOR_RE =
+  /^(>=|>|<=|<|=|~|\^)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-[\w.-]+)?$/
+/**
+ * Parse the semver range like TypeScript's `VersionRange`. The comparators are normalized
+ * to `>=`, `<`, and `=` with full versions. Returns `undefined` if the range is invalid.
+ * @param {string} range
+ * @returns {[operator: '>=' | '<' | '=', version: number[]][][] | undefined}
+ */
+export function parseVersionRange(range) {
+  /** @type {[operator: '>=' | '<' | '=', version: number[]][][]} */
+  const comparatorSets = []
+  for (const comparatorSet of range.split('||')) {
+    /** @type {[operator: '>=' | '<' | '=', version: number[]][]} */
+    const comparators = []
+    const trimmed = comparatorSet.trim()
+    // hyphen ranges, e.g. `4.0 - 4.8`
+    const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/)
+    const parts = hyphen
+      ? ['>=' + hyphen[1], '<=' + hyphen[2]]
+      : trimmed.split(/\s+/).filter(Boolean)
+    for (const part of parts) {
+      const match = part.match(VERSION_COMPARATOR_RE)
+      if (!match) return
+      const [, operator = '=', ...rawVersion] = match
+      // the number of specified version parts, e.g. `4.x` has 1
+      const xIndex = rawVersion.findIndex((v) => v == null || /[xX*]/.test(v))
+      const length = xIndex === -1 ? 3 : xIndex
+      const version = rawVersion.map((v, i) => (i < length ? Number(v) : 0))
+      /** @param {number} index */
+      const bump = (index) =>
+        version.map((v, i) => (i < index ? v : i === index ? v + 1 : 0))
+      if (length === 0) {
+        // `*`, matches every version except with `<` or `>`
+        if (operator === '<' || operator === '>')
+          comparators.push(['<', [0, 0, 0]])
+        continue
+      }
+      switch (operator) {
+        case '>=':
+          comparators.push(['>=', version])
+          break
+        case '>':
+          comparators.push(['>=', length === 3 ? bump(2) : bump(length - 1)])
+          break
+        case '<=':
+          comparators.push(['<', length === 3 ? bump(2) : bump(length - 1)])
+          break
+        case '<':
+          comparators.push(['<', version])
+          break
+        case '~':
+          comparators.push(['>=', version], ['<', bump(length === 1 ? 0 : 1)])
+          break
+        case '^': {
+          const index = version.findIndex((v, i) => v !== 0 || i === length - 1)
+          comparators.push(['>=', version], ['<', bump(index)])
+          break
+        }
+        default:
+          if (length === 3) {
+            comparators.push(['=', version])
+          } else {
+            comparators.push(['>=', version], ['<', bump(length - 1)])
+          }
+      }
+    }
+    comparatorSets.push(comparators)
+  }
+  return comparatorSets
+}
+
+/**
+ * Whether every version that satisfies the range also satisfies the super range, e.g.
+ * `^18.12.0` is a subset of `>=18`. Returns `false` if either range is invalid.
+ * @param {string} range
+ * @param {string} superRange
+ */
+export function isVersionRangeSubset(range, superRange) {
+  const intervals = getVersionRangeIntervals(range)
+  const superIntervals = getVersionRangeIntervals(superRange)
+  if (!intervals || !superIntervals) return false
+  return intervals.every(([min, max]) => {
+    // extend the covered versions from the minimum version with the super range
+    // intervals, until the maximum version is reached
+    let version = min
+    while (true) {
+      let coveredMax = version
+      for (const [superMin, superMax] of superIntervals) {
+        if (compareVersionParts(superMin, version) > 0) continue
+        if (!superMax) return true
+        if (compareVersionParts(superMax, coveredMax) > 0) coveredMax = superMax
+      }
+      if (coveredMax === version) return false
+      if (max && compareVersionParts(coveredMax, max) >= 0) return true
+      version = coveredMax
+    }
+  })
+}
+
+/**
+ * Get the non-empty intervals of versions that satisfy the range, where each interval
+ * is the minimum version and the exclusive maximum version, if bounded
+ * @param {string} range
+ */
+function getVersionRangeIntervals(range) {
+  const comparatorSets = parseVersionRange(range)
+  if (!comparatorSets) return
+  /** @type {[min: number[], max: number[] | undefined][]} */
+  const intervals = []
+  for (const comparators of comparatorSets) {
+    let min = [0, 0, 0]
+    /** @type {number[] | undefined} */
+    let max
+    for (const [operator, version] of comparators) {
+      if (operator !== '<' && compareVersionParts(version, min) > 0) {
+        min = version
+      }
+      const upper =
+        operator === '<'
+          ? version
+          : operator === '='
+            ? [version[0], version[1], version[2] + 1]
+            : undefined
+      if (upper && (!max || compareVersionParts(upper, max) < 0)) max = upper
+    }
+    if (!max || compareVersionParts(min, max) < 0) intervals.push([min, max])
+  }
+  return intervals
+}
+
+/**
+ * Compare the versions for sorting, e.g. `compareVersions('1.10.0', '1.9.0') > 0`.
+ * Prerelease and build suffixes are ignored.
+ * @param {string} a
+ * @param {string} b
+ */
+export function compareVersions(a, b) {
+  return compareVersionParts(parseVersion(a), parseVersion(b))
+}
+
+/**
+ * @param {string} version
+ */
+function parseVersion(version) {
+  return version
+    .replace(/[-+].*$/, '')
+    .split('.')
+    .map((v) => Number(v) || 0)
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ */
+function compareVersionParts(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return 0
+}
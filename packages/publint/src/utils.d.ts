@@ -1,4 +1,4 @@
-import type { Message } from './index.js'
+import type { CodeFormatEvidence, Message } from './index.js'
 
 export interface FormatMessageOptions {
   /**
@@ -40,3 +40,64 @@ export declare function formatMessage(
   pkg: Record<string, any>,
   opts?: FormatMessageOptions,
 ): string | undefined
+
+/**
+ * Format the evidence of a message's code format, e.g. in `FILE_INVALID_FORMAT`, as a
+ * code frame that points to the line and column of the code. For example:
+ *
+ * ```
+ * 3:1 | module.exports = foo
+ *     | ^^^^^^^^^^^^^^
+ * ```
+ */
+export declare function formatCodeFrame(evidence: CodeFormatEvidence): string
+
+export type ResolveErrorCode =
+  | 'ERR_PACKAGE_PATH_NOT_EXPORTED'
+  | 'ERR_PACKAGE_IMPORT_NOT_DEFINED'
+  | 'ERR_INVALID_PACKAGE_TARGET'
+  | 'ERR_INVALID_PACKAGE_CONFIG'
+  | 'ERR_INVALID_MODULE_SPECIFIER'
+
+export interface ResolvePackageSubpathResult {
+  /**
+   * The resolved target, e.g. `"./dist/index.js"`. For `"imports"`, this can also
+   * be a package specifier, e.g. `"lodash"`. `undefined` if it can't be resolved.
+   */
+  target: string | undefined
+  /**
+   * The path to the key in the package.json of the resolved target, e.g.
+   * `['exports', '.', 'import']`. `undefined` if it can't be resolved.
+   */
+  path: string[] | undefined
+  /**
+   * The steps taken to resolve the subpath, e.g. the matched subpath and conditions
+   */
+  trace: string[]
+  /**
+   * The error if it can't be resolved. The codes match the errors thrown by Node.js.
+   */
+  error?: {
+    code: ResolveErrorCode
+    message: string
+  }
+}
+
+/**
+ * Resolve the subpath of a package with the conditions, following the Node.js
+ * resolution algorithm for `"exports"` and `"imports"`, including subpath patterns,
+ * `null` targets, and array fallbacks. The `"default"` condition is always matched.
+ *
+ * If the package doesn't have `"exports"`, `"."` resolves to `"main"` and other subpaths
+ * resolve as is. Extensions and directory indexes are not resolved as the file system
+ * is not accessed.
+ *
+ * @param pkg The package.json object
+ * @param subpath The subpath to resolve, e.g. `"."`, `"./sub"`, or `"#internal"`
+ * @param conditions The conditions to match, e.g. `['node', 'import']`
+ */
+export declare function resolvePackageSubpath(
+  pkg: Record<string, any>,
+  subpath: string,
+  conditions: string[],
+): ResolvePackageSubpathResult
@@ -1,2 +1,3 @@
 export { formatMessagePath, getPkgPathValue } from './shared/utils.js'
-export { formatMessage } from './shared/message.js'
+export { formatCodeFrame, formatMessage } from './shared/message.js'
+export { resolvePackageSubpath } from './shared/resolve.js'
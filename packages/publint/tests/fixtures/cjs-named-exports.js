@@ -0,0 +1,69 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-cjs-named-exports',
+    version: '0.0.1',
+    private: true,
+    type: 'commonjs',
+    dependencies: {
+      tslib: '^2.8.0',
+    },
+    exports: {
+      '.': './index.js',
+      './utils': './utils.js',
+      // the UMD bundle is paired with the types of the ESM build, which isn't checked
+      './umd': {
+        types: './esm/index.d.ts',
+        default: './umd/index.js',
+      },
+    },
+  }),
+  // `foo` and `bar` are not detected by Node.js as `foo` isn't assigned an identifier,
+  // and `bar` isn't assigned to `exports` directly
+  'index.js': `\
+const bar = () => {}
+module.exports = { foo: () => {} }
+Object.assign(module.exports, { bar })
+`,
+  'index.d.ts': `\
+export interface Options {}
+export type Bar = () => void
+export declare function foo(): void
+export declare const bar: Bar
+`,
+  'utils.js': `\
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.format = void 0;
+const tslib_1 = require("tslib");
+tslib_1.__exportStar(require("./lib/parse"), exports);
+exports.format = () => "";
+`,
+  'utils.d.ts': `\
+export * from './lib/parse';
+export declare const format: () => string;
+export default format;
+`,
+  umd: {
+    'index.js': `\
+(function (e, t) { typeof exports === "object" && typeof module !== "undefined" ? t(exports) : typeof define === "function" && define.amd ? define(["exports"], t) : t((e.lib = {})) })(this, function (e) { e.createLib = function () {} });
+`,
+  },
+  esm: {
+    'index.d.ts': `\
+export declare function createLib(): void
+`,
+  },
+  lib: {
+    'parse.js': `\
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.parse = void 0;
+exports.parse = () => "";
+`,
+    'parse.d.ts': `\
+declare const parse: () => string;
+declare const enum Kind { A }
+export { parse, Kind };
+`,
+  },
+}
@@ -0,0 +1,12 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-config-field',
+    version: '0.0.1',
+    private: true,
+    exports: './main.js',
+    publint: {
+      level: 'warning',
+    },
+  }),
+  'main.js': "export const foo = 'This file is ESM, but extension says CJS'",
+}
@@ -0,0 +1,11 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-config-file',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    exports: './main.js',
+  }),
+  'publint.config.js': 'export default { strict: true }',
+  'main.js': "module.exports = 'This file is CJS, but extension says ESM'",
+}
@@ -0,0 +1,17 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-config-ignore',
+    version: '0.0.1',
+    private: true,
+    type: 'commonjs',
+    exports: {
+      '.': './main.js',
+      './legacy.js': './legacy.js',
+    },
+    publint: {
+      ignore: [{ code: 'FILE_INVALID_FORMAT', path: 'exports../legacy.js' }],
+    },
+  }),
+  'main.js': "export const foo = 'This file is ESM, but extension says CJS'",
+  'legacy.js': "export const foo = 'This file is ESM, but extension says CJS'",
+}
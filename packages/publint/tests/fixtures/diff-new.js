@@ -0,0 +1,36 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-diff',
+    version: '2.0.0',
+    type: 'module',
+    bin: { foo: './bin.js' },
+    engines: { node: '^18.12.0 || >=20', bun: '>=1' },
+    exports: {
+      '.': {
+        import: './index.js',
+      },
+      './utils': './utils.js',
+      // the types are only kept for `import`
+      './typed': {
+        import: { types: './typed.d.ts', default: './typed.js' },
+        require: './typed.cjs',
+      },
+      // the `node` condition is removed, so Node.js resolves the ESM browser build
+      './node': {
+        default: './browser.js',
+      },
+      './features/*.js': './features/*.js',
+      './package.json': './package.json',
+    },
+  }),
+  'bin.js': '',
+  'index.js': '',
+  'utils.js': '',
+  'typed.d.ts': '',
+  'typed.js': '',
+  'typed.cjs': '',
+  'browser.js': '',
+  features: {
+    'a.js': '',
+  },
+}
@@ -0,0 +1,43 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-diff',
+    version: '1.0.0',
+    type: 'commonjs',
+    bin: { foo: './bin.js', bar: './bin.js' },
+    engines: { node: '>=16' },
+    exports: {
+      '.': {
+        types: './index.d.ts',
+        import: './index.mjs',
+        require: './index.js',
+      },
+      './utils': './utils.js',
+      './typed': {
+        types: './typed.d.ts',
+        import: './typed.mjs',
+        require: './typed.js',
+      },
+      './node': {
+        node: './node.js',
+        default: './browser.mjs',
+      },
+      './legacy': './legacy.js',
+      './features/*': './features/*.js',
+      './package.json': './package.json',
+    },
+  }),
+  'bin.js': '',
+  'index.d.ts': '',
+  'index.mjs': '',
+  'index.js': '',
+  'utils.js': '',
+  'typed.d.ts': '',
+  'typed.mjs': '',
+  'typed.js': '',
+  'node.js': '',
+  'browser.mjs': '',
+  'legacy.js': '',
+  features: {
+    'a.js': '',
+  },
+}
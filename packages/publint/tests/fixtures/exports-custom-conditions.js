@@ -0,0 +1,29 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-exports-custom-conditions',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    browser: {
+      './lib.server.js': './lib.browser.js',
+    },
+    exports: {
+      '.': {
+        'my-browser': {
+          import: './lib.server.js',
+        },
+        'react-server': {
+          types: './react-server.d.ts',
+          require: './react-server.cjs',
+        },
+        types: './index.d.ts',
+        default: './lib.server.js',
+      },
+    },
+  }),
+  'index.d.ts': 'export {}',
+  'lib.browser.js': '',
+  'lib.server.js': '',
+  'react-server.d.ts': 'export {}',
+  'react-server.cjs': '',
+}
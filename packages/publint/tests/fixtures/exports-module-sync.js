@@ -0,0 +1,47 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-exports-module-sync',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    exports: {
+      '.': {
+        'module-sync': './index.js',
+        import: './index.js',
+        require: './index.cjs',
+      },
+      './order': {
+        import: './index.js',
+        'module-sync': './index.js',
+        default: './index.cjs',
+      },
+      './both': {
+        import: './index.js',
+        require: './index.cjs',
+        'module-sync': './index.js',
+      },
+      './cjs': {
+        'module-sync': './index.cjs',
+        default: './index.cjs',
+      },
+      './async': {
+        'module-sync': './async.js',
+        import: './async.js',
+        default: './index.cjs',
+      },
+    },
+    imports: {
+      '#internal': {
+        require: './index.cjs',
+        'module-sync': './index.js',
+      },
+    },
+  }),
+  'index.js': "import './lazy.js'\nexport const foo = 'bar'",
+  'index.cjs': "module.exports.foo = 'bar'",
+  // dynamically imported files are loaded asynchronously
+  'lazy.js': "export const lazy = () => import('./config.js')",
+  'async.js': "export * from './config.js'",
+  'config.js':
+    "const { config } = await import('./index.js')\nexport { config }",
+}
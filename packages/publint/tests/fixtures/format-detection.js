@@ -0,0 +1,40 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-format-detection',
+    version: '0.0.1',
+    private: true,
+    type: 'commonjs',
+    main: './lib/index.js',
+    module: './lib-module/index.js',
+  }),
+  lib: {
+    // a UMD bundle of a parser, which mentions ESM syntax in its strings
+    'index.js': `
+      ;(function (global, factory) {
+        typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
+        typeof define === 'function' && define.amd ? define(factory) :
+        (global.parser = factory());
+      }(this, (function () { 'use strict';
+        var keywords = "import export default from";
+        function isModule(code) { return code.startsWith('export default ') }
+        return { keywords: keywords, isModule: isModule };
+      })));
+    `,
+  },
+  'lib-module': {
+    // ESM that also assigns `module.exports` for bundlers that load it as CJS, which
+    // Node.js fails to load as CJS
+    'index.js': `
+      const outdent = () => {}
+      export default outdent
+      export { outdent }
+      if (typeof module !== 'undefined') {
+        module.exports = exports = outdent
+      }
+      let convert
+      try {
+        convert = require('encoding').convert
+      } catch (e) {}
+    `,
+  },
+}
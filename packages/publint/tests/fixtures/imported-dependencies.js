@@ -0,0 +1,58 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-imported-dependencies',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    bin: './cli.js',
+    exports: {
+      '.': './index.js',
+      './utils': './utils.js',
+      './optional': './optional.cjs',
+      './client/*': './client/*',
+    },
+    dependencies: {
+      a: '^1.0.0',
+    },
+    peerDependencies: {
+      b: '^1.0.0',
+    },
+    peerDependenciesMeta: {
+      g: { optional: true },
+    },
+    devDependencies: {
+      c: '^1.0.0',
+    },
+  }),
+  'cli.js': "#!/usr/bin/env node\nimport 'e'",
+  'index.js': [
+    "import a from 'a'",
+    "import 'b/sub'",
+    "import fs from 'node:fs'",
+    "import path from 'path'",
+    "import utils from 'publint-imported-dependencies/utils'",
+    "import './lib/helper.js'",
+    "// import f from 'f'",
+    "const snippet = `import React from 'react'`",
+    'const usage = "Run: require(\'missing-dep\')"',
+  ].join('\n'),
+  'utils.js': "export * from 'c'",
+  'optional.cjs': [
+    'try {',
+    "  module.exports = require('h')",
+    '} catch {',
+    "  module.exports = require('i')",
+    '}',
+    "require('g')",
+    "if (process.env.DEBUG) { try { require('c') } catch {} }",
+  ].join('\n'),
+  client: {
+    // a virtual module resolved by the tool serving this file
+    'index.js': "import '@virtual/env'",
+  },
+  lib: {
+    'helper.js': "import c from 'c'\nexport const d = await import('@scope/d')",
+  },
+  // not imported by any entrypoints
+  'unused.js': "import f from 'f'",
+}
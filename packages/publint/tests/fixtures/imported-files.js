@@ -0,0 +1,42 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-imported-files',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    exports: {
+      '.': './index.js',
+      './cjs': './cjs/index.cjs',
+    },
+    files: ['index.js', 'lib', 'cjs'],
+  }),
+  'index.js': [
+    "import './lib/a.js'",
+    "import './lib/dir/index.js'",
+    // ESM imports don't try the extensions
+    "export * from './lib/extensionless'",
+    "const snippet = `import './styles.css'`",
+  ].join('\n'),
+  lib: {
+    'a.js': [
+      "import './chunk-missing.js'",
+      "export { b } from '../src/b.js'",
+    ].join('\n'),
+    dir: {
+      'index.js': "import '../a.js'",
+    },
+    'extensionless.js': 'export const c = 1',
+  },
+  cjs: {
+    'index.cjs': [
+      "const a = require('./missing.cjs')",
+      "const b = import('./missing.cjs')",
+      "const c = require('../lib/dir')",
+      "const d = require('../lib/extensionless')",
+    ].join('\n'),
+  },
+  // not published
+  src: {
+    'b.js': 'export const b = 1',
+  },
+}
@@ -9,5 +9,6 @@ export default {
     'jsnext:main': false,
     repository: 123,
     imports: '123',
+    sideEffects: 'false',
   }),
 }
@@ -0,0 +1,36 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-resolution-matrix',
+    type: 'module',
+    exports: {
+      '.': {
+        types: './index.d.ts',
+        browser: './index.browser.js',
+        import: './index.js',
+        require: './index.cjs',
+      },
+      './features/*': './features/*.js',
+      './features/internal': null,
+      './missing': {
+        node: './missing.js',
+      },
+      // TypeScript falls back to the `import` condition as the types don't exist
+      './fallback': {
+        types: './fallback-missing.d.ts',
+        import: './fallback.js',
+      },
+    },
+  }),
+  'index.d.ts': 'export {}',
+  'index.browser.js': 'export {}',
+  'index.js': 'export {}',
+  'index.cjs': 'module.exports = {}',
+  'fallback.js': 'export {}',
+  'fallback.d.ts': 'export {}',
+  features: {
+    'a.js': 'export {}',
+    'b.js': 'module.exports = {}',
+    'b.d.ts': 'export {}',
+    'internal.js': 'export {}',
+  },
+}
@@ -0,0 +1,27 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-side-effects-invalid',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    sideEffects: [
+      '*.css',
+      'setup.{js,mjs}',
+      './dist/polyfills/*.js',
+      './dist/missing/*.js',
+      123,
+    ],
+    exports: {
+      '.': './dist/index.js',
+      './style.css': './dist/style.css',
+    },
+  }),
+  dist: {
+    'index.js': "import './setup.mjs'\nexport const foo = 1",
+    'setup.mjs': 'globalThis.foo = 1',
+    'style.css': '.foo { color: red; }',
+    polyfills: {
+      'array.js': 'Array.prototype.foo = 1',
+    },
+  },
+}
@@ -0,0 +1,24 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-side-effects',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    sideEffects: false,
+    exports: {
+      '.': {
+        style: './dist/style.css',
+        default: './dist/index.js',
+      },
+      './style.css': './dist/style.css',
+      './themes/*': './dist/themes/*.css',
+    },
+  }),
+  dist: {
+    'index.js': 'export const foo = 1',
+    'style.css': '.foo { color: red; }',
+    themes: {
+      'dark.css': '.foo { color: black; }',
+    },
+  },
+}
@@ -0,0 +1,44 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-types-imported-files',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    exports: {
+      '.': {
+        types: './index.d.ts',
+        default: './index.js',
+      },
+      './utils': './utils.js',
+    },
+    files: ['index.js', 'index.d.ts', 'utils.js', 'utils.d.ts', 'lib'],
+  }),
+  'index.js': 'export const a = 1',
+  'index.d.ts': [
+    '/// <reference path="lib/globals.d.ts" />',
+    "export * from './lib/a.js'",
+    "export type { B } from './lib/b'",
+    "import data from './data.json'",
+    "export * from './lib/hooks'",
+  ].join('\n'),
+  'utils.js': 'export const c = 1',
+  'utils.d.ts': "export declare const c: import('./src/c.js').C",
+  lib: {
+    'globals.d.ts': 'declare const g: string',
+    'a.d.ts': "export * from './chunk-missing.js'",
+    b: {
+      'index.d.ts': "import './../a.js'\nexport type B = string",
+    },
+    // resolved with the types field of its package.json
+    hooks: {
+      'package.json': JSON.stringify({ types: 'src/index.d.ts' }),
+      src: {
+        'index.d.ts': 'export declare function useHook(): void',
+      },
+    },
+  },
+  // not published
+  src: {
+    'c.d.ts': 'export type C = number',
+  },
+}
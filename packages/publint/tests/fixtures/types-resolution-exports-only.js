@@ -0,0 +1,19 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-types-resolution-exports-only',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    // without `"main"`, `"types"`, or `"typesVersions"`, `node10` isn't supported
+    exports: {
+      '.': './index.js',
+      './utils': './dist/utils.js',
+    },
+  }),
+  'index.d.ts': 'export declare const a: number',
+  'index.js': 'export const a = 1',
+  dist: {
+    'utils.d.ts': 'export declare const b: number',
+    'utils.js': 'export const b = 1',
+  },
+}
@@ -0,0 +1,59 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-types-resolution',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    types: './index.d.ts',
+    typesVersions: {
+      '*': {
+        mapped: ['./dist/mapped.d.ts'],
+      },
+    },
+    exports: {
+      '.': {
+        types: './index.d.ts',
+        default: './index.js',
+      },
+      // resolved with `node10` via `typesVersions`
+      './mapped': {
+        types: './dist/mapped.d.ts',
+        default: './dist/mapped.js',
+      },
+      // the types are CJS but the JS is ESM
+      './masquerade': {
+        types: './dist/masquerade.d.cts',
+        import: './dist/masquerade.js',
+      },
+      // resolved with `node10` via `utils/package.json`
+      './utils': {
+        types: './dist/utils.d.ts',
+        default: './dist/utils.js',
+      },
+      // no types when required
+      './import-only': {
+        import: {
+          types: './dist/import-only.d.ts',
+          default: './dist/import-only.js',
+        },
+        require: './dist/import-only.cjs',
+      },
+    },
+  }),
+  'index.d.ts': 'export declare const a: number',
+  'index.js': 'export const a = 1',
+  dist: {
+    'mapped.d.ts': 'export declare const b: number',
+    'mapped.js': 'export const b = 1',
+    'masquerade.d.cts': 'export declare const c: number',
+    'masquerade.js': 'export const c = 1',
+    'import-only.d.ts': 'export declare const d: number',
+    'import-only.js': 'export const d = 1',
+    'import-only.cjs': 'exports.d = 1',
+    'utils.d.ts': 'export declare const e: number',
+    'utils.js': 'export const e = 1',
+  },
+  utils: {
+    'package.json': JSON.stringify({ types: '../dist/utils.d.ts' }),
+  },
+}
@@ -0,0 +1,37 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-types-versions-invalid',
+    version: '0.0.1',
+    private: true,
+    type: 'commonjs',
+    types: './index.d.ts',
+    exports: {
+      '.': {
+        types: './index.d.ts',
+        default: './index.js',
+      },
+      './utils': {
+        types: './dist/utils.d.ts',
+        default: './dist/utils.js',
+      },
+    },
+    typesVersions: {
+      'ts3.1': {
+        '*': ['ts3.1/*'],
+      },
+      '>=4.0': {
+        missing: ['./missing.d.ts'],
+        '*': ['types/*'],
+      },
+    },
+  }),
+  'index.d.ts': 'export declare const a: number',
+  'index.js': 'exports.a = 1',
+  dist: {
+    'utils.d.ts': 'export declare const b: number',
+    'utils.js': 'exports.b = 1',
+  },
+  types: {
+    'utils.d.ts': 'export declare const b: string',
+  },
+}
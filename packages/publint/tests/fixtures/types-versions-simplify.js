@@ -0,0 +1,39 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-types-versions-simplify',
+    version: '0.0.1',
+    private: true,
+    type: 'module',
+    types: './dist/index.d.ts',
+    exports: {
+      '.': {
+        types: './dist/index.d.ts',
+        default: './dist/index.js',
+      },
+      './a': {
+        types: './dist/a.d.ts',
+        default: './dist/a.js',
+      },
+      './b': {
+        types: './dist/b/index.d.ts',
+        default: './dist/b/index.js',
+      },
+    },
+    typesVersions: {
+      '*': {
+        a: ['./dist/a.d.ts'],
+        b: ['./dist/b/index.d.ts'],
+      },
+    },
+  }),
+  dist: {
+    'index.d.ts': 'export declare const a: number',
+    'index.js': 'export const a = 1',
+    'a.d.ts': 'export declare const a: number',
+    'a.js': 'export const a = 1',
+    b: {
+      'index.d.ts': 'export declare const b: number',
+      'index.js': 'export const b = 1',
+    },
+  },
+}
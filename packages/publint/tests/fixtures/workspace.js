@@ -0,0 +1,55 @@
+export default {
+  'package.json': JSON.stringify({
+    name: 'publint-workspace',
+    private: true,
+    workspaces: ['packages/*', 'tools/**', '!packages/excluded'],
+  }),
+  packages: {
+    a: {
+      'package.json': JSON.stringify({
+        name: 'publint-workspace-a',
+        version: '0.0.1',
+        type: 'module',
+        exports: './index.js',
+      }),
+      'index.js': "export const a = 'a'",
+    },
+    b: {
+      'package.json': JSON.stringify({
+        name: 'publint-workspace-b',
+        version: '0.0.1',
+        type: 'module',
+        exports: './missing.js',
+      }),
+    },
+    excluded: {
+      'package.json': JSON.stringify({
+        name: 'publint-workspace-excluded',
+        version: '0.0.1',
+        exports: './missing.js',
+      }),
+    },
+    private: {
+      'package.json': JSON.stringify({
+        name: 'publint-workspace-private',
+        version: '0.0.1',
+        private: true,
+        exports: './missing.js',
+      }),
+    },
+    'not-a-package': {},
+  },
+  tools: {
+    nested: {
+      c: {
+        'package.json': JSON.stringify({
+          name: 'publint-workspace-c',
+          version: '0.0.1',
+          type: 'module',
+          exports: './index.js',
+        }),
+        'index.js': "export const c = 'c'",
+      },
+    },
+  },
+}
@@ -1,11 +1,31 @@
+import fs from 'node:fs/promises'
 import path from 'node:path'
 import { test } from 'vitest'
 import { createFixture } from 'fs-fixture'
-import { publint } from '../src/index-node.js'
-import { formatMessage } from '../src/utils.js'
+import {
+  diff,
+  fix,
+  getResolutionMatrix,
+  publint,
+  publintWorkspace,
+} from '../src/index-node.js'
+import { formatCodeFrame, formatMessage } from '../src/utils.js'
+import { applyBaseline, createBaselineEntries } from '../src/node/baseline.js'
 
 const isWindowsCI = process.env.CI !== undefined && process.platform === 'win32'
 
+testFixture('config-field', ['FILE_INVALID_FORMAT'])
+
+testFixture(
+  'config-field (level: suggestion)',
+  ['FILE_INVALID_FORMAT', 'USE_TYPE'],
+  { level: 'suggestion' },
+)
+
+testFixture('config-ignore', ['FILE_INVALID_FORMAT'])
+
+testFixture('config-file', [{ code: 'FILE_INVALID_FORMAT', type: 'error' }])
+
 testFixture('exports-browser-conflict', [
   'EXPORTS_VALUE_CONFLICTS_WITH_BROWSER',
   'USE_EXPORTS_OR_IMPORTS_BROWSER',
@@ -31,11 +51,7 @@ testFixture('glob-deprecated', [
 ])
 
 testFixture('invalid-field-types', [
-  'FIELD_INVALID_VALUE_TYPE',
-  'FIELD_INVALID_VALUE_TYPE',
-  'FIELD_INVALID_VALUE_TYPE',
-  'FIELD_INVALID_VALUE_TYPE',
-  'FIELD_INVALID_VALUE_TYPE',
+  ...Array(6).fill('FIELD_INVALID_VALUE_TYPE'),
 ])
 
 testFixture('invalid-jsx-extensions', [
@@ -58,6 +74,19 @@ testFixture('exports-module', ['EXPORTS_MODULE_SHOULD_PRECEDE_REQUIRE'])
 
 testFixture('exports-custom-condition', [])
 
+testFixture('exports-custom-conditions', ['USE_EXPORTS_OR_IMPORTS_BROWSER'])
+
+testFixture(
+  'exports-custom-conditions (conditions)',
+  [
+    'EXPORTS_TYPES_INVALID_FORMAT',
+    'EXPORTS_VALUE_CONFLICTS_WITH_BROWSER',
+    'TYPES_NOT_EXPORTED',
+    'USE_EXPORTS_OR_IMPORTS_BROWSER',
+  ],
+  { conditions: ['react-server'], browserConditions: ['my-browser'] },
+)
+
 testFixture('publish-config', ['FILE_DOES_NOT_EXIST', 'USE_EXPORTS_BROWSER'])
 
 testFixture('npmignore', [])
@@ -132,6 +161,40 @@ testFixture(
   { strict: true },
 )
 
+testFixture(
+  'test-2 (rules)',
+  [
+    { code: 'EXPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING', type: 'suggestion' },
+    { code: 'EXPORTS_MISSING_ROOT_ENTRYPOINT', type: 'error' },
+    { code: 'EXPORTS_MODULE_SHOULD_BE_ESM', type: 'error' },
+    { code: 'EXPORTS_VALUE_INVALID', type: 'error' },
+    { code: 'FILE_DOES_NOT_EXIST', type: 'error' },
+    { code: 'FILE_INVALID_FORMAT', type: 'suggestion' },
+    { code: 'FILE_INVALID_FORMAT', type: 'suggestion' },
+  ],
+  {
+    rules: {
+      EXPORTS_MISSING_ROOT_ENTRYPOINT: 'error',
+      FILE_INVALID_FORMAT: 'suggestion',
+      USE_EXPORTS_BROWSER: 'off',
+    },
+  },
+)
+
+testFixture(
+  'test-2 (rules, level: warning)',
+  [
+    'EXPORTS_MISSING_ROOT_ENTRYPOINT',
+    'EXPORTS_MODULE_SHOULD_BE_ESM',
+    'EXPORTS_VALUE_INVALID',
+    'FILE_DOES_NOT_EXIST',
+  ],
+  {
+    rules: { FILE_INVALID_FORMAT: 'suggestion' },
+    level: 'warning',
+  },
+)
+
 testFixture('types', ['TYPES_NOT_EXPORTED'])
 
 testFixture('types-exports-resolution', [])
@@ -160,8 +223,42 @@ testFixture('types-exports-versioned', [])
 
 testFixture('types-versions', [])
 
+testFixture('types-versions-invalid', [
+  'TYPES_VERSIONS_INVALID_RANGE',
+  'TYPES_VERSIONS_MAPPING_NOT_RESOLVED',
+  'TYPES_VERSIONS_SHADOWS_EXPORTS',
+])
+
+testFixture('types-versions-simplify', ['TYPES_VERSIONS_CAN_BE_SIMPLIFIED'])
+
+testFixture('side-effects', [
+  'SIDE_EFFECTS_EXCLUDES_CSS',
+  'SIDE_EFFECTS_EXCLUDES_CSS',
+])
+
+testFixture('side-effects-invalid', [
+  'FIELD_INVALID_VALUE_TYPE',
+  'SIDE_EFFECTS_GLOB_NO_MATCHED_FILES',
+])
+
 testFixture('umd', ['FILE_INVALID_FORMAT', 'FILE_INVALID_FORMAT'])
 
+testFixture('exports-module-sync', [
+  { code: 'EXPORTS_MODULE_SYNC_SHOULD_BE_ESM', type: 'error' },
+  {
+    code: 'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+    type: 'warning',
+  },
+  { code: 'EXPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE', type: 'error' },
+  {
+    code: 'IMPORTS_MODULE_SYNC_SHOULD_PRECEDE_IMPORT_REQUIRE',
+    type: 'warning',
+  },
+  { code: 'REQUIRE_ESM_TOP_LEVEL_AWAIT', type: 'warning' },
+])
+
+testFixture('cjs-named-exports', ['CJS_NAMED_EXPORTS_NOT_DETECTED'])
+
 testFixture('deprecated-fields', [
   'DEPRECATED_FIELD_JSNEXT',
   'DEPRECATED_FIELD_JSNEXT',
@@ -204,14 +301,577 @@ testFixture('bin-file-missing-shebang', ['BIN_FILE_NOT_EXECUTABLE'])
 
 testFixture('bin-file-not-lintable', [])
 
+testFixture('imported-dependencies', [
+  'DEPENDENCY_IN_DEV_DEPENDENCIES',
+  'DEPENDENCY_NOT_DECLARED',
+  'DEPENDENCY_NOT_DECLARED',
+  'DEPENDENCY_NOT_DECLARED',
+  'DEPENDENCY_NOT_DECLARED',
+  // lib/helper.js uses top-level await
+  'REQUIRE_ESM_TOP_LEVEL_AWAIT',
+])
+
+testFixture('imported-files', [
+  'IMPORTED_FILE_DOES_NOT_EXIST',
+  'IMPORTED_FILE_DOES_NOT_EXIST',
+  'IMPORTED_FILE_DOES_NOT_EXIST',
+  'IMPORTED_FILE_NOT_PUBLISHED',
+])
+
+testFixture('types-resolution', [
+  'TYPES_MASQUERADING_FORMAT',
+  'TYPES_NOT_RESOLVED',
+  'TYPES_NOT_RESOLVED',
+  'TYPES_NOT_RESOLVED',
+])
+
+testFixture('types-resolution-exports-only', [])
+
+testFixture('types-imported-files', [
+  'TYPES_IMPORTED_FILE_DOES_NOT_EXIST',
+  'TYPES_IMPORTED_FILE_NOT_PUBLISHED',
+])
+
 testFixture('imports-external-package', [])
 
 testFixture('imports-field-invalid', ['IMPORTS_KEY_INVALID'])
 
+test('message loc', async ({ expect, onTestFinished }) => {
+  const fixtureContent = (await import('./fixtures/test-1.js')).default
+  const fixture = await useFixture(fixtureContent, onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const pkgJsonContent = fixtureContent['package.json']
+  const message = messages.find((m) => m.path[1] === '@test/link-reference')
+  const start = pkgJsonContent.indexOf('"@test/link-reference"')
+  const end = pkgJsonContent.indexOf('}', start)
+  expect(message?.loc).toEqual({
+    start: { line: 1, column: start + 1 },
+    end: { line: 1, column: end + 1 },
+  })
+})
+
+test('message fix', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('deprecated-fields', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const jsnextMessages = messages
+    .filter((m) => m.code === 'DEPRECATED_FIELD_JSNEXT')
+    .sort((a, b) => a.path[0].localeCompare(b.path[0]))
+  expect(jsnextMessages.map((m) => m.fix)).toEqual([
+    [{ op: 'rename', path: ['jsnext'], key: 'module' }],
+    [{ op: 'rename', path: ['jsnext:main'], key: 'module' }],
+  ])
+  const useTypeMessage = messages.find((m) => m.code === 'USE_TYPE')
+  expect(useTypeMessage?.fix).toBeUndefined()
+})
+
+test('imported dependencies', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('imported-dependencies', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const notDeclared = messages
+    .filter((m) => m.code === 'DEPENDENCY_NOT_DECLARED')
+    .map((m) => ({ args: m.args, path: m.path, type: m.type }))
+    .sort((a, b) => a.path.join('.').localeCompare(b.path.join('.')))
+  expect(notDeclared).toEqual([
+    {
+      args: { packageName: 'e', filePath: './cli.js' },
+      path: ['bin'],
+      type: 'warning',
+    },
+    {
+      args: { packageName: '@scope/d', filePath: './lib/helper.js' },
+      path: ['exports', '.'],
+      type: 'warning',
+    },
+    {
+      args: { packageName: '@virtual/env', filePath: './client/index.js' },
+      path: ['exports', './client/*'],
+      type: 'suggestion',
+    },
+    {
+      args: { packageName: 'i', filePath: './optional.cjs' },
+      path: ['exports', './optional'],
+      type: 'warning',
+    },
+  ])
+  const inDevDependencies = messages.find(
+    (m) => m.code === 'DEPENDENCY_IN_DEV_DEPENDENCIES',
+  )
+  expect(inDevDependencies?.path).toEqual(['devDependencies', 'c'])
+  expect(inDevDependencies?.fix).toEqual([
+    { op: 'set', path: ['dependencies', 'c'], value: '^1.0.0' },
+    { op: 'delete', path: ['devDependencies', 'c'] },
+  ])
+})
+
+test('imported files', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('imported-files', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const imported = messages
+    .filter((m) => m.code.startsWith('IMPORTED_FILE_'))
+    .map((m) => ({ code: m.code, args: m.args, path: m.path }))
+    .sort(
+      (a, b) =>
+        a.code.localeCompare(b.code) ||
+        a.path.join().localeCompare(b.path.join()),
+    )
+  expect(imported).toEqual([
+    {
+      code: 'IMPORTED_FILE_DOES_NOT_EXIST',
+      args: {
+        specifier: './lib/extensionless',
+        importChain: ['./index.js'],
+      },
+      path: ['exports', '.'],
+    },
+    {
+      code: 'IMPORTED_FILE_DOES_NOT_EXIST',
+      args: {
+        specifier: './chunk-missing.js',
+        importChain: ['./index.js', './lib/a.js'],
+      },
+      path: ['exports', '.'],
+    },
+    {
+      code: 'IMPORTED_FILE_DOES_NOT_EXIST',
+      args: {
+        specifier: './missing.cjs',
+        importChain: ['./cjs/index.cjs'],
+      },
+      path: ['exports', './cjs'],
+    },
+    {
+      code: 'IMPORTED_FILE_NOT_PUBLISHED',
+      args: {
+        specifier: '../src/b.js',
+        importChain: ['./index.js', './lib/a.js'],
+      },
+      path: ['exports', '.'],
+    },
+  ])
+})
+
+test('types imported files', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('types-imported-files', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const imported = messages
+    .filter((m) => m.code.startsWith('TYPES_IMPORTED_FILE_'))
+    .map((m) => ({ code: m.code, args: m.args, path: m.path }))
+    .sort((a, b) => a.code.localeCompare(b.code))
+  expect(imported).toEqual([
+    {
+      code: 'TYPES_IMPORTED_FILE_DOES_NOT_EXIST',
+      args: {
+        specifier: './chunk-missing.js',
+        importChain: ['./index.d.ts', './lib/a.d.ts'],
+      },
+      path: ['exports', '.', 'types'],
+    },
+    {
+      code: 'TYPES_IMPORTED_FILE_NOT_PUBLISHED',
+      args: {
+        specifier: './src/c.js',
+        importChain: ['./utils.d.ts'],
+      },
+      path: ['exports', './utils'],
+    },
+  ])
+})
+
+test('types resolution', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('types-resolution', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const notResolved = messages
+    .filter((m) => m.code === 'TYPES_NOT_RESOLVED')
+    .map((m) => ({ args: m.args, path: m.path, type: m.type }))
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)))
+  expect(notResolved).toEqual([
+    {
+      args: { subpath: './import-only', moduleResolution: 'node10' },
+      path: ['exports', './import-only'],
+      type: 'suggestion',
+    },
+    {
+      args: { subpath: './import-only', moduleResolution: 'node16-require' },
+      path: ['exports', './import-only'],
+      type: 'warning',
+    },
+    {
+      args: { subpath: './masquerade', moduleResolution: 'node10' },
+      path: ['exports', './masquerade'],
+      type: 'suggestion',
+    },
+  ])
+  const masquerading = messages.find(
+    (m) => m.code === 'TYPES_MASQUERADING_FORMAT',
+  )
+  expect(masquerading?.args).toEqual({
+    subpath: './masquerade',
+    moduleResolution: 'node16-import',
+    typesFilePath: './dist/masquerade.d.cts',
+    typesFormat: 'CJS',
+    filePath: './dist/masquerade.js',
+    format: 'ESM',
+  })
+})
+
+test('types versions', async ({ expect, onTestFinished }) => {
+  const invalidFixture = await useFixture(
+    'types-versions-invalid',
+    onTestFinished,
+  )
+  const invalid = await publint({ pkgDir: invalidFixture.path })
+  const shadows = invalid.messages.find(
+    (m) => m.code === 'TYPES_VERSIONS_SHADOWS_EXPORTS',
+  )
+  expect(shadows?.path).toEqual(['typesVersions', '>=4.0', '*'])
+  expect(shadows?.args).toEqual({
+    subpath: './utils',
+    typesFilePath: './types/utils.d.ts',
+    exportsTypesFilePath: './dist/utils.d.ts',
+  })
+
+  const simplifyFixture = await useFixture(
+    'types-versions-simplify',
+    onTestFinished,
+  )
+  const simplifiable = await publint({ pkgDir: simplifyFixture.path })
+  const simplify = simplifiable.messages.find(
+    (m) => m.code === 'TYPES_VERSIONS_CAN_BE_SIMPLIFIED',
+  )
+  expect(simplify?.fix).toEqual([
+    {
+      op: 'set',
+      path: ['typesVersions', '*'],
+      value: { '*': ['./dist/*'] },
+    },
+  ])
+  // the simplified mapping resolves the same types
+  const { pkg } = await fix({ pkgDir: simplifyFixture.path, pack: false })
+  expect(pkg.typesVersions).toEqual({ '*': { '*': ['./dist/*'] } })
+  const fixed = await publint({ pkgDir: simplifyFixture.path, pack: false })
+  expect(fixed.messages).toEqual([])
+})
+
+test('side effects', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('side-effects', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const args = messages
+    .filter((m) => m.code === 'SIDE_EFFECTS_EXCLUDES_CSS')
+    .map((m) => m.args)
+  expect(args).toEqual([
+    { filePath: './dist/style.css', exportsPath: ['exports', '.', 'style'] },
+    {
+      filePath: './dist/themes/dark.css',
+      exportsPath: ['exports', './themes/*'],
+    },
+  ])
+  // the CSS files are matched after the fix
+  const { pkg } = await fix({ pkgDir: fixture.path, pack: false })
+  expect(pkg.sideEffects).toEqual(['*.css'])
+  const fixed = await publint({ pkgDir: fixture.path, pack: false })
+  expect(fixed.messages).toEqual([])
+})
+
+test('format evidence', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('umd', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  const message = messages.find((m) => m.path[0] === 'main')
+  if (message?.code !== 'FILE_INVALID_FORMAT' || !message.args.evidence) {
+    throw new Error('Expected FILE_INVALID_FORMAT with evidence for pkg.main')
+  }
+  expect(message.args.evidence).toEqual({
+    statement: "exports.foo = 'bar'",
+    line: 8,
+    column: 5,
+  })
+  expect(formatCodeFrame(message.args.evidence)).toBe(
+    "8:5 | exports.foo = 'bar'\n    | ^^^^^^^^^^^",
+  )
+})
+
+test('format detection', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('format-detection', onTestFinished)
+  const { messages } = await publint({ pkgDir: fixture.path })
+  // the UMD bundle is CJS, and the ESM with CJS interop code is ESM
+  const invalidFormats = messages
+    .filter((m) => m.code === 'FILE_INVALID_FORMAT')
+    .map((m) => [m.args.actualFilePath, m.args.actualFormat])
+  expect(invalidFormats).toEqual([['/lib-module/index.js', 'ESM']])
+})
+
+test('baseline', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('umd', onTestFinished)
+  const before = await publint({ pkgDir: fixture.path })
+  const entries = createBaselineEntries(before.messages)
+  expect(entries.every((e) => !('evidence' in e.args))).toBe(true)
+
+  // shift the lines of the format evidence
+  const filePath = path.join(fixture.path, 'main.umd.js')
+  const content = await fs.readFile(filePath, 'utf8')
+  await fs.writeFile(filePath, '// comment\n' + content)
+  const after = await publint({ pkgDir: fixture.path })
+  expect(after.messages).not.toEqual(before.messages)
+  const result = applyBaseline(
+    after.messages,
+    JSON.parse(JSON.stringify(entries)),
+  )
+  expect(result.newMessages).toEqual([])
+  expect(result.fixedEntries).toEqual([])
+})
+
+test('fix', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('glob-deprecated', onTestFinished)
+  const { fixes, pkg } = await fix({ pkgDir: fixture.path, pack: false })
+  expect(fixes.map((f) => f.message.code)).toEqual([
+    'EXPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING',
+  ])
+  expect(pkg.exports).toEqual({ './*': './src/*' })
+  const pkgJson = JSON.parse(await fixture.readFile('package.json', 'utf8'))
+  expect(pkgJson).toEqual(pkg)
+  const { messages } = await publint({ pkgDir: fixture.path, pack: false })
+  const codes = messages.map((m) => m.code)
+  expect(codes).not.toContain('EXPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING')
+  // `#dep` can't be fixed as it doesn't have a trailing slash
+  expect(codes).toContain('IMPORTS_GLOB_NO_DEPRECATED_SUBPATH_MAPPING')
+})
+
+test('config validation', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture(
+    { 'index.js': "export const foo = 'bar'" },
+    onTestFinished,
+  )
+  /**
+   * @param {Record<string, any>} config
+   */
+  const lintWithConfig = async (config) => {
+    const pkg = { name: 'publint-config-validation', publint: config }
+    await fs.writeFile(
+      path.join(fixture.path, 'package.json'),
+      JSON.stringify(pkg),
+    )
+    return publint({ pkgDir: fixture.path, pack: false })
+  }
+  const configPath = `${path.join(fixture.path, 'package.json')} "publint" field`
+  await expect(lintWithConfig({ level: 'warn' })).rejects.toThrow(
+    `Invalid "level" option "warn" in the config at ${configPath}`,
+  )
+  await expect(lintWithConfig({ strict: 'true' })).rejects.toThrow(
+    `Invalid "strict" option "true" in the config at ${configPath}`,
+  )
+  await expect(lintWithConfig({ pack: true })).rejects.toThrow(
+    `Invalid "pack" option true in the config at ${configPath}`,
+  )
+  await expect(lintWithConfig({ rule: {} })).rejects.toThrow(
+    `Unknown option "rule" in the config at ${configPath}`,
+  )
+  const { messages } = await lintWithConfig({ level: 'error', pack: false })
+  expect(messages).toEqual([])
+})
+
+test('rules validation', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture(
+    {
+      'package.json': JSON.stringify({ name: 'publint-rules-validation' }),
+      'index.js': "export const foo = 'bar'",
+    },
+    onTestFinished,
+  )
+  await expect(
+    publint({
+      pkgDir: fixture.path,
+      pack: false,
+      // @ts-expect-error test unknown rule
+      rules: { FILE_INVALID_FROMAT: 'off' },
+    }),
+  ).rejects.toThrow('Unknown rule "FILE_INVALID_FROMAT"')
+  await expect(
+    publint({
+      pkgDir: fixture.path,
+      pack: false,
+      // @ts-expect-error test invalid severity
+      rules: { FILE_INVALID_FORMAT: 'warn' },
+    }),
+  ).rejects.toThrow(
+    'Invalid severity "warn" for the "FILE_INVALID_FORMAT" rule',
+  )
+})
+
+test('workspace', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('workspace', onTestFinished)
+  const { packages } = await publintWorkspace({
+    rootDir: fixture.path,
+    pack: false,
+  })
+  expect(
+    packages.map((p) => [
+      path.relative(fixture.path, p.pkgDir).replace(/\\/g, '/'),
+      p.messages.map((m) => m.code),
+    ]),
+  ).toEqual([
+    ['packages/a', []],
+    ['packages/b', ['FILE_DOES_NOT_EXIST']],
+    ['tools/nested/c', []],
+  ])
+})
+
+test('diff', async ({ expect, onTestFinished }) => {
+  const oldFixture = await useFixture('diff-old', onTestFinished)
+  const newFixture = await useFixture('diff-new', onTestFinished)
+  const { messages } = await diff({
+    old: { pkgDir: oldFixture.path, pack: false },
+    new: { pkgDir: newFixture.path, pack: false },
+  })
+  /**
+   * @param {string} subpath
+   * @param {string} condition
+   * @param {string} oldFilePath
+   * @param {string} newFilePath
+   */
+  const cjsChangedToEsm = (subpath, condition, oldFilePath, newFilePath) => ({
+    code: 'ENTRYPOINT_FORMAT_CHANGED',
+    args: {
+      subpath,
+      condition,
+      oldFormat: 'CJS',
+      newFormat: 'ESM',
+      oldFilePath,
+      newFilePath,
+    },
+  })
+  expect(messages).toEqual([
+    {
+      code: 'EXPORTS_SUBPATH_REMOVED',
+      args: { subpath: '.', condition: 'require' },
+    },
+    { code: 'TYPES_REMOVED', args: { subpath: '.' } },
+    cjsChangedToEsm('./utils', 'import', './utils.js', './utils.js'),
+    cjsChangedToEsm('./utils', 'require', './utils.js', './utils.js'),
+    {
+      code: 'TYPES_REMOVED',
+      args: { subpath: './typed', condition: 'require' },
+    },
+    cjsChangedToEsm('./node', 'import', './node.js', './browser.js'),
+    cjsChangedToEsm('./node', 'require', './node.js', './browser.js'),
+    { code: 'EXPORTS_SUBPATH_REMOVED', args: { subpath: './legacy' } },
+    { code: 'EXPORTS_SUBPATH_REMOVED', args: { subpath: './features/*' } },
+    { code: 'BIN_REMOVED', args: { command: 'bar' } },
+    {
+      code: 'ENGINES_NARROWED',
+      args: {
+        engine: 'node',
+        oldRange: '>=16',
+        newRange: '^18.12.0 || >=20',
+      },
+    },
+    {
+      code: 'ENGINES_NARROWED',
+      args: { engine: 'bun', oldRange: undefined, newRange: '>=1' },
+    },
+  ])
+
+  // adding `"exports"` restricts the files that can be imported
+  await fs.writeFile(
+    path.join(oldFixture.path, 'package.json'),
+    JSON.stringify({ name: 'publint-diff', main: './typed.js' }),
+  )
+  await fs.writeFile(
+    path.join(newFixture.path, 'package.json'),
+    JSON.stringify({ name: 'publint-diff', exports: './typed.js' }),
+  )
+  const { messages: exportsMessages } = await diff({
+    old: { pkgDir: oldFixture.path, pack: false },
+    new: { pkgDir: newFixture.path, pack: false },
+  })
+  expect(exportsMessages).toEqual([{ code: 'EXPORTS_ADDED', args: {} }])
+})
+
+test('resolution matrix', async ({ expect, onTestFinished }) => {
+  const fixture = await useFixture('resolution-matrix', onTestFinished)
+  const { environments, subpaths } = await getResolutionMatrix({
+    pkgDir: fixture.path,
+    pack: false,
+  })
+  expect(environments.map((e) => e.name)).toEqual([
+    'node-import',
+    'node-require',
+    'browser-import',
+    'worker',
+    'types-bundler',
+    'types-node16',
+  ])
+  // `./features/internal` is excluded as it's marked `null`
+  expect(subpaths.map((s) => [s.exportsKey, s.subpath])).toEqual([
+    ['.', '.'],
+    ['./features/*', './features/a'],
+    ['./features/*', './features/b'],
+    ['./missing', './missing'],
+    ['./fallback', './fallback'],
+  ])
+  expect(subpaths[0].entries.map((e) => [e.filePath, e.format])).toEqual([
+    ['./index.js', 'ESM'],
+    ['./index.cjs', 'CJS'],
+    ['./index.browser.js', 'ESM'],
+    ['./index.browser.js', 'ESM'],
+    ['./index.d.ts', 'ESM'],
+    ['./index.d.ts', 'ESM'],
+  ])
+  expect(subpaths[2].entries[0]).toEqual({
+    environment: 'node-import',
+    target: './features/b.js',
+    filePath: './features/b.js',
+    exists: true,
+    format: 'ESM',
+    codeFormat: 'CJS',
+    codeFormatConfidence: 'high',
+  })
+  // the adjacent `.d.ts` file is resolved for types
+  expect(subpaths[1].entries[4].exists).toBe(false)
+  expect(subpaths[2].entries[4]).toMatchObject({
+    filePath: './features/b.d.ts',
+    exists: true,
+  })
+  expect(subpaths[3].entries[0]).toMatchObject({
+    filePath: './missing.js',
+    exists: false,
+  })
+  expect(subpaths[3].entries[2]).toEqual({
+    environment: 'browser-import',
+    exists: false,
+    error: 'ERR_PACKAGE_PATH_NOT_EXPORTED',
+  })
+  expect(subpaths[4].entries[5]).toEqual({
+    environment: 'types-node16',
+    target: './fallback.js',
+    filePath: './fallback.d.ts',
+    exists: true,
+    format: 'ESM',
+  })
+
+  const custom = await getResolutionMatrix({
+    pkgDir: fixture.path,
+    pack: false,
+    environments: [{ name: 'require', conditions: ['require'] }],
+  })
+  expect(custom.subpaths[0].entries).toEqual([
+    {
+      environment: 'require',
+      target: './index.cjs',
+      filePath: './index.cjs',
+      exists: true,
+      format: 'CJS',
+      codeFormat: 'CJS',
+      codeFormatConfidence: 'high',
+    },
+  ])
+})
+
 /**
  * @typedef {{
  *  level?: import('../src/index.d.ts').Options['level']
  *  strict?: import('../src/index.d.ts').Options['strict']
+ *  rules?: import('../src/index.d.ts').Options['rules']
+ *  conditions?: import('../src/index.d.ts').Options['conditions']
+ *  browserConditions?: import('../src/index.d.ts').Options['browserConditions']
  *  debug?: boolean
  * }} TestOptions
  */
@@ -225,47 +885,61 @@ function testFixture(name, expectCodes, options) {
   /** @type {import('vitest').TestOptions} */
   const testOpts = { concurrent: true, timeout: process.env.CI ? 8000 : 5000 }
 
-  test(name, testOpts, async ({ expect }) => {
-    const fixtureName = name.replace(/\(.*$/, '').trim() + '.js'
-    const fixtureDir = path.resolve(process.cwd(), 'tests/fixtures')
-    const fixturePath = path.resolve(fixtureDir, fixtureName)
-    const fixtureContent = (await import(fixturePath)).default
-    const fixture = await createFixture(fixtureContent, {
-      // For some reason, fs-fixture writes files to the system temporary directory
-      // very slowly on GitHub actions Windows CI. Writing to somewhere else in the
-      // project is much faster.
-      tempDir: isWindowsCI ? fixtureDir : undefined,
+  test(name, testOpts, async ({ expect, onTestFinished }) => {
+    const fixture = await useFixture(
+      name.replace(/\(.*$/, '').trim(),
+      onTestFinished,
+    )
+
+    const { messages } = await publint({
+      pkgDir: fixture.path,
+      level: options?.level,
+      strict: options?.strict,
+      rules: options?.rules,
+      conditions: options?.conditions,
+      browserConditions: options?.browserConditions,
     })
 
-    try {
-      const { messages } = await publint({
-        pkgDir: fixture.path,
-        level: options?.level,
-        strict: options?.strict,
-      })
-
-      // unfortunately the messages are not always in order as checks are ran in parallel,
-      // here we sort it to make the tests more consistent
-      messages.sort((a, b) => a.code.localeCompare(b.code))
-
-      if (options?.debug) {
-        const pkg = JSON.parse(await fixture.readFile('package.json', 'utf-8'))
-        console.log()
-        console.log('Logs:', name)
-        messages.forEach((m) => console.log(formatMessage(m, pkg)))
-        console.log()
-      }
-
-      // you can test an array of objects
-      if (typeof expectCodes[0] === 'object') {
-        const codes = messages.map((v) => ({ code: v.code, type: v.type }))
-        expect(codes).toEqual(expectCodes)
-      } else {
-        const codes = messages.map((v) => v.code)
-        expect(codes).toEqual(expectCodes)
-      }
-    } finally {
-      await fixture.rm()
+    // unfortunately the messages are not always in order as checks are ran in parallel,
+    // here we sort it to make the tests more consistent
+    messages.sort((a, b) => a.code.localeCompare(b.code))
+
+    if (options?.debug) {
+      const pkg = JSON.parse(await fixture.readFile('package.json', 'utf-8'))
+      console.log()
+      console.log('Logs:', name)
+      messages.forEach((m) => console.log(formatMessage(m, pkg)))
+      console.log()
+    }
+
+    // you can test an array of objects
+    if (typeof expectCodes[0] === 'object') {
+      const codes = messages.map((v) => ({ code: v.code, type: v.type }))
+      expect(codes).toEqual(expectCodes)
+    } else {
+      const codes = messages.map((v) => v.code)
+      expect(codes).toEqual(expectCodes)
     }
   })
 }
+
+/**
+ * Create a fixture in a temporary directory, which is removed after the test finishes
+ * @param {string | import('fs-fixture').FileTree} content the fixture name in
+ *   `tests/fixtures`, or the fixture files
+ * @param {import('vitest').TestContext['onTestFinished']} onTestFinished
+ */
+async function useFixture(content, onTestFinished) {
+  const fixtureDir = path.resolve(process.cwd(), 'tests/fixtures')
+  if (typeof content === 'string') {
+    content = (await import(path.resolve(fixtureDir, content + '.js'))).default
+  }
+  const fixture = await createFixture(content, {
+    // For some reason, fs-fixture writes files to the system temporary directory
+    // very slowly on GitHub actions Windows CI. Writing to somewhere else in the
+    // project is much faster.
+    tempDir: isWindowsCI ? fixtureDir : undefined,
+  })
+  onTestFinished(() => fixture.rm())
+  return fixture
+}
@@ -1,21 +1,50 @@
 import path from 'node:path'
-import { test, expect } from 'vitest'
+import http from 'node:http'
+import { test, expect, vi } from 'vitest'
 import { createFixture } from 'fs-fixture'
 import {
+  detectCodeFormat,
   exportsGlob,
   getAdjacentDtsPath,
   getCodeFormat,
-  isCodeCjs,
-  isCodeEsm,
+  getDtsFilePathCandidates,
+  getDtsRelativeSpecifiers,
+  getImportSpecifiers,
+  getSideEffectsPatternRegex,
+  getSpecifierPackageName,
+  getTopLevelAwaitEvidence,
   isDeprecatedGitHubGitUrl,
   isFileContentLintable,
   isFilePathLintable,
   isGitUrl,
+  isMessageIgnored,
   isShorthandGitHubOrGitLabUrl,
   isShorthandRepositoryUrl,
-  stripComments,
+  isUmdCode,
 } from '../src/shared/utils.js'
 import { createNodeVfs } from '../src/node/vfs-node.js'
+import { parsePnpmWorkspacePackages } from '../src/node/workspace.js'
+import { isRangeNarrowed } from '../src/shared/diff.js'
+import { resolvePackageSubpath } from '../src/shared/resolve.js'
+import {
+  getTypesVersionsEntry,
+  isTypesVersionsRangeValid,
+  mapTypesVersionsPath,
+} from '../src/shared/types-resolution.js'
+import { applyBaseline, createBaselineEntries } from '../src/node/baseline.js'
+import {
+  fetchPackageTarball,
+  getRegistryAuthorization,
+  getRegistryUrl,
+  parseNpmSpec,
+} from '../src/node/registry.js'
+import { createJsonLocator } from '../src/shared/json-location.js'
+import { tokenize } from '../src/shared/lexer.js'
+import {
+  getCjsNamedExports,
+  getDtsNamedExports,
+} from '../src/shared/named-exports.js'
+import { applyFixOperations } from '../src/shared/fix.js'
 
 const cjsCode = [
   `require('bla')`,
@@ -40,30 +69,6 @@ const esmCode = [
 
 const isoCode = [`console.log('hello')`, `document.title = 'bla`]
 
-test('isCodeCjs', () => {
-  for (const code of cjsCode) {
-    expect(isCodeCjs(code), code).toEqual(true)
-  }
-  for (const code of esmCode) {
-    expect(isCodeCjs(code), code).toEqual(false)
-  }
-  for (const code of isoCode) {
-    expect(isCodeCjs(code), code).toEqual(false)
-  }
-})
-
-test('isCodeCjs', () => {
-  for (const code of cjsCode) {
-    expect(isCodeEsm(code), code).toEqual(false)
-  }
-  for (const code of esmCode) {
-    expect(isCodeEsm(code), code).toEqual(true)
-  }
-  for (const code of isoCode) {
-    expect(isCodeEsm(code), code).toEqual(false)
-  }
-})
-
 test('isFilePathLintable', () => {
   expect(isFilePathLintable('foo.js')).toEqual(true)
   expect(isFilePathLintable('foo.mjs')).toEqual(true)
@@ -105,6 +110,239 @@ test('getCodeFormat', () => {
   for (const code of isoCode) {
     expect(getCodeFormat(code), code).toEqual('unknown')
   }
+  // syntax in strings, comments and regexes is ignored
+  for (const code of [
+    `const a = "require('bla')"`,
+    `const a = 'module.exports = 1'`,
+    'const a = `exports.foo = ${b}`',
+    `// require('bla')`,
+    `/* module.exports = 'bla' */`,
+    `const re = /require\('bla'\)/`,
+    `if (a) /'/.test(b)`,
+    `import('bla')`,
+    `foo.import({ a: 1 })`,
+    `const a = { import: 1, export: 2 }`,
+  ]) {
+    expect(getCodeFormat(code), code).toEqual('unknown')
+  }
+  for (const code of [
+    'const a = `${require("bla")}`',
+    `const a = b / 2; require('bla') / 2`,
+    `;(function (global, factory) {
+      typeof exports === 'object' && typeof module !== 'undefined' ? module.exports = factory() :
+      typeof define === 'function' && define.amd ? define(factory) : global.foo = factory()
+    })(this, function () { return 'bla' })`,
+  ]) {
+    expect(getCodeFormat(code), code).toEqual('CJS')
+  }
+  // import and export declarations are decisive
+  for (const code of [
+    `import { createRequire } from 'node:module'\nconst require = createRequire(import.meta.url)\nrequire('bla')`,
+    `if (typeof require !== 'undefined') require('bla')\nexport default 'bla'`,
+    `const url = import.meta.url`,
+    `export * from 'bla'`,
+    `export { foo }`,
+  ]) {
+    expect(getCodeFormat(code), code).toEqual('ESM')
+  }
+})
+
+test('isUmdCode', () => {
+  expect(
+    isUmdCode(`;(function (global, factory) {
+      typeof exports === 'object' && typeof module !== 'undefined' ? factory(exports) :
+      typeof define === 'function' && define . amd ? define(['exports'], factory) : factory(global.foo = {})
+    })(this, function (exports) { exports.foo = 'bla' })`),
+  ).toEqual(true)
+  expect(isUmdCode(`exports.foo = 'bla'`)).toEqual(false)
+  expect(isUmdCode(`// define.amd\nexports.foo = 'bla'`)).toEqual(false)
+  expect(isUmdCode(`const a = 'define.amd'`)).toEqual(false)
+})
+
+test('detectCodeFormat', () => {
+  expect(
+    detectCodeFormat(`'use strict'\n\nconst a = 1\n  module.exports = a`),
+  ).toEqual({
+    format: 'CJS',
+    confidence: 'high',
+    evidence: { statement: 'module.exports = a', line: 4, column: 3 },
+  })
+  // `require()` alone may be declared by the code
+  expect(
+    detectCodeFormat(`const a = require('a')\nexports.b = a`).confidence,
+  ).toBe('high')
+  expect(detectCodeFormat(`const a = require('a')\na()`)).toEqual({
+    format: 'CJS',
+    confidence: 'low',
+    evidence: { statement: "require('a')", line: 1, column: 11 },
+  })
+  // ESM syntax is decisive even after CJS syntax
+  expect(
+    detectCodeFormat(`const a = require('a')\r\nexport { a }\r\n`),
+  ).toEqual({
+    format: 'ESM',
+    confidence: 'high',
+    evidence: { statement: 'export { a }', line: 2, column: 1 },
+  })
+  expect(detectCodeFormat(`const url = import.meta.url`)).toEqual({
+    format: 'ESM',
+    confidence: 'high',
+    evidence: { statement: 'import.meta.url', line: 1, column: 13 },
+  })
+  expect(detectCodeFormat(`console.log('hello')`)).toEqual({
+    format: 'unknown',
+    confidence: 'low',
+  })
+  // long statements are truncated
+  const { evidence } = detectCodeFormat(`exports.a = '${'a'.repeat(100)}'`)
+  expect(evidence?.statement).toHaveLength(80)
+  expect(evidence?.statement.endsWith('…')).toBe(true)
+})
+
+test('tokenize', () => {
+  /**
+   * @param {string} code
+   */
+  const values = (code) => Array.from(tokenize(code), (t) => t.value)
+  expect(values(`a = b / c / d`)).toEqual(['a', '=', 'b', '/', 'c', '/', 'd'])
+  expect(values(`a = /b/g.test(c)`)).toEqual([
+    'a',
+    '=',
+    '/b/g',
+    '.',
+    'test',
+    '(',
+    'c',
+    ')',
+  ])
+  expect(values('`a${ { b: `c${d}` } }e`')).toEqual([
+    '`a${',
+    '{',
+    'b',
+    ':',
+    '`c${',
+    'd',
+    '}`',
+    '}',
+    '}e`',
+  ])
+  expect(values(`#!/usr/bin/env node\na?.b // c\n'd'`)).toEqual([
+    'a',
+    '?.',
+    'b',
+    "'d'",
+  ])
+  expect(values(`a = 'b\nc'`)).toEqual(['a', '=', "'b", 'c', "'"])
+  expect(values(`1e+5 + .5`)).toEqual(['1e+5', '+', '.5'])
+})
+
+test('getCjsNamedExports', () => {
+  expect(
+    getCjsNamedExports(`
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.b = exports.a = void 0;
+tslib_1.__exportStar(require("./c"), exports);
+Object.defineProperty(exports, "d", { enumerable: true, get: function () { return c.d; } });
+exports['e'] = 1;
+if (exports.f == null) foo.exports.g = 1;
+`),
+  ).toEqual({
+    exports: ['__esModule', 'b', 'a', 'd', 'e'],
+    reexports: ['./c'],
+    isUnknown: false,
+  })
+  // only shorthand properties and identifier values are detected, until the first that isn't
+  expect(
+    getCjsNamedExports(
+      `module.exports = { a, b: c, 'd': e, ...require('./x'), f: 1, g }`,
+    ),
+  ).toEqual({ exports: ['a', 'b', 'd'], reexports: ['./x'], isUnknown: false })
+  expect(
+    getCjsNamedExports(`
+var _x = _interopRequireWildcard(require("./x"));
+Object.keys(_x).forEach(function (key) {
+  if (key === "default" || key === "__esModule") return;
+  Object.defineProperty(exports, key, { enumerable: true, get: function () { return _x[key]; } });
+});
+`),
+  ).toEqual({ exports: [], reexports: ['./x'], isUnknown: false })
+  expect(
+    getCjsNamedExports(`Object.keys(y).forEach((k) => { exports[k] = y[k] })`),
+  ).toEqual({ exports: [], reexports: [], isUnknown: true })
+})
+
+test('getDtsNamedExports', () => {
+  expect(
+    getDtsNamedExports(`
+import { Foo } from './foo';
+export declare const a: string;
+export declare function b(): void;
+export declare const enum E { A }
+export interface I {}
+export type T = string;
+export type { X } from './x';
+export { Foo, type Bar, c as d, e };
+declare class c {}
+interface e {}
+export * from './star';
+export * as ns from './ns';
+export { y as z, default } from './y';
+export default a;
+declare module 'm' { export const inner: 1 }
+export declare namespace N { const q: 1 }
+export declare abstract class Abs {}
+`),
+  ).toEqual({
+    exports: ['a', 'b', 'ns', 'Abs', 'd'],
+    reexports: ['./star'],
+    reexportNames: [
+      { name: 'z', localName: 'y', specifier: './y' },
+      { name: 'default', localName: 'default', specifier: './y' },
+    ],
+  })
+  expect(getDtsNamedExports(`declare const a: 1; export = a;`)).toBe(undefined)
+})
+
+test('getTopLevelAwaitEvidence', () => {
+  expect(getTopLevelAwaitEvidence(`const a = 1\nconst b = await c`)).toEqual({
+    statement: 'await c',
+    line: 2,
+    column: 11,
+  })
+  expect(getTopLevelAwaitEvidence(`for await (const a of b) {}`)).toBeDefined()
+  expect(getTopLevelAwaitEvidence(`try { await a } catch (e) {}`)).toBeDefined()
+  expect(getTopLevelAwaitEvidence(`if (a) { await b }`)).toBeDefined()
+  // arrow function expression bodies end at the next statement without semicolons
+  expect(
+    getTopLevelAwaitEvidence(
+      `const a = async () => await b\nconst c = await d`,
+    ),
+  ).toMatchObject({ statement: 'await d' })
+  expect(
+    getTopLevelAwaitEvidence(`const a = async () => await b\nawait c`),
+  ).toMatchObject({ statement: 'await c', line: 2 })
+  expect(
+    getTopLevelAwaitEvidence(
+      `const a = async () => b()\n'use strict'\nawait c`,
+    ),
+  ).toMatchObject({ statement: 'await c', line: 3 })
+  expect(
+    getTopLevelAwaitEvidence(`
+async function a() { await b }
+const c = async () => await d
+foo(async (e) => { await e }, async f => await f)
+const s = async () => await t
+  instanceof u
+const v = async () =>
+  await w
+class G { async h() { for await (const i of j) {} } }
+const k = { async l() { await m }, await: 1 }
+k.await
+const n = 'await o' // await p
+export { await, q as await } from './r'
+`),
+  ).toBe(undefined)
 })
 
 test('isGitUrl', () => {
@@ -181,19 +419,121 @@ test('isShortHandRepositoryUrl', () => {
   expect(f('https://github.com/user/project')).toEqual(false)
 })
 
-test('stripComments', () => {
-  const result = stripComments(`
-  // hello world
-  /*
-    mutli
-        line
-    // import {} from 'bla'
-  */
- /**
-  * jsdoc // comment
-  */
-  `).trim()
-  expect(result).toEqual('')
+test('getImportSpecifiers', () => {
+  const code = `
+import a from 'a'
+import {
+  b1,
+  b2,
+} from "b/sub"
+import 'c'
+import d, * as d2 from 'd'
+export * from '@e/e'
+export { f } from './f.js'
+const g = await import('g')
+const h = require('h')
+foo.require('not-require')
+const str = 'import it directly from "not-import"'
+const cond = ['import', 'require']
+// import i from 'i'
+import{j}from"j";require("k")
+const template = \`import l from './\${file}'\`
+const snippet = \`
+import React from 'react'
+import './styles.css'
+\`
+const usage = "Run: require('missing-dep')"
+export { m } from 'm'
+export const n = 1
+const o = require('a')
+`
+  expect(getImportSpecifiers(code)).toEqual([
+    { specifier: 'a', kind: 'import', optional: false },
+    { specifier: 'b/sub', kind: 'import', optional: false },
+    { specifier: 'c', kind: 'import', optional: false },
+    { specifier: 'd', kind: 'import', optional: false },
+    { specifier: '@e/e', kind: 'import', optional: false },
+    { specifier: './f.js', kind: 'import', optional: false },
+    { specifier: 'g', kind: 'dynamic-import', optional: false },
+    { specifier: 'h', kind: 'require', optional: false },
+    { specifier: 'j', kind: 'import', optional: false },
+    { specifier: 'k', kind: 'require', optional: false },
+    { specifier: 'm', kind: 'import', optional: false },
+    { specifier: 'a', kind: 'require', optional: false },
+  ])
+  expect(
+    getImportSpecifiers(code, false).map((s) => s.specifier),
+  ).not.toContain('g')
+})
+
+test('getImportSpecifiers optional', () => {
+  const code = `
+try {
+  const a = require('a')
+  if (a) { require('b') }
+} catch {
+  require('c')
+}
+try { await import('d') } catch {}
+require('b')
+function load() { try { return require('e') } finally {} }
+const f = { g: require('f') }
+`
+  expect(getImportSpecifiers(code)).toEqual([
+    { specifier: 'a', kind: 'require', optional: true },
+    { specifier: 'b', kind: 'require', optional: false },
+    { specifier: 'c', kind: 'require', optional: false },
+    { specifier: 'd', kind: 'dynamic-import', optional: true },
+    { specifier: 'e', kind: 'require', optional: true },
+    { specifier: 'f', kind: 'require', optional: false },
+  ])
+})
+
+test('getDtsRelativeSpecifiers', () => {
+  const code = `/// <reference path="globals.d.ts" />
+/// <reference path="../shared.d.ts" />
+/// <reference types="node" />
+import type { A } from './a.js'
+export type { B } from "./b"
+export type * from './c.mjs'
+export declare const d: import('./d').D
+import 'e'
+`
+  expect(getDtsRelativeSpecifiers(code)).toEqual([
+    './globals.d.ts',
+    '../shared.d.ts',
+    './a.js',
+    './b',
+    './c.mjs',
+    './d',
+  ])
+})
+
+test('getDtsFilePathCandidates', () => {
+  expect(getDtsFilePathCandidates('/pkg/a.d.ts')).toEqual(['/pkg/a.d.ts'])
+  expect(getDtsFilePathCandidates('/pkg/a.js')).toEqual(['/pkg/a.d.ts'])
+  expect(getDtsFilePathCandidates('/pkg/a.mjs')).toEqual(['/pkg/a.d.mts'])
+  expect(getDtsFilePathCandidates('/pkg/a.cts')).toEqual(['/pkg/a.d.cts'])
+  expect(getDtsFilePathCandidates('/pkg/a.jsx')).toEqual(['/pkg/a.d.ts'])
+  expect(getDtsFilePathCandidates('/pkg/a')).toEqual([
+    '/pkg/a.d.ts',
+    '/pkg/a/index.d.ts',
+  ])
+  expect(getDtsFilePathCandidates('/pkg/a.json')).toEqual([])
+  expect(getDtsFilePathCandidates('/pkg/a.css')).toEqual([])
+})
+
+test('getSpecifierPackageName', () => {
+  expect(getSpecifierPackageName('a')).toEqual('a')
+  expect(getSpecifierPackageName('a/sub/path.js')).toEqual('a')
+  expect(getSpecifierPackageName('@scope/a/sub')).toEqual('@scope/a')
+  expect(getSpecifierPackageName('@scope')).toBeUndefined()
+  expect(getSpecifierPackageName('./a')).toBeUndefined()
+  expect(getSpecifierPackageName('/a')).toBeUndefined()
+  expect(getSpecifierPackageName('#a')).toBeUndefined()
+  expect(getSpecifierPackageName('node:fs')).toBeUndefined()
+  expect(getSpecifierPackageName('https://esm.sh/a')).toBeUndefined()
+  expect(getSpecifierPackageName('%s')).toBeUndefined()
 })
 
 test('exportsGlob', async () => {
@@ -232,3 +572,534 @@ test('getAdjacentDtsPath', () => {
   expect(getAdjacentDtsPath('foo.test.js')).toEqual('foo.test.d.ts')
   expect(getAdjacentDtsPath('path/foo.js')).toEqual('path/foo.d.ts')
 })
+
+test('isMessageIgnored', () => {
+  /** @type {import('../src/index.d.ts').Message} */
+  const message = {
+    code: 'FILE_INVALID_FORMAT',
+    args: {
+      actualFormat: 'ESM',
+      expectFormat: 'CJS',
+      actualExtension: '.js',
+      expectExtension: '.mjs',
+    },
+    path: ['exports', './legacy.*', 'import'],
+    type: 'warning',
+  }
+  /** @param {string | string[]} [path] */
+  const ignored = (path) =>
+    isMessageIgnored(message, { code: 'FILE_INVALID_FORMAT', path })
+
+  expect(ignored()).toEqual(true)
+  expect(ignored('exports../legacy.*')).toEqual(true)
+  expect(ignored('exports../legacy.*.import')).toEqual(true)
+  expect(ignored('pkg.exports["./legacy.*"]')).toEqual(true)
+  expect(ignored(['exports', './legacy.*'])).toEqual(true)
+  expect(ignored('exports../legacy')).toEqual(false)
+  expect(ignored(['exports', './legacy.*', 'require'])).toEqual(false)
+  expect(isMessageIgnored(message, { code: 'FILE_DOES_NOT_EXIST' })).toEqual(
+    false,
+  )
+})
+
+test('createJsonLocator', () => {
+  const json = `{
+  "name": "foo",
+  "exports": {
+    ".": {
+      "import": "./index.mjs",
+      "require": ["./index.cjs", null]
+    }
+  },
+  "escaped\\"key": true
+}`
+  const locate = createJsonLocator(json)
+  // prettier-ignore
+  expect(locate(['name'])).toEqual({ start: { line: 2, column: 3 }, end: { line: 2, column: 16 } })
+  // prettier-ignore
+  expect(locate(['exports', '.', 'import'])).toEqual({ start: { line: 5, column: 7 }, end: { line: 5, column: 30 } })
+  // prettier-ignore
+  expect(locate(['exports', '.', 'require', '1'])).toEqual({ start: { line: 6, column: 34 }, end: { line: 6, column: 38 } })
+  // prettier-ignore
+  expect(locate(['escaped"key'])).toEqual({ start: { line: 9, column: 3 }, end: { line: 9, column: 23 } })
+  // fallback to the nearest parent path
+  // prettier-ignore
+  expect(locate(['exports', '.', 'types'])).toEqual({ start: { line: 4, column: 5 }, end: { line: 7, column: 6 } })
+  // prettier-ignore
+  expect(locate(['missing'])).toEqual({ start: { line: 1, column: 1 }, end: { line: 10, column: 2 } })
+  expect(() => createJsonLocator('{ "foo": }')).toThrow()
+})
+
+test('applyFixOperations', () => {
+  const pkg = {
+    name: 'foo',
+    jsnext: './index.js',
+    exports: {
+      './': { default: './dist/', import: './dist/' },
+      '.': { default: './index.js', require: './index.cjs', types: './a.d.ts' },
+    },
+  }
+  const content = applyFixOperations(JSON.stringify(pkg, null, 2), [
+    { op: 'rename', path: ['exports', './'], key: './*' },
+    { op: 'rename', path: ['exports', './', 'import'], key: 'module' },
+    { op: 'set', path: ['exports', './', 'default'], value: './dist/*' },
+    { op: 'move', path: ['exports', '.', 'types'], position: 'first' },
+    { op: 'move', path: ['exports', '.', 'default'], position: 'last' },
+    { op: 'delete', path: ['jsnext'] },
+    // no longer applies
+    { op: 'set', path: ['missing', 'key'], value: 'bar' },
+  ])
+  expect(JSON.stringify(JSON.parse(content))).toEqual(
+    JSON.stringify({
+      name: 'foo',
+      exports: {
+        './*': { default: './dist/*', module: './dist/' },
+        '.': {
+          types: './a.d.ts',
+          require: './index.cjs',
+          default: './index.js',
+        },
+      },
+    }),
+  )
+})
+
+test('applyFixOperations keeps the formatting outside of the edited keys', () => {
+  const content = `{
+    "name": "foo",
+    "jsnext": "./index.js",
+    "files": ["dist"],
+    "keywords": ["a", "b"],
+    "exports": { "import": "./index.js", "types": "./index.d.ts" },
+    "devDependencies": {
+        "bar": "^1.0.0"
+    }
+}
+`
+  expect(
+    applyFixOperations(content, [
+      { op: 'rename', path: ['jsnext'], key: 'module' },
+      { op: 'move', path: ['exports', 'types'], position: 'first' },
+      { op: 'set', path: ['dependencies'], value: { bar: '^1.0.0' } },
+      { op: 'delete', path: ['devDependencies', 'bar'] },
+    ]),
+  ).toEqual(`{
+    "name": "foo",
+    "module": "./index.js",
+    "files": ["dist"],
+    "keywords": ["a", "b"],
+    "exports": { "types": "./index.d.ts", "import": "./index.js" },
+    "devDependencies": {},
+    "dependencies": {
+        "bar": "^1.0.0"
+    }
+}
+`)
+
+  const crlfContent = '{\r\n\t"name": "foo",\r\n\t"deps": {}\r\n}'
+  expect(
+    applyFixOperations(crlfContent, [
+      { op: 'set', path: ['deps', 'bar'], value: '^1.0.0' },
+      { op: 'delete', path: ['name'] },
+    ]),
+  ).toEqual('{\r\n\t"deps": {\r\n\t\t"bar": "^1.0.0"\r\n\t}\r\n}')
+})
+
+test('parsePnpmWorkspacePackages', () => {
+  const content = `# comment
+packages:
+  - packages/*
+  - 'apps/**' # comment
+  # comment
+  - "!**/test/**"
+catalog:
+  - not-a-package
+`
+  expect(parsePnpmWorkspacePackages(content)).toEqual([
+    'packages/*',
+    'apps/**',
+    '!**/test/**',
+  ])
+})
+
+test('parseNpmSpec', () => {
+  expect(parseNpmSpec('npm:react@18.3.1')).toEqual({
+    name: 'react',
+    version: '18.3.1',
+  })
+  expect(parseNpmSpec('npm:@scope/pkg@next')).toEqual({
+    name: '@scope/pkg',
+    version: 'next',
+  })
+  expect(parseNpmSpec('npm:@scope/pkg')).toEqual({
+    name: '@scope/pkg',
+    version: 'latest',
+  })
+  expect(parseNpmSpec('./react')).toEqual(undefined)
+  expect(parseNpmSpec('npm:')).toEqual(undefined)
+})
+
+test('getRegistryUrl', async () => {
+  // package managers set this when running scripts
+  vi.stubEnv('npm_config_registry', '')
+  const fixture = await createFixture({
+    '.npmrc': [
+      '; comment',
+      'registry="http://localhost:4873/"',
+      '@scope:registry=${TEST_SCOPE_REGISTRY}',
+      '//localhost:4873/:_authToken=${TEST_TOKEN}',
+      '//localhost:4874/npm/:_auth=dXNlcjpwYXNz',
+    ].join('\n'),
+    nested: {},
+  })
+  vi.stubEnv('TEST_SCOPE_REGISTRY', 'http://localhost:4874/')
+  vi.stubEnv('TEST_TOKEN', 'token')
+  try {
+    const cwd = path.join(fixture.path, 'nested')
+    expect(await getRegistryUrl('react', cwd)).toEqual('http://localhost:4873/')
+    expect(await getRegistryUrl('@scope/pkg', cwd)).toEqual(
+      'http://localhost:4874/',
+    )
+    expect(
+      await getRegistryAuthorization('http://localhost:4873', cwd),
+    ).toEqual('Bearer token')
+    // the auth of a parent path also applies to the nested paths, but not the other way
+    expect(
+      await getRegistryAuthorization('http://localhost:4874/npm/pkgs/', cwd),
+    ).toEqual('Basic dXNlcjpwYXNz')
+    expect(
+      await getRegistryAuthorization('http://localhost:4874/', cwd),
+    ).toEqual(undefined)
+    vi.stubEnv('npm_config_registry', 'http://localhost:4875/')
+    expect(await getRegistryUrl('react', cwd)).toEqual('http://localhost:4875/')
+  } finally {
+    vi.unstubAllEnvs()
+    await fixture.rm()
+  }
+})
+
+test('fetchPackageTarball', async () => {
+  const tarball = Buffer.from('tarball')
+  const server = http.createServer((req, res) => {
+    if (
+      req.url === '/private' &&
+      req.headers.authorization !== 'Bearer token'
+    ) {
+      res.statusCode = 401
+      res.end()
+    } else if (req.url === '/@scope%2fpkg' || req.url === '/private') {
+      /** @param {string} version */
+      const dist = (version) => ({
+        dist: { tarball: `${registry}@scope/pkg/-/pkg-${version}.tgz` },
+      })
+      res.setHeader('content-type', 'application/json')
+      res.end(
+        JSON.stringify({
+          'dist-tags': { latest: '1.0.0' },
+          versions: {
+            '1.0.0': dist('1.0.0'),
+            '1.2.0': dist('1.2.0'),
+            '1.10.0': dist('1.10.0'),
+            '2.0.0-beta.1': dist('2.0.0-beta.1'),
+          },
+        }),
+      )
+    } else if (req.url?.startsWith('/@scope/pkg/-/pkg-')) {
+      res.end(tarball)
+    } else {
+      res.statusCode = 404
+      res.end()
+    }
+  })
+  await new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve(0)),
+  )
+  const address = /** @type {import('node:net').AddressInfo} */ (
+    server.address()
+  )
+  const registry = `http://127.0.0.1:${address.port}/`
+  try {
+    const result = await fetchPackageTarball('@scope/pkg', 'latest', registry)
+    expect(result.version).toEqual('1.0.0')
+    expect(Buffer.from(result.tarball)).toEqual(tarball)
+    /** @param {string} version */
+    const resolveVersion = async (version) =>
+      (await fetchPackageTarball('@scope/pkg', version, registry)).version
+    // the `latest` dist-tag is preferred if it matches the range
+    expect(await resolveVersion('^1.0.0')).toEqual('1.0.0')
+    expect(await resolveVersion('^1.1.0')).toEqual('1.10.0')
+    expect(await resolveVersion('>=1.1 <1.5')).toEqual('1.2.0')
+    expect(await resolveVersion('2.0.0-beta.1')).toEqual('2.0.0-beta.1')
+    await expect(resolveVersion('^2.0.0')).rejects.toThrow(
+      'Unable to find version "^2.0.0"',
+    )
+    await expect(
+      fetchPackageTarball('@scope/pkg', '2.0.0', registry),
+    ).rejects.toThrow('Unable to find version "2.0.0"')
+    await expect(
+      fetchPackageTarball('missing', 'latest', registry),
+    ).rejects.toThrow('(404)')
+    await expect(
+      fetchPackageTarball('private', 'latest', registry),
+    ).rejects.toThrow(
+      `(401). If the registry requires auth, set \`//127.0.0.1:${address.port}/:_authToken\` in .npmrc.`,
+    )
+    const privateResult = await fetchPackageTarball(
+      'private',
+      '^1.1.0',
+      registry,
+      'Bearer token',
+    )
+    expect(privateResult.version).toEqual('1.10.0')
+  } finally {
+    server.close()
+  }
+})
+
+test('applyBaseline', () => {
+  /** @type {import('../src/index.d.ts').Message[]} */
+  const messages = [
+    { code: 'USE_TYPE', args: {}, path: ['name'], type: 'suggestion' },
+    {
+      code: 'EXPORTS_VALUE_INVALID',
+      args: { suggestValue: './a.js' },
+      path: ['exports', './a'],
+      type: 'error',
+    },
+    { code: 'USE_FILES', args: {}, path: ['name'], type: 'suggestion' },
+  ]
+  const entries = createBaselineEntries(messages)
+  expect(entries.map((e) => e.code)).toEqual([
+    'EXPORTS_VALUE_INVALID',
+    'USE_FILES',
+    'USE_TYPE',
+  ])
+
+  const newMessages = [
+    messages[0],
+    // args changed
+    {
+      code: 'EXPORTS_VALUE_INVALID',
+      args: { suggestValue: './b.js' },
+      path: ['exports', './a'],
+      type: 'error',
+    },
+    // new
+    { code: 'USE_LICENSE', args: {}, path: ['name'], type: 'suggestion' },
+  ]
+  // round-trip through JSON like the baseline file
+  const result = applyBaseline(
+    /** @type {import('../src/index.d.ts').Message[]} */ (newMessages),
+    JSON.parse(JSON.stringify(entries)),
+  )
+  expect(result.newMessages.map((m) => m.code)).toEqual([
+    'EXPORTS_VALUE_INVALID',
+    'USE_LICENSE',
+  ])
+  expect(result.baselinedMessages.map((m) => m.code)).toEqual(['USE_TYPE'])
+  expect(result.fixedEntries.map((m) => m.code)).toEqual([
+    'EXPORTS_VALUE_INVALID',
+    'USE_FILES',
+  ])
+
+  // the args that describe where the problem is found aren't stored or matched
+  /** @type {import('../src/index.d.ts').Message} */
+  const imported = {
+    code: 'IMPORTED_FILE_DOES_NOT_EXIST',
+    args: { specifier: './a.js', importChain: ['./index.js', './b.js'] },
+    path: ['exports', '.'],
+    type: 'warning',
+  }
+  const importedEntries = createBaselineEntries([imported])
+  expect(importedEntries[0].args).toEqual({ specifier: './a.js' })
+  const importedResult = applyBaseline(
+    [
+      { ...imported, args: { ...imported.args, importChain: ['./index.js'] } },
+      { ...imported, args: { specifier: './c.js', importChain: [] } },
+    ],
+    importedEntries,
+  )
+  expect(importedResult.baselinedMessages).toHaveLength(1)
+  expect(importedResult.newMessages.map((m) => m.args)).toEqual([
+    { specifier: './c.js', importChain: [] },
+  ])
+  expect(importedResult.fixedEntries).toEqual([])
+})
+
+test('isRangeNarrowed', () => {
+  expect(isRangeNarrowed('>=16', '>=18')).toEqual(true)
+  expect(isRangeNarrowed('^16.0.0', '^16.14.0 || >=18')).toEqual(true)
+  expect(isRangeNarrowed('>=14.x', '^12.20.0 || >=14')).toEqual(false)
+  expect(isRangeNarrowed('18', '>=18.0.0 <22')).toEqual(false)
+  expect(isRangeNarrowed('*', '1.2.3 - 2')).toEqual(true)
+  expect(isRangeNarrowed('>=18', 'latest')).toEqual(false)
+  expect(isRangeNarrowed('>=14', '>=14 <20')).toEqual(true)
+  expect(isRangeNarrowed('^18.0.0 || ^20.0.0', '>=18 <22')).toEqual(false)
+  expect(isRangeNarrowed('>=18', '^18.0.0 || >=19.0.0')).toEqual(false)
+  expect(isRangeNarrowed('>=18', '^18.0.0 || >=20.0.0')).toEqual(true)
+  expect(isRangeNarrowed('18.x', '18.2.0')).toEqual(true)
+})
+
+test('resolvePackageSubpath', () => {
+  const pkg = {
+    main: './main.js',
+    exports: {
+      '.': [
+        { worker: './worker.js' },
+        'invalid',
+        { import: './index.mjs', default: './index.cjs' },
+      ],
+      './features/*': './dist/features/*.js',
+      './features/*.js': './dist/features/*.js',
+      './features/internal/*': null,
+      './lib/*': { node: { import: './lib/*.mjs' }, default: './lib/*.js' },
+      './types-only': { types: './types.d.ts' },
+      './invalid': '../outside.js',
+    },
+    imports: {
+      '#dep': 'dep',
+      '#internal/*': './src/*.js',
+    },
+  }
+  /**
+   * @param {string} subpath
+   * @param {string[]} conditions
+   */
+  const resolve = (subpath, conditions) => {
+    const result = resolvePackageSubpath(pkg, subpath, conditions)
+    return result.target ?? result.error?.code
+  }
+
+  // array fallbacks skip invalid targets
+  expect(resolve('.', ['import'])).toEqual('./index.mjs')
+  expect(resolve('.', ['require'])).toEqual('./index.cjs')
+  expect(resolve('.', ['worker'])).toEqual('./worker.js')
+  // patterns with the longest prefix take precedence
+  expect(resolve('./features/a', [])).toEqual('./dist/features/a.js')
+  expect(resolve('./features/a.js', [])).toEqual('./dist/features/a.js')
+  expect(resolve('./features/internal/a', [])).toEqual(
+    'ERR_PACKAGE_PATH_NOT_EXPORTED',
+  )
+  expect(resolve('./lib/a', ['node', 'import'])).toEqual('./lib/a.mjs')
+  expect(resolve('./lib/a', ['node', 'require'])).toEqual('./lib/a.js')
+  expect(resolve('./types-only', ['import'])).toEqual(
+    'ERR_PACKAGE_PATH_NOT_EXPORTED',
+  )
+  expect(resolve('./invalid', [])).toEqual('ERR_INVALID_PACKAGE_TARGET')
+  expect(resolve('./features/../secret', [])).toEqual(
+    'ERR_INVALID_MODULE_SPECIFIER',
+  )
+  expect(resolve('#dep', [])).toEqual('dep')
+  expect(resolve('#internal/a', [])).toEqual('./src/a.js')
+  expect(resolve('#missing', [])).toEqual('ERR_PACKAGE_IMPORT_NOT_DEFINED')
+
+  const result = resolvePackageSubpath(pkg, './lib/a', ['node', 'import'])
+  expect(result.path).toEqual(['exports', './lib/*', 'node', 'import'])
+  expect(result.trace).toEqual([
+    'Matched the pattern "./lib/*" in pkg.exports with "a"',
+    'pkg.exports["./lib/*"] matches the "node" condition',
+    'pkg.exports["./lib/*"].node matches the "import" condition',
+    'pkg.exports["./lib/*"].node.import is "./lib/*.mjs", which resolves to "./lib/a.mjs" with the pattern match "a"',
+  ])
+
+  expect(resolvePackageSubpath({ main: './main.js' }, '.', []).target).toEqual(
+    './main.js',
+  )
+  expect(
+    resolvePackageSubpath(
+      { exports: { '.': './a.js', import: './b.js' } },
+      '.',
+      [],
+    ).error?.code,
+  ).toEqual('ERR_INVALID_PACKAGE_CONFIG')
+})
+
+test('getTypesVersionsEntry', () => {
+  const typesVersions = {
+    '<4.0': { '*': ['ts3/*'] },
+    '>=4.0 <5.0': { '*': ['ts4/*'] },
+    '*': { '*': ['dist/*'] },
+  }
+  expect(getTypesVersionsEntry({ typesVersions })).toEqual({
+    range: '*',
+    paths: { '*': ['dist/*'] },
+  })
+  expect(getTypesVersionsEntry({ typesVersions: { '>=3.1': {} } })).toEqual({
+    range: '>=3.1',
+    paths: {},
+  })
+  expect(getTypesVersionsEntry({ typesVersions: { '<3.1': {} } })).toEqual(
+    undefined,
+  )
+  expect(getTypesVersionsEntry({})).toEqual(undefined)
+  // matched with `typescriptVersion` by default
+  const newer = { '>=99.0': { '*': ['ts99/*'] }, '*': {} }
+  expect(getTypesVersionsEntry({ typesVersions: newer })?.range).toEqual('*')
+  expect(
+    getTypesVersionsEntry({ typesVersions: newer }, '99.1.0')?.range,
+  ).toEqual('>=99.0')
+})
+
+test('isTypesVersionsRangeValid', () => {
+  for (const range of [
+    '*',
+    '>=3.1',
+    '>=4.0 <5.0',
+    '<=4.8',
+    '~4.9',
+    '^5',
+    '4.x',
+    '4.0 - 4.8',
+    '<4 || >=5.0',
+  ]) {
+    expect(isTypesVersionsRangeValid(range), range).toBe(true)
+  }
+  for (const range of ['ts3.1', '>= foo', 'latest', '4.0 -']) {
+    expect(isTypesVersionsRangeValid(range), range).toBe(false)
+  }
+})
+
+test('mapTypesVersionsPath', () => {
+  const paths = {
+    '*': ['dist/*'],
+    'utils/*': ['dist/utils/*.d.ts', 'types/utils/*.d.ts'],
+    exact: ['dist/exact.d.ts'],
+  }
+  expect(mapTypesVersionsPath(paths, 'foo')).toEqual({
+    key: '*',
+    paths: ['dist/foo'],
+  })
+  expect(mapTypesVersionsPath(paths, 'utils/bar')).toEqual({
+    key: 'utils/*',
+    paths: ['dist/utils/bar.d.ts', 'types/utils/bar.d.ts'],
+  })
+  expect(mapTypesVersionsPath(paths, 'exact')).toEqual({
+    key: 'exact',
+    paths: ['dist/exact.d.ts'],
+  })
+  expect(mapTypesVersionsPath({ exact: ['a.d.ts'] }, 'foo')).toEqual(undefined)
+})
+
+test('getSideEffectsPatternRegex', () => {
+  /** @type {[string, string, boolean][]} */
+  const cases = [
+    ['*.css', 'style.css', true],
+    ['*.css', 'dist/themes/dark.css', true],
+    ['*.css', 'dist/style.scss', false],
+    ['./dist/*.js', 'dist/index.js', true],
+    ['./dist/*.js', 'dist/nested/index.js', false],
+    ['dist/**/*.js', 'dist/index.js', true],
+    ['dist/**/*.js', 'dist/nested/index.js', true],
+    ['dist/**', 'dist/nested/index.js', true],
+    ['setup.{js,mjs}', 'dist/setup.mjs', true],
+    ['setup.{js,mjs}', 'dist/setup.cjs', false],
+    ['polyfill?.js', 'polyfill1.js', true],
+    ['./src/index.js', 'dist/src/index.js', false],
+  ]
+  for (const [pattern, filePath, expected] of cases) {
+    expect(
+      getSideEffectsPatternRegex(pattern).test(filePath),
+      `${pattern} ${filePath}`,
+    ).toBe(expected)
+  }
+})